@@ -0,0 +1,154 @@
+// Revisjonslogg (audit log): én JSON-linje per hendelse i DATA_DIR/audit/audit.jsonl.
+// Loggen skrives kun til (append-only), og brukes til å rekonstruere hva som skjedde
+// med et opptak: opplåsing, tokens, chunker, ferdigstilling og opprydding.
+// Når filen blir for stor roteres den til audit-<tid>.jsonl, og de eldste slettes.
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+
+const CURRENT = 'audit.jsonl';
+const ROTATED_RE = /^audit-\d{8}-\d{6}-\d{3}\.jsonl$/;
+
+// Tidsstempel til filnavn ved rotasjon: YYYYMMDD-HHMMSS-mmm
+function rotationStamp(d = new Date()) {
+  return d.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+}
+
+// Fjerner linjer som matcher fra innholdet i en loggfil. Returnerer { kept, removed }.
+function filterLines(content, drop) {
+  let removed = 0;
+  const kept = content.split('\n').filter(line => {
+    if (!line) return false;
+    let entry;
+    try { entry = JSON.parse(line); } catch { return true; }
+    if (drop(entry)) {
+      removed++;
+      return false;
+    }
+    return true;
+  });
+  return { kept: kept.length ? kept.join('\n') + '\n' : '', removed };
+}
+
+// Leser én loggfil linje for linje og gir hver hendelse som matcher til onEntry
+async function scanFile(fp, match, onEntry) {
+  let input;
+  try {
+    input = fs.createReadStream(fp, { encoding: 'utf8' });
+    await new Promise((resolve, reject) => {
+      input.once('open', resolve);
+      input.once('error', reject);
+    });
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    let entry;
+    try { entry = JSON.parse(line); } catch { continue; }
+    if (match(entry)) onEntry(entry);
+  }
+}
+
+/**
+ * createAuditLog({ dir, maxBytes, keepFiles })
+ *  - maxBytes: filstørrelse før rotasjon (standard 10 MB)
+ *  - keepFiles: hvor mange roterte filer som beholdes (standard 10)
+ * Returnerer { log, query, erase }.
+ */
+export function createAuditLog({ dir, maxBytes = 10 * 1024 * 1024, keepFiles = 10 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, CURRENT);
+
+  let size = 0;
+  try { size = fs.statSync(file).size; } catch {}
+
+  function rotatedFiles() {
+    return fs.readdirSync(dir).filter(n => ROTATED_RE.test(n)).sort();
+  }
+
+  function rotate() {
+    fs.renameSync(file, path.join(dir, `audit-${rotationStamp()}.jsonl`));
+    size = 0;
+    const old = rotatedFiles();
+    for (const name of old.slice(0, Math.max(0, old.length - keepFiles))) {
+      try { fs.unlinkSync(path.join(dir, name)); } catch {}
+    }
+  }
+
+  /**
+   * Skriver én hendelse. Skrives synkront, så rekkefølgen alltid stemmer og
+   * ingenting går tapt om prosessen stopper rett etterpå (linjene er små).
+   * Feil i loggingen skal aldri stoppe selve opptaket.
+   */
+  function log(event, fields = {}) {
+    const line = JSON.stringify({ at: new Date().toISOString(), event, ...fields }) + '\n';
+    try {
+      if (size > 0 && size + line.length > maxBytes) rotate();
+      fs.appendFileSync(file, line);
+      size += Buffer.byteLength(line);
+    } catch (e) {
+      console.error('[audit] kunne ikke skrive hendelse', event, e.message);
+    }
+  }
+
+  /**
+   * Henter de nyeste hendelsene som matcher filteret (nyeste først).
+   * Filter: participantId, uploadId, fileName, event (prefiks, f.eks. "chunk."), since (ISO/ms).
+   */
+  async function query({ participantId, uploadId, fileName, event, since, limit = 200 } = {}) {
+    const sinceMs = since ? (Number.isFinite(+since) ? +since : Date.parse(since)) : null;
+    const match = (e) =>
+      (!participantId || e.participantId === participantId) &&
+      (!uploadId || e.uploadId === uploadId) &&
+      (!fileName || e.fileName === fileName) &&
+      (!event || String(e.event).startsWith(event)) &&
+      (!Number.isFinite(sinceMs) || Date.parse(e.at) >= sinceMs);
+
+    // Eldste fil først, så vi kan beholde de siste "limit" treffene underveis
+    const files = [...rotatedFiles(), CURRENT].map(n => path.join(dir, n));
+    const hits = [];
+    for (const fp of files) {
+      await scanFile(fp, match, (entry) => {
+        hits.push(entry);
+        if (hits.length > limit) hits.shift();
+      });
+    }
+    return hits.reverse();
+  }
+
+  /**
+   * Sletter alle hendelser som matcher (brukes ved sletteforespørsler etter GDPR).
+   * Dette er det eneste unntaket fra "kun skriving": filene skrives på nytt uten linjene.
+   * Gjeldende fil behandles synkront, så ingen nye hendelser går tapt underveis.
+   * Returnerer antall hendelser som ble slettet.
+   */
+  async function erase(drop) {
+    let removed = 0;
+    for (const name of rotatedFiles()) {
+      const fp = path.join(dir, name);
+      const result = filterLines(await fsp.readFile(fp, 'utf8'), drop);
+      if (!result.removed) continue;
+      await fsp.writeFile(`${fp}.tmp`, result.kept);
+      await fsp.rename(`${fp}.tmp`, fp);
+      removed += result.removed;
+    }
+
+    let content = '';
+    try { content = fs.readFileSync(file, 'utf8'); } catch {}
+    const result = filterLines(content, drop);
+    if (result.removed) {
+      fs.writeFileSync(`${file}.tmp`, result.kept);
+      fs.renameSync(`${file}.tmp`, file);
+      size = Buffer.byteLength(result.kept);
+      removed += result.removed;
+    }
+    return removed;
+  }
+
+  return { log, query, erase };
+}
@@ -0,0 +1,72 @@
+// Samtykker: hvilken versjon av samtykketeksten hver deltaker har godtatt, og når.
+// Lagres i DATA_DIR/consents.json (deltaker-id -> historikk over godkjenninger).
+// En hash av selve teksten lagres også, så det kan dokumenteres hva deltakeren så.
+
+import crypto from 'crypto';
+import { PersistentMap } from './store.js';
+
+function textHash(consent) {
+  return crypto.createHash('sha256').update(`${consent.title}\n${consent.text}`).digest('hex');
+}
+
+/**
+ * createConsentRegistry({ file })
+ * Returnerer { status, hasAccepted, accept, forget }.
+ * current er samtykket fra studien: { version, title, text }.
+ */
+export function createConsentRegistry({ file }) {
+  const consents = new PersistentMap(file);
+
+  function latest(participantId) {
+    const history = consents.get(participantId)?.history || [];
+    return history[history.length - 1] || null;
+  }
+
+  // Har deltakeren godtatt gjeldende versjon (med samme tekst)?
+  function hasAccepted(participantId, current) {
+    const last = participantId ? latest(participantId) : null;
+    return !!last && last.version === current.version && last.textSha256 === textHash(current);
+  }
+
+  function status(participantId, current) {
+    const last = latest(participantId);
+    return {
+      accepted: hasAccepted(participantId, current),
+      acceptedVersion: last?.version || null,
+      acceptedAt: last ? new Date(last.acceptedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Lagrer at deltakeren godtok samtykket. version må være den deltakeren
+   * faktisk fikk se; er teksten byttet ut i mellomtiden avvises det (409).
+   * Lagres til disk med en gang, siden samtykket må kunne dokumenteres.
+   */
+  async function accept(participantId, current, { version } = {}) {
+    if (String(version) !== current.version) {
+      throw Object.assign(new Error('consent version changed'), { status: 409 });
+    }
+    const entry = { version: current.version, textSha256: textHash(current), acceptedAt: Date.now() };
+    const rec = consents.get(participantId) || { history: [] };
+    rec.history.push(entry);
+    consents.set(participantId, rec);
+    await consents.save();
+    return status(participantId, current);
+  }
+
+  // Sletter alt om deltakeren (sletteforespørsel), og lagrer med en gang.
+  // Returnerer antall godkjenninger som ble slettet.
+  async function forget(participantId) {
+    const count = consents.get(participantId)?.history?.length || 0;
+    consents.delete(participantId);
+    await consents.save();
+    return count;
+  }
+
+  // Lagrer synkront (ved nedstenging)
+  function saveSync() {
+    consents.saveSync();
+  }
+
+  return { status, hasAccepted, accept, forget, saveSync };
+}
@@ -0,0 +1,477 @@
+// Kryptering av opptak på disk (AES-256-GCM).
+// Filen deles i segmenter på 64 KiB som krypteres hver for seg med egen nonce og tag,
+// så opplastinger kan skrives chunk for chunk og Range-forespørsler kan dekrypteres
+// uten å lese hele filen. Hver fil får en tilfeldig salt, og filnøkkelen avledes fra
+// hovednøkkelen med HKDF.
+//
+// Format: header (36 byte) = "TTENC1" | versjon | 0 | segmentstørrelse (u32 BE) |
+//         nøkkel-id (8 byte) | salt (16 byte)
+//         deretter segmenter: nonce (12) | kryptert data (<= segmentstørrelse) | tag (16)
+// Headeren, segmentnummeret og et "siste segment"-flagg autentiseres med hvert segment,
+// så omrokkerte, byttede eller avkortede filer oppdages ved lesing.
+// Filer uten header (eldre opptak, eller kryptering avslått) leses som vanlig.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const MAGIC = Buffer.from('TTENC1');
+const VERSION = 1;
+const HEADER_SIZE = 36;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+const OVERHEAD = NONCE_SIZE + TAG_SIZE;
+const DEFAULT_SEGMENT_SIZE = 64 * 1024;
+const MAX_SEGMENT_SIZE = 16 * 1024 * 1024;
+
+// Nøkkelen oppgis som 64 hex-tegn eller base64 av 32 byte
+export function parseKey(text) {
+  const s = String(text || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, 'hex') : Buffer.from(s, 'base64');
+  if (key.length !== 32) throw new Error('encryption key must be 32 bytes (64 hex characters or base64)');
+  return key;
+}
+
+// Kort id for en nøkkel, lagret i headeren så riktig nøkkel velges etter rotering
+function keyIdOf(key) {
+  return crypto.createHash('sha256').update('tingtun-opptak key id').update(key).digest().subarray(0, 8);
+}
+
+/**
+ * Leser nøklene fra miljøet:
+ *   ENCRYPTION_KEY / ENCRYPTION_KEY_FILE            gjeldende nøkkel (nye filer krypteres med den)
+ *   ENCRYPTION_OLD_KEYS / ENCRYPTION_OLD_KEYS_FILE  tidligere nøkler, kommaseparert eller én per linje
+ * Returnerer { key, oldKeys }; key er null når kryptering ikke er satt opp.
+ */
+export function loadKeys(env = process.env) {
+  const read = (value, file) => {
+    if (file) return fs.readFileSync(file, 'utf8');
+    return value || '';
+  };
+  const split = s => s.split(/[\s,]+/).filter(Boolean);
+
+  const current = split(read(env.ENCRYPTION_KEY, env.ENCRYPTION_KEY_FILE));
+  if (current.length > 1) throw new Error('ENCRYPTION_KEY must contain a single key');
+  return {
+    key: current.length ? parseKey(current[0]) : null,
+    oldKeys: split(read(env.ENCRYPTION_OLD_KEYS, env.ENCRYPTION_OLD_KEYS_FILE)).map(parseKey)
+  };
+}
+
+function isEncryptedHeader(buf) {
+  return buf.length >= HEADER_SIZE && buf.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+// Lager en ny header med tilfeldig salt
+function newHeader(keyId, segmentSize) {
+  const h = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(h, 0);
+  h.writeUInt8(VERSION, 6);
+  h.writeUInt32BE(segmentSize, 8);
+  keyId.copy(h, 12);
+  crypto.randomBytes(16).copy(h, 20);
+  return h;
+}
+
+function parseHeader(h) {
+  if (!isEncryptedHeader(h)) return null;
+  if (h.readUInt8(6) !== VERSION) throw new Error('unsupported encryption format');
+  const segmentSize = h.readUInt32BE(8);
+  if (segmentSize < 1 || segmentSize > MAX_SEGMENT_SIZE) throw new Error('invalid encryption header');
+  return { header: h, segmentSize, keyId: h.subarray(12, 20), salt: h.subarray(20, 36) };
+}
+
+// Størrelse på kryptert fil for gitt antall klartekstbyte (uten avsluttende tomt segment)
+function encryptedSize(plainBytes, segmentSize) {
+  return HEADER_SIZE + plainBytes + Math.ceil(plainBytes / segmentSize) * OVERHEAD;
+}
+
+/**
+ * Regner ut segmentene i en kryptert fil ut fra filstørrelsen.
+ * Returnerer { segments, lastLength, plainSize }, eller null hvis størrelsen er umulig.
+ */
+function layoutOf(fileSize, segmentSize) {
+  const body = fileSize - HEADER_SIZE;
+  if (body <= 0) return body === 0 ? { segments: 0, lastLength: 0, plainSize: 0 } : null;
+  const full = segmentSize + OVERHEAD;
+  const segments = Math.ceil(body / full);
+  const lastLength = body - (segments - 1) * full - OVERHEAD;
+  if (lastLength < 0) return null;
+  return { segments, lastLength, plainSize: (segments - 1) * segmentSize + lastLength };
+}
+
+function segmentOffset(index, segmentSize) {
+  return HEADER_SIZE + index * (segmentSize + OVERHEAD);
+}
+
+function aad(header, index, final) {
+  const tail = Buffer.alloc(9);
+  tail.writeBigUInt64BE(BigInt(index), 0);
+  tail.writeUInt8(final ? 1 : 0, 8);
+  return Buffer.concat([header, tail]);
+}
+
+function sealSegment(fileKey, header, index, final, plain) {
+  const nonce = crypto.randomBytes(NONCE_SIZE);
+  const cipher = crypto.createCipheriv('aes-256-gcm', fileKey, nonce);
+  cipher.setAAD(aad(header, index, final));
+  const body = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([nonce, body, cipher.getAuthTag()]);
+}
+
+// Dekrypterer ett segment; kaster hvis data, posisjon eller siste-flagg ikke stemmer
+function openSegment(fileKey, header, index, final, sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey, sealed.subarray(0, NONCE_SIZE));
+  decipher.setAAD(aad(header, index, final));
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_SIZE));
+  return Buffer.concat([decipher.update(sealed.subarray(NONCE_SIZE, sealed.length - TAG_SIZE)), decipher.final()]);
+}
+
+// Siste segment i en fil under opplasting kan være merket som siste eller ikke
+function openTail(fileKey, header, index, sealed) {
+  try {
+    return { plain: openSegment(fileKey, header, index, false, sealed), final: false };
+  } catch {
+    return { plain: openSegment(fileKey, header, index, true, sealed), final: true };
+  }
+}
+
+function corrupt(filepath) {
+  return Object.assign(new Error(`encrypted file is damaged or truncated: ${filepath}`), { code: 'EBADENC' });
+}
+
+async function readAt(fh, length, position) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+function readAtSync(fd, length, position) {
+  const buf = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/**
+ * createEncryption({ key, oldKeys, segmentSize })
+ * key: gjeldende hovednøkkel (32 byte) eller null for å lagre nye filer ukryptert.
+ * oldKeys: tidligere nøkler som fortsatt skal kunne leses.
+ * Returnerer { enabled, keyId, createAppendStream, finalize, createReadStream, size,
+ *              describe, truncateSync, copyFile }.
+ */
+export function createEncryption({ key = null, oldKeys = [], segmentSize = DEFAULT_SEGMENT_SIZE } = {}) {
+  const keyring = new Map();
+  for (const k of [...oldKeys, ...(key ? [key] : [])]) keyring.set(keyIdOf(k).toString('hex'), k);
+  const currentKeyId = key ? keyIdOf(key) : null;
+
+  function fileKeyFor(parsed, filepath) {
+    const master = keyring.get(parsed.keyId.toString('hex'));
+    if (!master) {
+      throw Object.assign(new Error(`no key for encrypted file: ${filepath}`), { code: 'ENOKEY' });
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', master, parsed.salt, 'tingtun-opptak segment key', 32));
+  }
+
+  // Leser headeren og segmentoppsettet for en åpen fil ({ encrypted: false } for ukrypterte)
+  async function inspect(fh, filepath) {
+    const { size } = await fh.stat();
+    const parsed = parseHeader(await readAt(fh, HEADER_SIZE, 0));
+    if (!parsed) return { encrypted: false, size };
+    const layout = layoutOf(size, parsed.segmentSize);
+    if (!layout) throw corrupt(filepath);
+    return { encrypted: true, size, ...parsed, ...layout, fileKey: fileKeyFor(parsed, filepath) };
+  }
+
+  /**
+   * Skrivestrøm som legger data til på slutten av filen, som
+   * fs.createWriteStream(filepath, { flags: 'a' }). Nye filer krypteres med gjeldende
+   * nøkkel; en fil under opplasting fortsetter med nøkkelen den ble startet med.
+   * Ukrypterte filer som allerede har innhold fortsetter ukryptert.
+   * Filen er ikke komplett før finalize() er kalt etter at strømmen er avsluttet.
+   */
+  function createAppendStream(filepath) {
+    let head = Buffer.alloc(0);
+    try {
+      const fd = fs.openSync(filepath, 'r');
+      try {
+        head = readAtSync(fd, HEADER_SIZE, 0);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    const encrypted = isEncryptedHeader(head);
+    if (!encrypted && (head.length > 0 || !key)) return fs.createWriteStream(filepath, { flags: 'a' });
+
+    let fh = null;
+    let state = null;
+
+    async function open() {
+      if (fh) return;
+      fh = await fsp.open(filepath, fs.constants.O_RDWR | fs.constants.O_CREAT, 0o644);
+      const info = await inspect(fh, filepath);
+      if (info.size === 0) {
+        const header = newHeader(currentKeyId, segmentSize);
+        await fh.write(header, 0, header.length, 0);
+        state = { ...parseHeader(header), segments: 0, lastLength: 0 };
+        state.fileKey = fileKeyFor(state, filepath);
+      } else {
+        if (!info.encrypted) throw corrupt(filepath);
+        state = info;
+      }
+    }
+
+    async function append(chunk) {
+      const S = state.segmentSize;
+      let index = state.segments;
+      let data = chunk;
+      // Et ufullstendig (eller avsluttet) siste segment skrives på nytt sammen med de nye dataene.
+      // Fulle segmenter røres ikke, så et krasj midt i skrivingen kan bare ødelegge halen.
+      if (state.segments > 0) {
+        const last = state.segments - 1;
+        const sealed = await readAt(fh, state.lastLength + OVERHEAD, segmentOffset(last, S));
+        let tail;
+        try {
+          tail = openTail(state.fileKey, state.header, last, sealed);
+        } catch {
+          throw corrupt(filepath);
+        }
+        if (tail.final || tail.plain.length < S) {
+          index = last;
+          data = Buffer.concat([tail.plain, chunk]);
+        }
+      }
+      const parts = [];
+      for (let off = 0; off < data.length; off += S) {
+        parts.push(sealSegment(state.fileKey, state.header, index + parts.length, false, data.subarray(off, off + S)));
+      }
+      await fh.writev(parts, segmentOffset(index, S));
+      state.segments = index + parts.length;
+      state.lastLength = data.length - (parts.length - 1) * S;
+    }
+
+    return new Writable({
+      write(chunk, _encoding, callback) {
+        open()
+          .then(() => (chunk.length ? append(chunk) : null))
+          .then(() => callback(), callback);
+      },
+      final(callback) {
+        open().then(() => callback(), callback);
+      },
+      destroy(err, callback) {
+        const handle = fh;
+        fh = null;
+        if (!handle) return callback(err);
+        handle.close().then(() => callback(err), e => callback(err || e));
+      }
+    });
+  }
+
+  /**
+   * Markerer siste segment i en ferdig skrevet fil som siste (tom fil får et tomt
+   * sluttsegment). Uten dette avvises filen ved lesing som avkortet.
+   * Gjør ingenting for ukrypterte filer.
+   */
+  async function finalize(filepath) {
+    const fh = await fsp.open(filepath, 'r+');
+    try {
+      const info = await inspect(fh, filepath);
+      if (!info.encrypted) return;
+      if (info.segments === 0) {
+        const sealed = sealSegment(info.fileKey, info.header, 0, true, Buffer.alloc(0));
+        await fh.write(sealed, 0, sealed.length, HEADER_SIZE);
+        return;
+      }
+      const index = info.segments - 1;
+      const offset = segmentOffset(index, info.segmentSize);
+      let tail;
+      try {
+        tail = openTail(info.fileKey, info.header, index, await readAt(fh, info.lastLength + OVERHEAD, offset));
+      } catch {
+        throw corrupt(filepath);
+      }
+      if (tail.final) return;
+      const sealed = sealSegment(info.fileKey, info.header, index, true, tail.plain);
+      await fh.write(sealed, 0, sealed.length, offset);
+    } finally {
+      await fh.close();
+    }
+  }
+
+  /**
+   * Leser klarteksten (eller utsnittet start..end, inklusive) som en strøm.
+   * Ukrypterte filer leses som de er. allowOpen: godta en fil der siste segment
+   * ikke er markert som siste (opplasting pågår eller ble avbrutt).
+   */
+  function createReadStream(filepath, { start = 0, end = Infinity, allowOpen = false } = {}) {
+    return Readable.from((async function* () {
+      const fh = await fsp.open(filepath, 'r');
+      try {
+        const info = await inspect(fh, filepath);
+        if (!info.encrypted) {
+          const last = Math.min(end, info.size - 1);
+          for (let pos = start; pos <= last;) {
+            const buf = await readAt(fh, Math.min(DEFAULT_SEGMENT_SIZE, last - pos + 1), pos);
+            if (!buf.length) break;
+            pos += buf.length;
+            yield buf;
+          }
+          return;
+        }
+
+        const S = info.segmentSize;
+        const last = Math.min(end, info.plainSize - 1);
+        if (info.segments === 0) {
+          if (!allowOpen) throw corrupt(filepath);
+          return;
+        }
+        if (start > last) return;
+        for (let i = Math.floor(start / S); i <= Math.floor(last / S); i++) {
+          const isLast = i === info.segments - 1;
+          const sealed = await readAt(fh, (isLast ? info.lastLength : S) + OVERHEAD, segmentOffset(i, S));
+          let plain;
+          try {
+            if (!isLast) plain = openSegment(info.fileKey, info.header, i, false, sealed);
+            else if (allowOpen) plain = openTail(info.fileKey, info.header, i, sealed).plain;
+            else plain = openSegment(info.fileKey, info.header, i, true, sealed);
+          } catch {
+            throw corrupt(filepath);
+          }
+          const from = Math.max(start - i * S, 0);
+          const to = Math.min(last - i * S + 1, plain.length);
+          yield plain.subarray(from, to);
+        }
+      } finally {
+        await fh.close();
+      }
+    })(), { objectMode: false });
+  }
+
+  /**
+   * Beskriver en fil: { encrypted, keyId (hex), current (kryptert med gjeldende nøkkel),
+   * readable (nøkkelen finnes), plainSize, fileSize }.
+   */
+  async function describe(filepath) {
+    const fh = await fsp.open(filepath, 'r');
+    try {
+      const { size } = await fh.stat();
+      const parsed = parseHeader(await readAt(fh, HEADER_SIZE, 0));
+      if (!parsed) {
+        return { encrypted: false, keyId: null, current: false, readable: true, plainSize: size, fileSize: size };
+      }
+      const layout = layoutOf(size, parsed.segmentSize);
+      if (!layout) throw corrupt(filepath);
+      return {
+        encrypted: true,
+        keyId: parsed.keyId.toString('hex'),
+        current: !!currentKeyId && parsed.keyId.equals(currentKeyId),
+        readable: keyring.has(parsed.keyId.toString('hex')),
+        plainSize: layout.plainSize,
+        fileSize: size
+      };
+    } finally {
+      await fh.close();
+    }
+  }
+
+  // Størrelsen på klarteksten (for ukrypterte filer: filstørrelsen)
+  async function size(filepath) {
+    return (await describe(filepath)).plainSize;
+  }
+
+  /**
+   * Kutter en fil under opplasting til plainBytes byte klartekst (brukes ved oppstart,
+   * der siste chunk kan være halvveis skrevet). Returnerer false hvis filen er kortere
+   * enn forventet eller ikke kan leses.
+   */
+  function truncateSync(filepath, plainBytes) {
+    let fd;
+    try {
+      fd = fs.openSync(filepath, 'r+');
+      const fileSize = fs.fstatSync(fd).size;
+      const parsed = parseHeader(readAtSync(fd, HEADER_SIZE, 0));
+      if (!parsed) {
+        if (fileSize < plainBytes) return false;
+        if (fileSize > plainBytes) fs.ftruncateSync(fd, plainBytes);
+        return true;
+      }
+
+      const S = parsed.segmentSize;
+      const target = encryptedSize(plainBytes, S);
+      if (fileSize < target) return false;
+      const keep = plainBytes % S;
+      if (keep > 0) {
+        // Segmentet med grensen er enten slik det ble skrevet (keep byte), eller allerede
+        // skrevet på nytt med mer data av chunken som ble avbrutt. Det krypteres på nytt
+        // med bare den delen vi beholder.
+        const index = Math.floor(plainBytes / S);
+        const offset = segmentOffset(index, S);
+        const fileKey = fileKeyFor(parsed, filepath);
+        let tail = null;
+        for (const length of [keep + OVERHEAD, Math.min(S + OVERHEAD, fileSize - offset)]) {
+          try {
+            tail = openTail(fileKey, parsed.header, index, readAtSync(fd, length, offset));
+            break;
+          } catch {}
+        }
+        if (!tail || tail.plain.length < keep) return false;
+        if (tail.final || tail.plain.length > keep) {
+          const resealed = sealSegment(fileKey, parsed.header, index, false, tail.plain.subarray(0, keep));
+          fs.writeSync(fd, resealed, 0, resealed.length, offset);
+        }
+      }
+      if (fileSize !== target) fs.ftruncateSync(fd, target);
+      return true;
+    } catch {
+      return false;
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Kopierer klarteksten fra src til dst, kryptert med gjeldende nøkkel (eller
+   * ukryptert hvis kryptering er av). src kan være kryptert med en tidligere nøkkel.
+   * Returnerer { bytes, sha256 } for klarteksten.
+   */
+  async function copyFile(src, dst, { encrypt = !!key } = {}) {
+    if (encrypt && !key) throw new Error('no encryption key configured');
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+    await fsp.unlink(dst).catch(() => {});
+    try {
+      await pipeline(
+        createReadStream(src),
+        async function* (source) {
+          for await (const chunk of source) {
+            hash.update(chunk);
+            bytes += chunk.length;
+            yield chunk;
+          }
+        },
+        encrypt ? createAppendStream(dst) : fs.createWriteStream(dst, { flags: 'wx' })
+      );
+      if (encrypt) await finalize(dst);
+    } catch (e) {
+      await fsp.unlink(dst).catch(() => {});
+      throw e;
+    }
+    return { bytes, sha256: hash.digest('hex') };
+  }
+
+  return {
+    enabled: !!key,
+    keyId: currentKeyId ? currentKeyId.toString('hex') : null,
+    createAppendStream,
+    finalize,
+    createReadStream,
+    size,
+    describe,
+    truncateSync,
+    copyFile
+  };
+}
@@ -0,0 +1,105 @@
+// Eksport av opptak som ZIP: finner opptakene som skal med (én deltaker, én oppgave
+// eller hele studien) og alle filene som hører til hvert opptak.
+// Selve ZIP-strømmen skrives av zip.js; her bestemmes bare innhold og stier.
+
+import fsp from 'fs/promises';
+import path from 'path';
+import {
+  isSafeRecordingName, isStemName, micStemName, parseRecordingName, readMetadata, sidecarPath
+} from './recordings.js';
+import { ANSWERS_EXT } from './questionnaires.js';
+
+// Filer ved siden av et opptak: [endelse, type i manifestet]
+const SIDECARS = [
+  ['.json', 'metadata'],
+  ['.jpg', 'poster'],
+  ['.vtt', 'markers'],
+  [ANSWERS_EXT, 'answers']
+];
+
+// Mappen opptak uten deltaker (eldre enkeltopplastinger) havner i
+const UNASSIGNED = 'uten-deltaker';
+
+/**
+ * Finner opptakene som skal eksporteres, eldste filnavn først.
+ * filter: { participant: { id, label }?, slot? }. inFlightFiles hoppes over.
+ * Returnerer [{ fileName, metadata, modifiedAt, participant, participantId, slot, files }],
+ * der files er [{ path (sti i ZIP-en), filepath, kind }].
+ */
+export async function collectExport(uploadDir, { participant = null, slot = null, inFlightFiles = new Set() } = {}) {
+  const names = (await fsp.readdir(uploadDir)).sort();
+  const present = new Set(names);
+  const out = [];
+
+  for (const name of names) {
+    if (!isSafeRecordingName(name) || isStemName(name)) continue;
+    const filepath = path.join(uploadDir, name);
+    if (inFlightFiles.has(filepath)) continue;
+
+    let st;
+    try { st = await fsp.stat(filepath); } catch { continue; }
+    if (!st.isFile()) continue;
+
+    const metadata = await readMetadata(uploadDir, name);
+    const parsed = parseRecordingName(name);
+    const label = metadata?.participant || parsed?.label || null;
+    const recSlot = metadata?.slot ?? parsed?.slot ?? null;
+
+    if (participant) {
+      const owner = metadata?.participantId
+        ? metadata.participantId === participant.id
+        : label === participant.label;
+      if (!owner) continue;
+    }
+    if (slot !== null && recSlot !== slot) continue;
+
+    const dir = label || UNASSIGNED;
+    const files = [{ path: `${dir}/${name}`, filepath, kind: 'recording' }];
+    const stem = metadata?.stems?.mic?.fileName || micStemName(name);
+    if (isSafeRecordingName(stem) && present.has(stem)) {
+      files.push({ path: `${dir}/${stem}`, filepath: path.join(uploadDir, stem), kind: 'mic' });
+    }
+    for (const [ext, kind] of SIDECARS) {
+      const fp = sidecarPath(uploadDir, name, ext);
+      if (present.has(path.basename(fp))) files.push({ path: `${dir}/${path.basename(fp)}`, filepath: fp, kind });
+    }
+
+    out.push({
+      fileName: name,
+      metadata,
+      modifiedAt: st.mtime.toISOString(),
+      participant: label,
+      participantId: metadata?.participantId || null,
+      slot: recSlot,
+      files
+    });
+  }
+  return out;
+}
+
+/**
+ * Skriver opptakene inn i ZIP-en og returnerer manifestet (én linje per fil).
+ * Filer som er slettet underveis hoppes over. reader dekrypterer krypterte filer
+ * (ukrypterte leses som de er), så ZIP-en inneholder klartekst.
+ */
+export async function writeExport(zip, recordings, { reader = null } = {}) {
+  const files = [];
+  for (const rec of recordings) {
+    for (const f of rec.files) {
+      const written = await zip.addFile(f.path, f.filepath, { reader });
+      if (!written) continue;
+      files.push({
+        path: f.path,
+        kind: f.kind,
+        recording: rec.fileName,
+        participant: rec.participant,
+        participantId: rec.participantId,
+        slot: rec.slot,
+        version: rec.version ?? null,
+        final: rec.final ?? null,
+        ...written
+      });
+    }
+  }
+  return files;
+}
@@ -0,0 +1,47 @@
+// Integritetskontroll av opplastinger (SHA-256).
+// Klienten sender hash per chunk og for hele filen; serveren sjekker
+// chunkene før de skrives og hele filen før den får endelig navn.
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+// En SHA-256 som hex er nøyaktig 64 tegn 0-9a-f
+export function isSha256Hex(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+}
+
+export function sha256Buffer(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+/**
+ * Hasher en fil (eller et utsnitt start..end, inklusive) uten å lese alt inn i minnet.
+ * open: lager lesestrømmen, f.eks. encryption.createReadStream for krypterte filer.
+ */
+export function sha256File(filepath, { start, end, open = fs.createReadStream } = {}) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    open(filepath, { start, end })
+      .on('data', d => hash.update(d))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Finner første chunk i filen som ikke stemmer med hashen klienten sendte.
+ * chunks: [{ size, sha256 }] i rekkefølge. Returnerer indeksen, eller null
+ * hvis alle stemmer (eller vi mangler hash for noen av dem).
+ */
+export async function findCorruptChunk(filepath, chunks, { open } = {}) {
+  let offset = 0;
+  for (let i = 0; i < chunks.length; i++) {
+    const { size, sha256 } = chunks[i];
+    if (size > 0 && sha256) {
+      const actual = await sha256File(filepath, { start: offset, end: offset + size - 1, open });
+      if (actual !== sha256) return i;
+    }
+    offset += size;
+  }
+  return null;
+}
@@ -0,0 +1,300 @@
+// Etterbehandling av ferdige opptak med ffmpeg.
+// WebM fra MediaRecorder mangler varighet og cues, så filene kan ikke spoles
+// i de fleste avspillere. Køen remuxer filen (uten omkoding) til en spolbar
+// WebM/MP4 og lager et stillbilde (poster). Originalen beholdes til jobben
+// har lykkes, og status (queued/running/done/failed) lagres i DATA_DIR.
+// Krypterte opptak dekrypteres til en midlertidig fil for ffmpeg, og resultatene
+// krypteres igjen før de erstatter originalen. Ukrypterte mellomfiler ligger i
+// en privat mappe under tmpDir (ikke på opptaksvolumet) og slettes etter jobben.
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PersistentMap } from './store.js';
+import { sidecarPath, readMetadata, writeMetadata } from './recordings.js';
+
+// Ferdige/feilede jobber glemmes etter 7 dager
+const JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Prefiks for jobbenes private arbeidsmapper under tmpDir
+const WORK_DIR_PREFIX = 'opptak-job-';
+
+// Mellomfiler som eldre versjoner la i opptaksmappen (.<fil>.plain.webm osv.)
+const STALE_UPLOAD_TMP = /^\..+\.(?:(?:plain|remux|sealed)\.[a-z0-9]+|tmp\.jpg)(?:\.enc)?$/i;
+
+/**
+ * Kjører ffmpeg og venter til prosessen er ferdig.
+ * Avvises med siste del av stderr hvis ffmpeg feiler eller bruker for lang tid.
+ */
+function runFfmpeg(ffmpegPath, args, { timeoutMs, children }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...args], {
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    children.add(child);
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+    child.stderr.on('data', d => { stderr = (stderr + d).slice(-2000); });
+    child.on('error', e => {
+      clearTimeout(timer);
+      children.delete(child);
+      reject(e.code === 'ENOENT' ? new Error('ffmpeg not found') : e);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      children.delete(child);
+      if (code === 0) return resolve();
+      reject(new Error(signal
+        ? `ffmpeg killed (${signal})`
+        : `ffmpeg exited with ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+// Det som kan vises til klienter (ikke hvem som eier jobben)
+export function publicJobView(job) {
+  const { participantId: _p, ...rest } = job;
+  return rest;
+}
+
+/**
+ * Sletter mellomfiler etter jobber som ble avbrutt (krasj eller kill).
+ * Kalles ved oppstart, før noen jobb kjører.
+ */
+function removeStaleTempFiles(uploadDir, tmpDir) {
+  for (const name of fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir) : []) {
+    if (!STALE_UPLOAD_TMP.test(name)) continue;
+    try { fs.unlinkSync(path.join(uploadDir, name)); } catch (e) {
+      console.error('[jobs] could not remove stale temp file', name, e.message);
+    }
+  }
+  for (const name of fs.existsSync(tmpDir) ? fs.readdirSync(tmpDir) : []) {
+    if (!name.startsWith(WORK_DIR_PREFIX)) continue;
+    try { fs.rmSync(path.join(tmpDir, name), { recursive: true, force: true }); } catch (e) {
+      console.error('[jobs] could not remove stale work dir', name, e.message);
+    }
+  }
+}
+
+/**
+ * createJobQueue({ file, uploadDir, tmpDir, encryption, ffmpegPath, timeoutMs, concurrency })
+ * Returnerer { enqueue, get, list, retry, isBusy, forget, prune, shutdown }.
+ * Jobber som sto som "running" da serveren stoppet, kjøres på nytt ved oppstart.
+ */
+export function createJobQueue({
+  file,
+  uploadDir,
+  tmpDir = os.tmpdir(),
+  encryption,
+  ffmpegPath = 'ffmpeg',
+  timeoutMs = 30 * 60 * 1000,
+  concurrency = 1
+}) {
+  const jobs = new PersistentMap(file);
+  const children = new Set();
+  let running = 0;
+
+  removeStaleTempFiles(uploadDir, tmpDir);
+
+  for (const job of jobs.values()) {
+    if (job.status === 'running') {
+      job.status = 'queued';
+      jobs.markDirty();
+    }
+  }
+
+  // Skriver status inn i metadatafilen, så admin-listen viser den uten ekstra oppslag.
+  // Etter remux gjelder bytes/sha256 på toppnivå filen slik den ligger nå; det
+  // klienten lastet opp (og som verified gjelder) beholdes i original.
+  async function recordInMetadata(job, { file, ...extra } = {}) {
+    const meta = await readMetadata(uploadDir, job.fileName);
+    if (!meta) return;
+    meta.processing = { status: job.status, error: job.error, finishedAt: job.finishedAt, ...extra };
+    if (file) {
+      meta.original ??= { bytes: meta.bytes ?? null, sha256: meta.sha256 ?? null };
+      meta.bytes = file.bytes;
+      meta.sha256 = file.sha256;
+    }
+    await writeMetadata(uploadDir, job.fileName, meta);
+  }
+
+  async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.error = null;
+    job.attempts = (job.attempts || 0) + 1;
+    jobs.markDirty();
+
+    const src = path.join(uploadDir, job.fileName);
+    const ext = path.extname(job.fileName).toLowerCase();
+    const posterName = path.basename(sidecarPath(uploadDir, job.fileName, '.jpg'));
+    // Resultatene krypteres til egne filer i opptaksmappen før de tar plassen
+    // til originalen; punktum først, så de ikke listes som opptak
+    const sealedVideo  = path.join(uploadDir, `.${job.fileName}.sealed${ext}`);
+    const sealedPoster = path.join(uploadDir, `.${posterName}.sealed.jpg`);
+    let workDir = null;
+    let input = src;
+
+    try {
+      if (!fs.existsSync(src)) throw new Error('source file missing');
+      // Ukrypterte mellomfiler (dekryptert kopi, remux, poster) i en mappe bare
+      // serveren kan lese (mkdtemp gir 0700)
+      workDir = await fsp.mkdtemp(path.join(tmpDir, WORK_DIR_PREFIX));
+      const tmpInput  = path.join(workDir, `input${ext}`);
+      const tmpVideo  = path.join(workDir, `remux${ext}`);
+      const tmpPoster = path.join(workDir, 'poster.jpg');
+      if ((await encryption.describe(src)).encrypted) {
+        await encryption.copyFile(src, tmpInput, { encrypt: false });
+        input = tmpInput;
+      }
+
+      // Remux uten omkoding; ffmpeg skriver varighet og cues (WebM) / moov først (MP4)
+      await runFfmpeg(ffmpegPath, [
+        '-i', input, '-map', '0', '-c', 'copy',
+        ...(ext === '.webm' ? [] : ['-movflags', '+faststart']),
+        tmpVideo
+      ], { timeoutMs, children });
+
+      // Et representativt bilde fra starten av opptaket (ikke for rene lydfiler)
+      if (job.withPoster !== false) {
+        await runFfmpeg(ffmpegPath, [
+          '-i', tmpVideo, '-vf', 'thumbnail,scale=640:-2', '-frames:v', '1', tmpPoster
+        ], { timeoutMs, children });
+      }
+
+      // Kopieres (krypteres hvis nøkkel) inn i opptaksmappen; tmpDir kan ligge
+      // på et annet filsystem. Størrelse og hash gjelder innholdet, ikke den
+      // krypterte filen.
+      const { bytes, sha256 } = await encryption.copyFile(tmpVideo, sealedVideo);
+      if (job.withPoster !== false) await encryption.copyFile(tmpPoster, sealedPoster);
+
+      // Jobben kan ha blitt glemt (opptaket slettet) mens ffmpeg kjørte
+      if (jobs.get(job.id) !== job) throw new Error('job cancelled');
+
+      // Først nå erstattes originalen
+      await fsp.rename(sealedVideo, src);
+      if (job.withPoster !== false) await fsp.rename(sealedPoster, path.join(uploadDir, posterName));
+
+      job.status = 'done';
+      job.poster = job.withPoster !== false ? posterName : null;
+      job.finishedAt = new Date().toISOString();
+      jobs.markDirty();
+
+      await recordInMetadata(job, {
+        remuxed: true,
+        poster: job.poster,
+        file: { bytes, sha256 }
+      }).catch(e => console.error('[jobs] metadata update failed', job.id, e));
+    } catch (e) {
+      for (const fp of [sealedVideo, sealedPoster]) await fsp.unlink(fp).catch(() => {});
+      if (jobs.get(job.id) !== job) return;
+
+      console.error('[jobs] post-processing failed', job.id, e.message);
+      job.status = 'failed';
+      job.error = e.message;
+      job.finishedAt = new Date().toISOString();
+      jobs.markDirty();
+      await recordInMetadata(job)
+        .catch(err => console.error('[jobs] metadata update failed', job.id, err));
+    } finally {
+      if (workDir) await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // Starter neste jobb i køen hvis det er ledig kapasitet
+  function pump() {
+    while (running < concurrency) {
+      const next = Array.from(jobs.values())
+        .filter(j => j.status === 'queued')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+      if (!next) return;
+      running++;
+      runJob(next).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  }
+
+  /**
+   * Legger et ferdig opptak i køen. id er uploadId, så klienten kan spørre etter status.
+   * withPoster: false for rene lydfiler (f.eks. egen mikrofonfil).
+   */
+  function enqueue({ id, fileName, participantId = null, withPoster = true }) {
+    const job = {
+      id,
+      fileName,
+      participantId,
+      withPoster,
+      status: 'queued',
+      error: null,
+      poster: null,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    jobs.set(id, job);
+    pump();
+    return publicJobView(job);
+  }
+
+  // Kjører en feilet jobb på nytt (originalen ligger fortsatt urørt)
+  function retry(id) {
+    const job = jobs.get(id);
+    if (!job) throw Object.assign(new Error('job not found'), { status: 404 });
+    if (job.status !== 'failed') throw Object.assign(new Error('job is not failed'), { status: 409 });
+    job.status = 'queued';
+    job.error = null;
+    job.finishedAt = null;
+    jobs.markDirty();
+    pump();
+    return publicJobView(job);
+  }
+
+  function findByFile(fileName) {
+    return Array.from(jobs.values()).filter(j => j.fileName === fileName);
+  }
+
+  // Kjører ffmpeg på denne filen akkurat nå?
+  function isBusy(fileName) {
+    return findByFile(fileName).some(j => j.status === 'running');
+  }
+
+  // Fjerner jobbene til et opptak (brukes når opptaket slettes)
+  function forget(fileName) {
+    for (const j of findByFile(fileName)) jobs.delete(j.id);
+  }
+
+  function prune(maxAgeMs = JOB_TTL_MS) {
+    const now = Date.now();
+    for (const [id, j] of jobs) {
+      if (j.finishedAt && now - Date.parse(j.finishedAt) > maxAgeMs) jobs.delete(id);
+    }
+  }
+
+  // Ved nedstenging: stopp ffmpeg og lagre; avbrutte jobber kjøres igjen ved oppstart
+  function shutdown() {
+    for (const child of children) {
+      try { child.kill('SIGKILL'); } catch {}
+    }
+    jobs.saveSync();
+  }
+
+  pump();
+
+  return {
+    enqueue,
+    retry,
+    get: id => (jobs.has(id) ? { ...jobs.get(id) } : null),
+    list: () => Array.from(jobs.values(), j => publicJobView(j))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    isBusy,
+    forget,
+    prune,
+    shutdown
+  };
+}
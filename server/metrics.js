@@ -0,0 +1,140 @@
+// Enkle Prometheus-metrikker uten ekstra avhengigheter.
+// Tellere og histogrammer oppdateres der ting skjer i server.js; målere (gauges)
+// regnes ut først når /metrics hentes. Formatet er Prometheus sitt tekstformat 0.0.4.
+
+// Standard bøtter for varighet i sekunder
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+// Samme etiketter i samme rekkefølge gir samme nøkkel
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(n => String(labels[n] ?? '')));
+}
+
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map(n => [n, labels[n] ?? '']));
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+/**
+ * createMetrics({ prefix })
+ * Returnerer { counter, gauge, histogram, render, contentType }.
+ */
+export function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  /**
+   * counter(name, help, labelNames) → { inc(labels?, value = 1) }
+   * Teller som bare går oppover (nullstilles ved restart).
+   */
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    metrics.push({
+      name: prefix + name, help, type: 'counter',
+      lines: () => Array.from(values.values(), ({ labels, value }) => ({ labels, value }))
+    });
+    return {
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labelNames, labels);
+        const cur = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        cur.value += value;
+        values.set(key, cur);
+      }
+    };
+  }
+
+  /**
+   * gauge(name, help, collect)
+   * collect() kalles ved hver henting og returnerer et tall, eller
+   * en liste [{ labels, value }]. Kan være async.
+   */
+  function gauge(name, help, collect) {
+    metrics.push({
+      name: prefix + name, help, type: 'gauge',
+      lines: async () => {
+        const v = await collect();
+        return Array.isArray(v) ? v : [{ labels: {}, value: v }];
+      }
+    });
+  }
+
+  /**
+   * histogram(name, help, buckets, labelNames) → { observe(labels?, value), startTimer(labels?) }
+   * startTimer() returnerer en funksjon som registrerer medgått tid i sekunder.
+   */
+  function histogram(name, help, buckets = DURATION_BUCKETS, labelNames = []) {
+    const sorted = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    const full = prefix + name;
+
+    metrics.push({
+      name: full, help, type: 'histogram',
+      lines: () => {
+        const out = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          sorted.forEach((le, i) => {
+            out.push({ suffix: '_bucket', labels: { ...labels, le: formatValue(le) }, value: counts[i] });
+          });
+          out.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+          out.push({ suffix: '_sum', labels, value: sum });
+          out.push({ suffix: '_count', labels, value: count });
+        }
+        return out;
+      }
+    });
+
+    function observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { labels: pickLabels(labelNames, labels), counts: sorted.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      sorted.forEach((le, i) => { if (value <= le) s.counts[i] += 1; });
+      s.sum += value;
+      s.count += 1;
+    }
+
+    function startTimer(labels = {}) {
+      const t0 = process.hrtime.bigint();
+      return (extra = {}) => observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - t0) / 1e9);
+    }
+
+    return { observe, startTimer };
+  }
+
+  // Hele teksten som Prometheus henter
+  async function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      let lines;
+      try {
+        lines = await m.lines();
+      } catch (e) {
+        console.warn(`[metrics] ${m.name} feilet:`, e.message);
+        continue;
+      }
+      for (const { suffix = '', labels, value } of lines) {
+        out.push(`${m.name}${suffix}${labelString(labels)} ${formatValue(value)}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
@@ -0,0 +1,293 @@
+// Deltakerregister: erstatter de faste UNLOCK_CODE_X-variablene.
+// Hver deltaker har en etikett (brukes i filnavn), en hashet kode,
+// valgfri utløpstid og et valgfritt "engangs"-flagg.
+// Registeret lagres i DATA_DIR/participants.json og kan endres uten restart.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { PersistentMap } from './store.js';
+
+// Etiketter havner i filnavn, så vi tillater kun trygge tegn
+const LABEL_RE = /^[A-Za-z0-9_-]{1,40}$/;
+
+// scrypt-kostnad for nye koder (Node sin standard). Eldre deltakere uten scryptN
+// ble hashet med N=1024 og hashes på nytt ved første vellykkede opplåsing.
+const SCRYPT_N = 16384;
+const LEGACY_SCRYPT_N = 1024;
+const scrypt = promisify(crypto.scrypt);
+
+// Asynkron, så opplåsing ikke blokkerer serveren (og chunk-opplastinger)
+async function hashCode(code, salt, N = SCRYPT_N) {
+  return (await scrypt(String(code), salt, 32, { N, r: 8, p: 1 })).toString('hex');
+}
+
+// Hemmelig nøkkel for oppslagsnøkkelen (codeKey); lages første gang
+function loadLookupSecret(keyFile) {
+  try {
+    return fs.readFileSync(keyFile);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  const secret = crypto.randomBytes(32);
+  try {
+    fs.writeFileSync(keyFile, secret, { mode: 0o600, flag: 'wx' });
+    return secret;
+  } catch (e) {
+    if (e.code === 'EEXIST') return fs.readFileSync(keyFile);
+    throw e;
+  }
+}
+
+// Lager en kode som er lett å taste inn (ingen 0/O eller 1/l/I)
+function generateCode(length = 8) {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const bytes = crypto.randomBytes(length);
+  let out = '';
+  for (const b of bytes) out += alphabet[b % alphabet.length];
+  return out;
+}
+
+// Tolker utløpstid fra API (ISO-dato eller ms siden epoch). null = aldri.
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(ms)) {
+    throw Object.assign(new Error('invalid expiresAt'), { status: 400 });
+  }
+  return ms;
+}
+
+// Det vi viser utad: aldri hash eller salt
+function publicView(p) {
+  return {
+    id: p.id,
+    label: p.label,
+    createdAt: p.createdAt,
+    expiresAt: p.expiresAt,
+    singleUse: p.singleUse,
+    usedAt: p.usedAt,
+    revokedAt: p.revokedAt,
+    rotatedAt: p.rotatedAt,
+    erasedAt: p.erasedAt || null,
+    active: isActive(p)
+  };
+}
+
+function isActive(p, now = Date.now()) {
+  if (!p || p.revokedAt) return false;
+  if (p.expiresAt && now >= p.expiresAt) return false;
+  return true;
+}
+
+/**
+ * Oppretter deltakerregisteret.
+ * Returnerer funksjoner for å legge til, liste, rotere, trekke tilbake og verifisere koder.
+ * Feil som skyldes klienten kastes med .status (400/404/409) slik at API-laget kan svare riktig.
+ *
+ * keyFile: hemmelig nøkkel for codeKey = HMAC(nøkkel, kode), som lar opplåsing slå
+ * opp deltakeren direkte og bare kjøre scrypt mot den. Uten nøkkelen kan ikke koder
+ * prøves mot participants.json med en vanlig hash.
+ */
+export function createParticipantRegistry({ file, keyFile }) {
+  const participants = new PersistentMap(file);
+  const lookupSecret = loadLookupSecret(keyFile);
+
+  function codeKeyFor(plain) {
+    return crypto.createHmac('sha256', lookupSecret).update(plain).digest('hex');
+  }
+
+  // Hash og oppslagsnøkkel for en ny kode
+  async function codeFields(plain) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return { salt, codeHash: await hashCode(plain, salt), scryptN: SCRYPT_N, codeKey: codeKeyFor(plain) };
+  }
+
+  async function codeMatches(p, plain) {
+    if (!p.codeHash) return false;
+    const candidate = Buffer.from(await hashCode(plain, p.salt, p.scryptN || LEGACY_SCRYPT_N), 'hex');
+    const stored = Buffer.from(p.codeHash, 'hex');
+    return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+  }
+
+  function findByLabel(label) {
+    for (const p of participants.values()) {
+      if (p.label === label) return p;
+    }
+    return null;
+  }
+
+  function getOrThrow(id) {
+    const p = participants.get(id);
+    if (!p) throw Object.assign(new Error('unknown participant'), { status: 404 });
+    return p;
+  }
+
+  // Sjekk at ingen aktiv deltaker allerede bruker denne koden
+  async function assertCodeUnused(code, exceptId = null) {
+    const hit = await verify(code, { consume: false });
+    if (hit && hit.id !== exceptId) {
+      throw Object.assign(new Error('code already in use'), { status: 409 });
+    }
+  }
+
+  /**
+   * Legger til en deltaker. Hvis code mangler genereres en tilfeldig kode.
+   * Koden returneres i klartekst KUN her (og ved rotate).
+   */
+  async function add({ label, code, expiresAt, singleUse = false } = {}) {
+    label = String(label || '').trim();
+    if (!LABEL_RE.test(label)) {
+      throw Object.assign(new Error('label must be 1-40 chars of A-Z, 0-9, _ or -'), { status: 400 });
+    }
+    if (findByLabel(label)) {
+      throw Object.assign(new Error('label already exists'), { status: 409 });
+    }
+
+    const plain = code ? String(code).trim() : generateCode();
+    if (!plain) throw Object.assign(new Error('code must not be empty'), { status: 400 });
+    await assertCodeUnused(plain);
+
+    const fields = await codeFields(plain);
+    if (findByLabel(label)) {
+      // Samme etikett lagt til av et annet kall mens koden ble hashet
+      throw Object.assign(new Error('label already exists'), { status: 409 });
+    }
+    const p = {
+      id: uuidv4(),
+      label,
+      ...fields,
+      createdAt: Date.now(),
+      expiresAt: parseExpiry(expiresAt),
+      singleUse: !!singleUse,
+      usedAt: null,
+      revokedAt: null,
+      rotatedAt: null
+    };
+    participants.set(p.id, p);
+    await participants.save();
+    return { participant: publicView(p), code: plain };
+  }
+
+  function list() {
+    return Array.from(participants.values())
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(publicView);
+  }
+
+  function get(id) {
+    const p = participants.get(id);
+    return p ? publicView(p) : null;
+  }
+
+  /**
+   * Bytter ut koden til en deltaker (gammel kode slutter å virke).
+   * Nullstiller også "brukt"-status for engangskoder.
+   */
+  async function rotate(id, { code, expiresAt } = {}) {
+    const p = getOrThrow(id);
+    if (p.revokedAt) throw Object.assign(new Error('participant is revoked'), { status: 409 });
+
+    const plain = code ? String(code).trim() : generateCode();
+    await assertCodeUnused(plain, id);
+
+    const fields = await codeFields(plain);
+    if (p.revokedAt) throw Object.assign(new Error('participant is revoked'), { status: 409 });
+    Object.assign(p, fields);
+    p.usedAt = null;
+    p.rotatedAt = Date.now();
+    if (expiresAt !== undefined) p.expiresAt = parseExpiry(expiresAt);
+    participants.markDirty();
+    await participants.save();
+    return { participant: publicView(p), code: plain };
+  }
+
+  // Trekker tilbake tilgangen. Deltakeren beholdes (etiketten er fortsatt i filnavn).
+  async function revoke(id) {
+    const p = getOrThrow(id);
+    if (!p.revokedAt) {
+      p.revokedAt = Date.now();
+      participants.markDirty();
+      await participants.save();
+    }
+    return publicView(p);
+  }
+
+  /**
+   * Etter en sletteforespørsel: tilgangen trekkes tilbake og koden fjernes.
+   * Etiketten beholdes så den ikke gis til en ny deltaker ved en feil.
+   */
+  async function markErased(id) {
+    const p = getOrThrow(id);
+    p.revokedAt ??= Date.now();
+    p.erasedAt ??= Date.now();
+    p.codeHash = '';
+    p.codeKey = null;
+    participants.markDirty();
+    await participants.save();
+    return publicView(p);
+  }
+
+  /**
+   * Slår opp en kode. Returnerer deltakeren hvis koden er gyldig, ellers null.
+   * Med consume=true markeres engangskoder som brukt.
+   * Deltakeren finnes via codeKey, og bare den sjekkes med scrypt. Eldre deltakere
+   * uten codeKey sjekkes én og én, og får codeKey og ny hash når koden stemmer.
+   * Hashingen skjer i trådpoolen; status sjekkes på nytt etter hver hash,
+   * så en engangskode ikke kan brukes av to samtidige opplåsinger.
+   */
+  async function verify(code, { consume = true } = {}) {
+    const plain = String(code || '').trim();
+    if (!plain) return null;
+
+    const codeKey = codeKeyFor(plain);
+    const all = Array.from(participants.values()).filter(p => isActive(p));
+    const candidates = [
+      ...all.filter(p => p.codeKey === codeKey),
+      ...all.filter(p => !p.codeKey)
+    ];
+    for (const p of candidates) {
+      if (!(await codeMatches(p, plain))) continue;
+      if (!p.codeKey) await upgradeLegacy(p, plain);
+
+      const now = Date.now();
+      if (!isActive(p, now)) return null;
+      if (p.singleUse && p.usedAt) return null;
+      if (consume && p.singleUse) {
+        p.usedAt = now;
+        participants.markDirty();
+      }
+      return publicView(p);
+    }
+    return null;
+  }
+
+  // Gir en eldre deltaker codeKey og hash med dagens kostnad (koden er bekreftet riktig)
+  async function upgradeLegacy(p, plain) {
+    const fields = await codeFields(plain);
+    // Koden kan ha blitt rotert eller slettet mens den nye hashen ble laget
+    if (p.codeKey || !p.codeHash) return;
+    Object.assign(p, fields);
+    participants.markDirty();
+  }
+
+  // Om en deltaker (fortsatt) har lov til å bruke tokenet sitt
+  function isParticipantActive(id) {
+    return isActive(participants.get(id));
+  }
+
+  return {
+    add,
+    list,
+    get,
+    rotate,
+    revoke,
+    markErased,
+    verify,
+    isParticipantActive,
+    get size() { return participants.size; }
+  };
+}
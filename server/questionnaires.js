@@ -0,0 +1,109 @@
+// Spørreskjema etter en oppgave: svarene lagres som JSON ved siden av opptaket
+// (<samme navn uten endelse>.answers.json), og kan eksporteres som CSV for alle deltakere.
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { sidecarPath } from './recordings.js';
+
+export const ANSWERS_EXT = '.answers.json';
+
+/**
+ * Sjekker svarene mot skjemaet fra studien. Returnerer { [spørsmåls-id]: verdi }
+ * med kun kjente spørsmål; ubesvarte valgfrie spørsmål blir null.
+ * Ugyldige svar kastes med .status 400.
+ */
+export function validateAnswers(questionnaire, answers) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw Object.assign(new Error('answers must be an object'), { status: 400 });
+  }
+  const bad = (q, why) => Object.assign(new Error(`${q.id}: ${why}`), { status: 400 });
+
+  const out = {};
+  for (const q of questionnaire.questions) {
+    const raw = answers[q.id];
+    if (raw === undefined || raw === null || raw === '') {
+      if (q.required) throw bad(q, 'answer required');
+      out[q.id] = null;
+      continue;
+    }
+
+    if (q.type === 'likert') {
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < q.min || n > q.max) throw bad(q, `must be an integer ${q.min}-${q.max}`);
+      out[q.id] = n;
+    } else if (q.type === 'choice') {
+      if (!q.options.includes(raw)) throw bad(q, 'unknown option');
+      out[q.id] = raw;
+    } else {
+      const text = String(raw).trim();
+      if (text.length > q.maxLength) throw bad(q, `must be at most ${q.maxLength} characters`);
+      if (!text && q.required) throw bad(q, 'answer required');
+      out[q.id] = text || null;
+    }
+  }
+  return out;
+}
+
+// Lagrer svarene ved siden av opptaket (atomisk: tmp-fil + rename)
+export async function writeAnswers(uploadDir, fileName, record) {
+  const fp = sidecarPath(uploadDir, fileName, ANSWERS_EXT);
+  await fsp.writeFile(`${fp}.tmp`, JSON.stringify(record, null, 2));
+  await fsp.rename(`${fp}.tmp`, fp);
+}
+
+export async function readAnswers(uploadDir, fileName) {
+  try {
+    return JSON.parse(await fsp.readFile(sidecarPath(uploadDir, fileName, ANSWERS_EXT), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Alle lagrede svar i mappen, sortert etter deltaker, oppgave og tidspunkt
+export async function listAnswers(uploadDir) {
+  const out = [];
+  for (const name of await fsp.readdir(uploadDir).catch(() => [])) {
+    if (!name.endsWith(ANSWERS_EXT)) continue;
+    try {
+      out.push(JSON.parse(await fsp.readFile(path.join(uploadDir, name), 'utf8')));
+    } catch {}
+  }
+  return out.sort((a, b) =>
+    String(a.participant).localeCompare(String(b.participant), undefined, { numeric: true }) ||
+    a.slot - b.slot ||
+    String(a.submittedAt).localeCompare(String(b.submittedAt)));
+}
+
+/**
+ * Ett CSV-felt. Fritekst kommer fra deltakerne, så felt som starter med
+ * =, +, - eller @ får en ' foran slik at regneark ikke tolker dem som formler.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let s = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV med én rad per besvarelse. Spørsmål med samme id i flere oppgaver
+ * (f.eks. SUS etter hver oppgave) havner i samme kolonne.
+ * Starter med BOM, så Excel leser æ/ø/å riktig.
+ */
+export function answersToCsv(records, extraColumns = []) {
+  const questionIds = [];
+  for (const r of records) {
+    for (const id of Object.keys(r.answers || {})) {
+      if (!questionIds.includes(id)) questionIds.push(id);
+    }
+  }
+  const columns = ['participant', 'participantId', 'slot', 'task', 'fileName', ...extraColumns, 'submittedAt'];
+  const lines = [[...columns, ...questionIds].map(csvField).join(',')];
+  for (const r of records) {
+    lines.push([
+      ...columns.map(c => r[c]),
+      ...questionIds.map(id => r.answers?.[id])
+    ].map(csvField).join(','));
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
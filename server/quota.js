@@ -0,0 +1,119 @@
+// Lagringskvote per deltaker: hvor mye en deltaker til sammen kan ha liggende
+// på serveren (ferdige opptak, egne mikrofonfiler og pågående opplastinger).
+// Forbruket for ferdige opptak leses fra metadataen (participantId) og
+// filstørrelsen på disk, og holdes i minnet mellom hver nye opptelling.
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { isSafeRecordingName, isStemName, readMetadata } from './recordings.js';
+
+// Telles opp på nytt fra disk så ofte (fanger opp remux, sletting o.l.)
+const RESCAN_INTERVAL_MS = 5 * 60 * 1000;
+
+async function fileSize(fp) {
+  try {
+    const st = await fsp.stat(fp);
+    return st.isFile() ? st.size : 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * createQuotaTracker({ uploadDir, limitBytes, inFlightBytes })
+ *  - limitBytes: kvote per deltaker i bytes (0 = ingen grense)
+ *  - inFlightBytes(participantId): bytes i pågående opplastinger for deltakeren
+ * Returnerer { status, wouldExceed, reserve, recorded, invalidate }.
+ */
+export function createQuotaTracker({ uploadDir, limitBytes, inFlightBytes = () => 0 }) {
+  let usage = null;        // participantId -> bytes i ferdige opptak
+  let scannedAt = 0;
+  let scanning = null;
+  const reserved = new Map(); // participantId -> bytes som skrives akkurat nå
+
+  async function scan() {
+    const next = new Map();
+    const names = await fsp.readdir(uploadDir).catch(() => []);
+    for (const name of names) {
+      if (!isSafeRecordingName(name) || isStemName(name)) continue;
+      const meta = await readMetadata(uploadDir, name);
+      if (!meta?.participantId) continue;
+
+      let bytes = await fileSize(path.join(uploadDir, name));
+      const stem = meta.stems?.mic?.fileName;
+      if (stem && isSafeRecordingName(stem)) bytes += await fileSize(path.join(uploadDir, stem));
+      next.set(meta.participantId, (next.get(meta.participantId) || 0) + bytes);
+    }
+    usage = next;
+    scannedAt = Date.now();
+  }
+
+  // Felles opptelling, så samtidige kall ikke leser hele mappen hver for seg
+  async function ensureFresh() {
+    if (usage && Date.now() - scannedAt < RESCAN_INTERVAL_MS) return;
+    scanning ??= scan().finally(() => { scanning = null; });
+    await scanning;
+  }
+
+  // Forbruket akkurat nå; forutsetter at ensureFresh() er ventet på
+  function usedNow(participantId) {
+    return (usage.get(participantId) || 0) + inFlightBytes(participantId)
+      + (reserved.get(participantId) || 0);
+  }
+
+  /**
+   * Forbruk og gjenstående plass for en deltaker.
+   * limitBytes/remainingBytes er null når det ikke er noen grense.
+   */
+  async function status(participantId) {
+    await ensureFresh();
+    const usedBytes = usedNow(participantId);
+    return {
+      limitBytes: limitBytes || null,
+      usedBytes,
+      remainingBytes: limitBytes ? Math.max(0, limitBytes - usedBytes) : null
+    };
+  }
+
+  // Går deltakeren over kvoten hvis extraBytes til lagres?
+  async function wouldExceed(participantId, extraBytes) {
+    if (!limitBytes || !participantId) return false;
+    const { usedBytes } = await status(participantId);
+    return usedBytes + extraBytes > limitBytes;
+  }
+
+  /**
+   * Holder av plass til bytes som skal skrives, på tvers av deltakerens opplastinger.
+   * Sjekk og reservasjon skjer uten await imellom, så samtidige forespørsler ikke
+   * kan se den samme ledige plassen. Returnerer en funksjon som frigir plassen
+   * (kalles når bytene er talt med i pågående/ferdige opptak), eller null hvis
+   * kvoten ville blitt overskredet.
+   */
+  async function reserve(participantId, bytes) {
+    if (!limitBytes || !participantId) return () => {};
+    await ensureFresh();
+    if (usedNow(participantId) + bytes > limitBytes) return null;
+    reserved.set(participantId, (reserved.get(participantId) || 0) + bytes);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const left = reserved.get(participantId) - bytes;
+      if (left > 0) reserved.set(participantId, left);
+      else reserved.delete(participantId);
+    };
+  }
+
+  // Et opptak er ferdig: flytt bytene fra "pågående" til ferdige opptak
+  function recorded(participantId, bytes) {
+    if (!usage || !participantId) return;
+    usage.set(participantId, (usage.get(participantId) || 0) + bytes);
+  }
+
+  // Noe er slettet: tell opp på nytt ved neste kall
+  function invalidate() {
+    usage = null;
+  }
+
+  return { status, wouldExceed, reserve, recorded, invalidate };
+}
@@ -0,0 +1,160 @@
+// Hjelpefunksjoner for ferdige opptak i UPLOAD_DIR.
+// Ferdige filer heter <etikett>Oppgave<slot>-<YYYYMMDD-HHMMSS>.<ext>,
+// mens enkeltopplastinger (/api/upload) har et UUID-basert navn.
+// Ved siden av hvert opptak ligger en metadatafil <samme navn uten endelse>.json,
+// og en WebVTT-fil (.vtt) med markeringer hvis deltakeren markerte noe.
+// En egen mikrofonfil (lydspor alene) heter <samme navn>.mic.webm.
+
+import fsp from 'fs/promises';
+import path from 'path';
+
+// Filendelser vi regner som opptak (alt annet i mappen ignoreres)
+export const VIDEO_EXTS = ['.webm', '.mp4', '.mov'];
+
+// Valgfritt -2, -3, ... etter tiden hvis to opptak av samme slot ble ferdige i samme sekund
+const RECORDING_RE = /^(.+)Oppgave(\d+)-(\d{8})-(\d{6})(?:-\d+)?(\.[a-z0-9]+)$/i;
+
+/**
+ * Tolker et filnavn. Returnerer { label, slot, recordedAt } for navngitte
+ * opptak, eller null hvis navnet ikke følger mønsteret.
+ */
+export function parseRecordingName(fileName) {
+  const m = RECORDING_RE.exec(fileName);
+  if (!m) return null;
+  const [, label, slot, d, t] = m;
+  const iso = `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}T` +
+              `${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4, 6)}Z`;
+  return { label, slot: Number(slot), recordedAt: iso };
+}
+
+/**
+ * Sjekker at et filnavn fra klienten er et trygt navn på et opptak
+ * (ingen stier, ingen skjulte filer, kun video-endelser).
+ */
+export function isSafeRecordingName(fileName) {
+  if (typeof fileName !== 'string' || !fileName) return false;
+  if (path.basename(fileName) !== fileName || fileName.startsWith('.')) return false;
+  return VIDEO_EXTS.includes(path.extname(fileName).toLowerCase());
+}
+
+// Egne lydfiler (stems) som hører til et opptak, f.eks. X.mic.webm
+const STEM_RE = /\.mic\.[a-z0-9]+$/i;
+
+export function isStemName(fileName) {
+  return STEM_RE.test(fileName);
+}
+
+// Filnavnet til mikrofonfilen for et opptak
+export function micStemName(fileName, ext = '.webm') {
+  return `${path.parse(fileName).name}.mic${ext}`;
+}
+
+// Sti til en fil som hører til et opptak, f.eks. metadata (.json)
+export function sidecarPath(uploadDir, fileName, ext) {
+  return path.join(uploadDir, `${path.parse(fileName).name}${ext}`);
+}
+
+/**
+ * Skriver metadata for et opptak (atomisk: tmp-fil + rename).
+ */
+export async function writeMetadata(uploadDir, fileName, meta) {
+  const fp = sidecarPath(uploadDir, fileName, '.json');
+  await fsp.writeFile(`${fp}.tmp`, JSON.stringify(meta, null, 2));
+  await fsp.rename(`${fp}.tmp`, fp);
+}
+
+// Leser metadata for et opptak, eller null hvis det ikke finnes
+export async function readMetadata(uploadDir, fileName) {
+  try {
+    return JSON.parse(await fsp.readFile(sidecarPath(uploadDir, fileName, '.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// VTT-tid: HH:MM:SS.mmm
+function vttTime(ms) {
+  const t = Math.max(0, Math.round(ms));
+  const h = Math.floor(t / 3_600_000);
+  const m = Math.floor(t / 60_000) % 60;
+  const s = Math.floor(t / 1000) % 60;
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(t % 1000, 3)}`;
+}
+
+/**
+ * Lager WebVTT (kapitler) av markeringene: hver markering varer til neste,
+ * den siste til slutten av opptaket (eller 5 sekunder hvis lengden er ukjent).
+ */
+export function buildMarkersVtt(markers, durationMs = null) {
+  const sorted = [...markers].sort((a, b) => a.atMs - b.atMs);
+  const cues = sorted.map((m, i) => {
+    const start = m.atMs;
+    const next = sorted[i + 1]?.atMs ?? (durationMs > start ? durationMs : start + 5000);
+    const end = Math.max(next, start + 1);
+    const text = m.note ? `Markering ${i + 1}: ${m.note}` : `Markering ${i + 1}`;
+    return `${i + 1}\n${vttTime(start)} --> ${vttTime(end)}\n${text}\n`;
+  });
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+// Skriver markeringene som <navn>.vtt ved siden av opptaket
+export async function writeMarkersVtt(uploadDir, fileName, markers, durationMs) {
+  const fp = sidecarPath(uploadDir, fileName, '.vtt');
+  await fsp.writeFile(`${fp}.tmp`, buildMarkersVtt(markers, durationMs));
+  await fsp.rename(`${fp}.tmp`, fp);
+}
+
+/**
+ * Lister alle ferdige opptak, gruppert per deltaker og slot.
+ * Filer som ikke følger navnemønsteret havner i "unassigned".
+ * inFlightFiles: filstier som fortsatt lastes opp (tas ikke med).
+ */
+export async function listRecordings(uploadDir, { inFlightFiles = new Set() } = {}) {
+  const byLabel = new Map();
+  const unassigned = [];
+  const names = await fsp.readdir(uploadDir);
+  const stems = new Set(names.filter(isStemName));
+
+  for (const name of names) {
+    if (!isSafeRecordingName(name) || isStemName(name)) continue;
+    const fp = path.join(uploadDir, name);
+    if (inFlightFiles.has(fp)) continue;
+
+    let st;
+    try { st = await fsp.stat(fp); } catch { continue; }
+    if (!st.isFile()) continue;
+
+    const metadata = await readMetadata(uploadDir, name);
+    // Mikrofonfilen står i metadataen (endelsen kan være .webm eller .mp4)
+    const stem = metadata?.stems?.mic?.fileName || micStemName(name);
+    const entry = {
+      fileName: name,
+      size: st.size,
+      modifiedAt: st.mtime.toISOString(),
+      metadata,
+      micStem: stems.has(stem) ? stem : null
+    };
+    const parsed = parseRecordingName(name);
+    if (!parsed) {
+      unassigned.push(entry);
+      continue;
+    }
+
+    entry.recordedAt = parsed.recordedAt;
+    if (!byLabel.has(parsed.label)) byLabel.set(parsed.label, new Map());
+    const slots = byLabel.get(parsed.label);
+    if (!slots.has(parsed.slot)) slots.set(parsed.slot, []);
+    slots.get(parsed.slot).push(entry);
+  }
+
+  const participants = Array.from(byLabel, ([label, slots]) => ({
+    label,
+    slots: Array.from(slots, ([slot, recordings]) => ({
+      slot,
+      recordings: recordings.sort((a, b) => a.fileName.localeCompare(b.fileName))
+    })).sort((a, b) => a.slot - b.slot)
+  })).sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+
+  return { participants, unassigned };
+}
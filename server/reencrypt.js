@@ -0,0 +1,105 @@
+// Krypterer opptakene i UPLOAD_DIR på nytt med gjeldende nøkkel.
+// Brukes når nøkkelen roteres, og når kryptering slås på for opptak som allerede finnes:
+//  - ukrypterte opptak, mikrofonfiler og postere krypteres med ENCRYPTION_KEY
+//  - filer kryptert med en tidligere nøkkel (ENCRYPTION_OLD_KEYS) krypteres med ENCRYPTION_KEY
+//  - uten ENCRYPTION_KEY dekrypteres filene i stedet (slår av kryptering)
+// Metadata, markeringer og svar (JSON/VTT) er ikke kryptert og røres ikke.
+// Pågående opplastinger (DATA_DIR/inflight.json) hoppes over.
+//
+// Bruk (samme miljø som serveren, helst med serveren stoppet):
+//   docker compose stop server
+//   docker compose run --rm -e ENCRYPTION_OLD_KEYS=<gammel nøkkel> server node reencrypt.js [--dry-run]
+//   docker compose start server
+// Når kjøringen er ferdig uten feil, kan den gamle nøkkelen fjernes.
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEncryption, loadKeys } from './encryption.js';
+import { isSafeRecordingName } from './recordings.js';
+import { sha256File } from './integrity.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const DATA_DIR   = process.env.DATA_DIR   || path.join(__dirname, 'data');
+const dryRun = process.argv.includes('--dry-run');
+
+// Filene som lastes opp akkurat nå (skrives fortsatt til av serveren)
+function inFlightFiles() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'inflight.json'), 'utf8'));
+    return new Set(Object.values(saved || {}).map(s => s.filepath));
+  } catch {
+    return new Set();
+  }
+}
+
+// Opptak og mikrofonfiler, og postere fra etterbehandlingen
+function isMediaName(name) {
+  return isSafeRecordingName(name) || (!name.startsWith('.') && name.toLowerCase().endsWith('.jpg'));
+}
+
+async function main() {
+  const encryption = createEncryption(loadKeys());
+  const skip = inFlightFiles();
+  const counts = { encrypted: 0, reencrypted: 0, decrypted: 0, unchanged: 0, inFlight: 0, failed: 0 };
+
+  console.log(encryption.enabled
+    ? `Krypterer med nøkkel ${encryption.keyId}${dryRun ? ' (prøvekjøring)' : ''}`
+    : `ENCRYPTION_KEY er ikke satt – filene dekrypteres${dryRun ? ' (prøvekjøring)' : ''}`);
+
+  for (const name of (await fsp.readdir(UPLOAD_DIR)).sort()) {
+    if (!isMediaName(name)) continue;
+    const filepath = path.join(UPLOAD_DIR, name);
+    if (skip.has(filepath)) {
+      console.log(`  hoppet over (opplasting pågår): ${name}`);
+      counts.inFlight++;
+      continue;
+    }
+
+    try {
+      const st = await fsp.stat(filepath);
+      if (!st.isFile()) continue;
+      const before = await encryption.describe(filepath);
+      if (!before.readable) throw new Error(`no key for ${before.keyId} (add it to ENCRYPTION_OLD_KEYS)`);
+      const action = !before.encrypted
+        ? (encryption.enabled ? 'encrypted' : null)
+        : (!encryption.enabled ? 'decrypted' : before.current ? null : 'reencrypted');
+      if (!action) {
+        counts.unchanged++;
+        continue;
+      }
+      console.log(`  ${action}: ${name}`);
+      if (dryRun) {
+        counts[action]++;
+        continue;
+      }
+
+      // Ny fil ved siden av, kontrollert mot originalen før den tar over navnet
+      const tmp = path.join(UPLOAD_DIR, `.${name}.reencrypt`);
+      const { sha256 } = await encryption.copyFile(filepath, tmp);
+      try {
+        const check = await sha256File(tmp, { open: encryption.createReadStream });
+        if (check !== sha256) throw new Error('verification failed');
+        await fsp.utimes(tmp, st.atime, st.mtime);
+        await fsp.rename(tmp, filepath);
+      } catch (e) {
+        await fsp.unlink(tmp).catch(() => {});
+        throw e;
+      }
+      counts[action]++;
+    } catch (e) {
+      console.error(`  FEIL: ${name}: ${e.message}`);
+      counts.failed++;
+    }
+  }
+
+  console.log(Object.entries(counts).map(([k, v]) => `${k}=${v}`).join(' '));
+  if (counts.failed) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+// Oppbevaringstid for opptak: studien angir hvor mange dager et opptak beholdes
+// (study.json: retentionDays, 0 = ingen automatisk sletting), og admin kan overstyre
+// tiden for enkeltopptak eller sette "juridisk hold" som hindrer at opptaket slettes.
+// Overstyringene lagres i DATA_DIR/retention.json (filnavn -> innstillinger).
+// Selve slettingen gjøres av server.js, som også sjekker pågående opplastinger og jobber.
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { PersistentMap } from './store.js';
+import { isSafeRecordingName, isStemName, parseRecordingName, readMetadata } from './recordings.js';
+import { MAX_RETENTION_DAYS } from './study.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Når et opptak utløper. finishedAt er når opptaket ble ferdig, studyDays studiens
+ * oppbevaringstid og entry opptakets egne innstillinger (eller null).
+ * Returnerer { retentionDays, source ('study' | 'recording'), expiresAt (ISO eller null),
+ * legalHold, holdReason }. retentionDays 0 betyr at opptaket ikke slettes automatisk.
+ */
+export function expiryFor(finishedAt, studyDays, entry = null) {
+  const override = Number.isInteger(entry?.retentionDays);
+  const retentionDays = override ? entry.retentionDays : studyDays;
+  const start = Date.parse(finishedAt);
+  return {
+    retentionDays,
+    source: override ? 'recording' : 'study',
+    expiresAt: retentionDays > 0 && Number.isFinite(start)
+      ? new Date(start + retentionDays * DAY_MS).toISOString()
+      : null,
+    legalHold: entry?.legalHold === true,
+    holdReason: entry?.legalHold ? entry.holdReason || null : null
+  };
+}
+
+/**
+ * createRetentionRegistry({ file, uploadDir })
+ * Returnerer { get, set, isHeld, forget, report, saveSync }.
+ * Feil som skyldes klienten kastes med .status (400).
+ */
+export function createRetentionRegistry({ file, uploadDir }) {
+  const entries = new PersistentMap(file);
+
+  function get(fileName) {
+    return entries.get(fileName) || null;
+  }
+
+  /**
+   * Endrer innstillingene for ett opptak. Felt som ikke er med, beholdes:
+   *  - retentionDays: heltall 0..MAX_RETENTION_DAYS, eller null for studiens tid
+   *  - legalHold: true/false, med valgfri begrunnelse i reason
+   * Lagres før den returnerer de nye innstillingene (null når opptaket følger studien igjen).
+   */
+  async function set(fileName, { retentionDays, legalHold, reason } = {}) {
+    const bad = msg => Object.assign(new Error(msg), { status: 400 });
+    const next = { ...(entries.get(fileName) || {}) };
+
+    if (retentionDays !== undefined) {
+      if (retentionDays === null) {
+        delete next.retentionDays;
+      } else if (!Number.isInteger(retentionDays) || retentionDays < 0 || retentionDays > MAX_RETENTION_DAYS) {
+        throw bad(`retentionDays must be an integer 0-${MAX_RETENTION_DAYS} or null`);
+      } else {
+        next.retentionDays = retentionDays;
+      }
+    }
+    if (legalHold !== undefined) {
+      if (typeof legalHold !== 'boolean') throw bad('legalHold must be true or false');
+      if (legalHold) {
+        next.legalHold = true;
+        next.holdReason = String(reason ?? next.holdReason ?? '').trim().slice(0, 500) || null;
+        next.heldAt ??= new Date().toISOString();
+      } else {
+        delete next.legalHold;
+        delete next.holdReason;
+        delete next.heldAt;
+      }
+    }
+
+    if (next.retentionDays === undefined && !next.legalHold) {
+      entries.delete(fileName);
+      await entries.save();
+      return null;
+    }
+    next.updatedAt = new Date().toISOString();
+    entries.set(fileName, next);
+    await entries.save();
+    return next;
+  }
+
+  function isHeld(fileName) {
+    return entries.get(fileName)?.legalHold === true;
+  }
+
+  // Glemmer innstillingene når opptaket er slettet
+  async function forget(fileName) {
+    if (entries.delete(fileName)) await entries.save();
+  }
+
+  /**
+   * Alle ferdige opptak med utløpstid, eldste filnavn først. studyDays er studiens
+   * oppbevaringstid; filer i skip (pågående opplastinger) tas ikke med.
+   * expired er true når opptaket er utløpt på tidspunktet now og ikke har hold.
+   */
+  async function report({ studyDays, now = Date.now(), skip = new Set() }) {
+    const out = [];
+    for (const name of (await fsp.readdir(uploadDir).catch(() => [])).sort()) {
+      if (!isSafeRecordingName(name) || isStemName(name)) continue;
+      const filepath = path.join(uploadDir, name);
+      if (skip.has(filepath)) continue;
+
+      let st;
+      try { st = await fsp.stat(filepath); } catch { continue; }
+      if (!st.isFile()) continue;
+
+      const metadata = await readMetadata(uploadDir, name);
+      const finishedAt = metadata?.finishedAt || st.mtime.toISOString();
+      const expiry = expiryFor(finishedAt, studyDays, entries.get(name));
+      out.push({
+        fileName: name,
+        participant: metadata?.participant || parseRecordingName(name)?.label || null,
+        participantId: metadata?.participantId || null,
+        slot: metadata?.slot ?? parseRecordingName(name)?.slot ?? null,
+        finishedAt,
+        bytes: st.size,
+        ...expiry,
+        expired: !expiry.legalHold && !!expiry.expiresAt && Date.parse(expiry.expiresAt) <= now
+      });
+    }
+    return out;
+  }
+
+  // Lagrer synkront (ved nedstenging)
+  function saveSync() {
+    entries.saveSync();
+  }
+
+  return { get, set, isHeld, forget, report, saveSync };
+}
@@ -3,19 +3,49 @@
 //  - Låsekode -> token-basert tilgang
 //  - Enkeltopplasting av videofiler
 //  - Chunket opplasting (store opptak i biter)
-//  - Navngiving og lagring av filer per “Oppgave/slot” (1–6)
+//  - Navngiving og lagring av filer per “Oppgave/slot” (antall styres av study.json)
 //  - Opprydding av gamle tokens og halvferdige opplastinger
+//  - Lagring av tokens og pågående opplastinger på data-volumet (overlever restart)
+//  - Admin-API for deltakere og gjennomgang av opptak
+//  - Etterbehandling (remux + poster med ffmpeg) av ferdige opptak
+//  - Lagringskvote per deltaker
+//  - Revisjonslogg (JSONL) over opplåsinger, tokens, chunker og ferdige opptak
+//  - Prometheus-metrikker på /metrics (kun internt, blokkert i nginx)
+//  - Versjoner av samme oppgave (flere opptak per slot) og valg av endelig versjon
+//  - Kryptering av opptak på disk (AES-256-GCM, nøkkel fra miljøet eller en nøkkelfil)
+//  - Oppbevaringstid: utløpte opptak slettes automatisk (med juridisk hold som unntak)
 
 import express from 'express';
 import multer from 'multer';
 import fs from 'fs';
 import fsp from 'fs/promises';
+import os from 'os';
 import path from 'path';
+import { pipeline, finished } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import { PersistentMap } from './store.js';
+import { createParticipantRegistry } from './participants.js';
+import {
+  listRecordings, isSafeRecordingName, sidecarPath, writeMetadata, readMetadata,
+  writeMarkersVtt, isStemName, micStemName, parseRecordingName
+} from './recordings.js';
+import { createStudyConfig } from './study.js';
+import { isSha256Hex, sha256Buffer, sha256File, findCorruptChunk } from './integrity.js';
+import { createJobQueue, publicJobView } from './jobs.js';
+import { createQuotaTracker } from './quota.js';
+import { createAuditLog } from './audit.js';
+import { createMetrics } from './metrics.js';
+import { createVersionRegistry, pickFinal } from './versions.js';
+import { createConsentRegistry } from './consent.js';
+import { ANSWERS_EXT, validateAnswers, writeAnswers, listAnswers, answersToCsv } from './questionnaires.js';
+import { createZipWriter } from './zip.js';
+import { collectExport, writeExport } from './export.js';
+import { createEncryption, loadKeys } from './encryption.js';
+import { createRetentionRegistry, expiryFor } from './retention.js';
 
 // Litt ESM-hjelp for å få "nåværende mappe"
 const __filename = fileURLToPath(import.meta.url);
@@ -24,6 +54,10 @@ const __dirname = path.dirname(__filename);
 // Konfigurasjon
 const PORT       = process.env.PORT || 3001;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const DATA_DIR   = process.env.DATA_DIR   || path.join(__dirname, 'data');
+
+// Studiedefinisjon (antall oppgaver, titler, instruksjoner, tillatte moduser)
+const STUDY_FILE = process.env.STUDY_FILE || path.join(__dirname, 'study.json');
 
 // Hvor lenge et unlock-token er gyldig 2 timer
 const TOKEN_TTL_MS = Number(process.env.TOKEN_TTL_MS || 120 * 60 * 1000);
@@ -38,14 +72,67 @@ const PER_UPLOAD_MAX_BYTES = Number(
   process.env.PER_UPLOAD_MAX_BYTES || 3 * 1024 * 1024 * 1024
 );
 
+// Hvor mye hver deltaker til sammen kan lagre (standard: 10 GB, 0 = ingen grense)
+const PARTICIPANT_QUOTA_BYTES = Number(
+  process.env.PARTICIPANT_QUOTA_BYTES ?? 10 * 1024 * 1024 * 1024
+);
+
 // Hvor lenge en halvferdig opplasting kan ligge før den ryddes vekk 2 timer
 const INFLIGHT_TTL_MS = Number(
   process.env.INFLIGHT_TTL_MS || 120 * 60 * 1000
 );
 
-// Sørg for at opplastingsmappen finnes
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+// Hvor lenge en ferdig opplasting huskes, så en finish som sendes på nytt får samme svar (24 timer)
+const FINISHED_TTL_MS = Number(
+  process.env.FINISHED_TTL_MS || 24 * 60 * 60 * 1000
+);
+
+// Etterbehandling med ffmpeg (POSTPROCESS=off slår den av)
+const POSTPROCESS = process.env.POSTPROCESS !== 'off';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const POSTPROCESS_TIMEOUT_MS = Number(process.env.POSTPROCESS_TIMEOUT_MS || 30 * 60 * 1000);
+// Ukrypterte mellomfiler under etterbehandling (ikke på opptaksvolumet)
+const POSTPROCESS_TMP_DIR = process.env.POSTPROCESS_TMP_DIR || os.tmpdir();
+
+// Revisjonsloggen roteres ved denne størrelsen, og så mange gamle filer beholdes
+const AUDIT_MAX_BYTES  = Number(process.env.AUDIT_MAX_BYTES || 10 * 1024 * 1024);
+const AUDIT_KEEP_FILES = Number(process.env.AUDIT_KEEP_FILES || 10);
+
+// Valgfritt: krever "Authorization: Bearer <token>" for /metrics
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Hvor ofte utløpte opptak slettes (standard: hver time, 0 = aldri automatisk).
+// Oppbevaringstiden settes i study.json (retentionDays) og kan overstyres per opptak.
+const RETENTION_SWEEP_MS = Number(process.env.RETENTION_SWEEP_MS ?? 60 * 60 * 1000);
+
+// Så lenge nedstengingen venter på pågående forespørsler og filer før den avslutter
+// uansett (docker stop dreper prosessen etter 10 s)
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 8000);
+
+// Kryptering av opptakene (ENCRYPTION_KEY / ENCRYPTION_KEY_FILE, tidligere nøkler i
+// ENCRYPTION_OLD_KEYS / ENCRYPTION_OLD_KEYS_FILE). Uten nøkkel lagres nye opptak ukryptert.
+const encryption = createEncryption(loadKeys());
+if (!encryption.enabled) {
+  console.warn('ENCRYPTION_KEY er ikke satt – opptak lagres ukryptert.');
+}
+
+// Sørg for at opplastings- og datamappen finnes
+for (const dir of [UPLOAD_DIR, DATA_DIR]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// Revisjonslogg i DATA_DIR/audit (én JSON-linje per hendelse)
+const audit = createAuditLog({
+  dir: path.join(DATA_DIR, 'audit'),
+  maxBytes: AUDIT_MAX_BYTES,
+  keepFiles: AUDIT_KEEP_FILES
+});
+
+// Tokens logges aldri i klartekst, bare en kort hash som kan følges gjennom loggen
+function tokenRef(tok) {
+  return tok ? crypto.createHash('sha256').update(String(tok)).digest('hex').slice(0, 12) : null;
 }
 
 const app = express();
@@ -60,51 +147,166 @@ app.use(express.json());
 app.get('/health', (_req, res) => res.json({ ok: true }));
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
 
-// Hent koder KUN fra miljøvariabler  
-const UNLOCK_CODE_1 = process.env.UNLOCK_CODE_1;
-const UNLOCK_CODE_2 = process.env.UNLOCK_CODE_2;
-const UNLOCK_CODE_3 = process.env.UNLOCK_CODE_3;
-const UNLOCK_CODE_4 = process.env.UNLOCK_CODE_4;
-const UNLOCK_CODE_5 = process.env.UNLOCK_CODE_5;
-const UNLOCK_CODE_6 = process.env.UNLOCK_CODE_6;
-const UNLOCK_CODE_7 = process.env.UNLOCK_CODE_7;
+// Prometheus-metrikker. Tellerne oppdateres der hendelsene skjer lenger ned.
+const metrics = createMetrics({ prefix: 'opptak_' });
+const m = {
+  unlocks: metrics.counter('unlock_total', 'Unlock attempts by outcome', ['outcome']),
+  chunkBytes: metrics.counter('chunk_bytes_total', 'Bytes written from accepted chunks'),
+  chunkSize: metrics.histogram('chunk_size_bytes', 'Size of accepted chunks',
+    [64 * 1024, 256 * 1024, 512 * 1024, 1024 ** 2, 2 * 1024 ** 2, 4 * 1024 ** 2, 8 * 1024 ** 2, 16 * 1024 ** 2]),
+  chunkDuration: metrics.histogram('chunk_duration_seconds', 'Time to handle a chunk request', undefined, ['status']),
+  rejections: metrics.counter('upload_rejections_total', 'Rejected upload requests by route and status', ['route', 'status']),
+  finished: metrics.counter('uploads_finished_total', 'Finished uploads by kind', ['kind']),
+  sweeper: metrics.counter('sweeper_removed_total', 'Items removed by the sweeper', ['kind'])
+};
+metrics.gauge('active_tokens', 'Unlock tokens currently valid', () => activeTokens.size);
+metrics.gauge('inflight_uploads', 'Chunked uploads not yet finished', () => inFlight.size);
+metrics.gauge('inflight_bytes', 'Bytes held by unfinished chunked uploads', () => {
+  let total = 0;
+  for (const sess of inFlight.values()) total += sess.bytes || 0;
+  return total;
+});
+metrics.gauge('upload_dir_free_bytes', 'Free disk space in UPLOAD_DIR', async () => {
+  const st = await fsp.statfs(UPLOAD_DIR);
+  return st.bavail * st.bsize;
+});
+metrics.gauge('upload_dir_size_bytes', 'Total size of the file system holding UPLOAD_DIR', async () => {
+  const st = await fsp.statfs(UPLOAD_DIR);
+  return st.blocks * st.bsize;
+});
+
+// Avviste opplastinger (403/409/413/422 osv.) telles per rute, og chunk-kall tidtas
+app.use('/api/upload', (req, res, next) => {
+  const route = req.path === '/' ? 'upload' : req.path.split('/').filter(Boolean).pop();
+  const label = ['chunk', 'finish', 'upload', 'processing'].includes(route) ? route : 'status';
+  const endTimer = label === 'chunk' && req.method === 'POST' ? m.chunkDuration.startTimer() : null;
+  res.on('finish', () => {
+    endTimer?.({ status: res.statusCode });
+    if (res.statusCode >= 400 && res.statusCode < 500) {
+      m.rejections.inc({ route: label, status: res.statusCode });
+    }
+  });
+  next();
+});
+
+/**
+ * GET /metrics
+ * Prometheus-format. Skal kun nås internt (nginx sender ikke /metrics videre);
+ * med METRICS_TOKEN satt kreves i tillegg et Bearer-token.
+ */
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const a = Buffer.from(given);
+    const b = Buffer.from(METRICS_TOKEN);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      return res.status(401).type('text/plain').send('unauthorized\n');
+    }
+  }
+  try {
+    res.type(metrics.contentType).send(await metrics.render());
+  } catch (e) {
+    console.error('[metrics] error', e);
+    res.status(500).type('text/plain').send('metrics failed\n');
+  }
+});
+
+// Studiekonfigurasjonen lastes på nytt automatisk når filen endres
+const study = createStudyConfig({ file: STUDY_FILE });
+
+/**
+ * GET /api/study
+ * Gir frontend oppgavene (slots) den skal vise, med tittel, instruksjoner og moduser.
+ */
+app.get('/api/study', (_req, res) => {
+  res.json({ ok: true, study: study.get() });
+});
+
+// Felles feilmelding når slot ikke finnes i studien
+function badSlot(res) {
+  return res.status(400).json({
+    error: `slot must be between 1 and ${study.get().slotCount}`
+  });
+}
 
-// Valider at alle er satt – feiler hardt hvis noe mangler
-if (!UNLOCK_CODE_1 || !UNLOCK_CODE_2 || !UNLOCK_CODE_3 || !UNLOCK_CODE_4 || !UNLOCK_CODE_5 || !UNLOCK_CODE_6 || !UNLOCK_CODE_7) {
-  console.error('Mangler en eller flere UNLOCK_CODE_X miljøvariabler.');
-  process.exit(1); // Stopp serveren, så du ikke kjører med udefinerte koder.
+// Deltakerregister (koder -> etiketter), lagret i DATA_DIR/participants.json
+const participants = createParticipantRegistry({
+  file: path.join(DATA_DIR, 'participants.json'),
+  keyFile: path.join(DATA_DIR, 'participants.key')
+});
+
+// Migrering: første gang registeret er tomt importeres gamle UNLOCK_CODE_X-variabler
+// som Tester1, Tester2, ... slik at eksisterende oppsett fortsetter å virke.
+if (participants.size === 0) {
+  for (let n = 1; process.env[`UNLOCK_CODE_${n}`]; n++) {
+    await participants.add({ label: `Tester${n}`, code: process.env[`UNLOCK_CODE_${n}`] })
+      .catch(e => console.warn(`[participants] kunne ikke importere UNLOCK_CODE_${n}:`, e.message));
+  }
 }
 
-// Kun verdier fra env, ingen hardkodede koder
-const CODE_TO_USER = new Map([
-  [UNLOCK_CODE_1, 'Tester1'],
-  [UNLOCK_CODE_2, 'Tester2'],
-  [UNLOCK_CODE_3, 'Tester3'],
-  [UNLOCK_CODE_4, 'Tester4'],
-  [UNLOCK_CODE_5, 'Tester5'],
-  [UNLOCK_CODE_6, 'Tester6'],
-  [UNLOCK_CODE_7, 'Tester7'],
-]);
+// Samtykker (hvilken versjon hver deltaker har godtatt), lagret i DATA_DIR/consents.json
+const consents = createConsentRegistry({
+  file: path.join(DATA_DIR, 'consents.json')
+});
 
+// Nøkkel for admin-API-et. Uten den er admin-endepunktene slått av.
+const ADMIN_KEY = process.env.ADMIN_KEY || '';
+if (!ADMIN_KEY) {
+  console.warn('ADMIN_KEY er ikke satt – admin-API-et er deaktivert.');
+}
 
-// Lagrer token i minnet
-const activeTokens = new Map();
+// Lagrer token i minnet, speilet til DATA_DIR/tokens.json så de overlever restart
+const activeTokens = new PersistentMap(path.join(DATA_DIR, 'tokens.json'));
 
 /**
- * Oppretter et nytt token for en gitt bruker-etikett (f.eks. "Tester1").
+ * Oppretter et nytt token for en deltaker (etikett f.eks. "Tester1").
  * Token lagres i minnet sammen med tidspunktet det ble utsendt.
  */
-function createToken(userLabel) {
+function createToken(participant) {
   const token = crypto.randomBytes(24).toString('hex');
-  activeTokens.set(token, { userLabel, issuedAt: Date.now() });
+  activeTokens.set(token, {
+    userLabel: participant.label,
+    participantId: participant.id,
+    issuedAt: Date.now()
+  });
+  audit.log('token.issued', {
+    participantId: participant.id, label: participant.label, tokenRef: tokenRef(token)
+  });
   return token;
 }
 
+/**
+ * Slår opp en token-sesjon. Tokens til deltakere som er trukket tilbake
+ * eller har utløpt slettes med en gang.
+ */
+function getSession(tok) {
+  const sess = tok && activeTokens.get(tok);
+  if (!sess) return null;
+  if (sess.participantId && !participants.isParticipantActive(sess.participantId)) {
+    activeTokens.delete(tok);
+    audit.log('token.revoked', {
+      participantId: sess.participantId, tokenRef: tokenRef(tok), reason: 'participant inactive'
+    });
+    return null;
+  }
+  return sess;
+}
+
+// Admin-tokens holdes helt adskilt fra tester-tokens, så et tester-token
+// aldri kan brukes mot admin-API-et (og omvendt).
+const adminTokens = new PersistentMap(path.join(DATA_DIR, 'admin-tokens.json'));
+
 // Rydder bort utløpte tokens jevnlig
 setInterval(() => {
   const cutoff = Date.now() - TOKEN_TTL_MS;
-  for (const [tok, sess] of activeTokens.entries()) {
-    if (sess.issuedAt < cutoff) activeTokens.delete(tok);
+  for (const map of [activeTokens, adminTokens]) {
+    for (const [tok, sess] of map.entries()) {
+      if (sess.issuedAt >= cutoff) continue;
+      map.delete(tok);
+      if (map === activeTokens) {
+        audit.log('token.expired', { participantId: sess.participantId || null, tokenRef: tokenRef(tok) });
+      }
+    }
   }
 }, 10 * 60 * 1000); // hver 10. minutt
 
@@ -114,67 +316,1057 @@ setInterval(() => {
  */
 function requireUnlock(req, res, next) {
   const tok = req.headers['x-unlock-token'];
-  const sess = tok && activeTokens.get(tok);
+  const sess = getSession(tok);
   if (!sess) {
     return res.status(403).json({ ok: false, error: 'Locked' });
   }
 
   // Om en token fortsatt er i bruk, så forlenges den
   sess.issuedAt = Date.now();
+  activeTokens.markDirty();
   req.userLabel = sess.userLabel;
+  req.participantId = sess.participantId || null;
   req.token = tok;
   next();
 }
 
-// Brute force-beskyttelse på /api/unlock (maks 5 forsøk per 15 minutt per IP)
-const unlockLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 5,
-  standardHeaders: true,
-  legacyHeaders: false
+/**
+ * Middleware som krever at deltakeren har godtatt gjeldende samtykketekst.
+ * Brukes etter requireUnlock på endepunktene som tar imot opptak.
+ * 428 forteller klienten at samtykkesiden må vises (igjen) før opplasting.
+ */
+function requireConsent(req, res, next) {
+  const current = study.get().consent;
+  if (consents.hasAccepted(req.participantId, current)) return next();
+  res.status(428).json({ ok: false, error: 'consent required', consentVersion: current.version });
+}
+
+// Brute force-beskyttelse på /api/unlock (maks 5 forsøk per 15 minutt per IP)
+const unlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, _next, options) => {
+    audit.log('unlock.rate_limited', { ip: req.ip });
+    m.unlocks.inc({ outcome: 'rate_limited' });
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
+/**
+ * POST /api/unlock
+ * Tar imot en kode, sjekker den opp mot deltakerregisteret og returnerer et token hvis koden stemmer.
+ */
+app.post('/api/unlock', unlockLimiter, async (req, res) => {
+  const { code } = req.body || {};
+  let participant;
+  try {
+    participant = await participants.verify(code);
+  } catch (e) {
+    console.error('[unlock] error', e);
+    return res.status(500).json({ ok: false, error: 'internal error' });
+  }
+  if (!participant) {
+    audit.log('unlock.failed', { ip: req.ip, reason: 'invalid code' });
+    m.unlocks.inc({ outcome: 'failed' });
+    return res.status(401).json({ ok: false, error: 'Invalid code' });
+  }
+  audit.log('unlock.success', { participantId: participant.id, label: participant.label, ip: req.ip });
+  m.unlocks.inc({ outcome: 'success' });
+  const token = createToken(participant);
+  res.json({ ok: true, token, consentRequired: !consents.hasAccepted(participant.id, study.get().consent) });
+});
+
+// Brute force-beskyttelse på admin-API-et (kun mislykkede forsøk teller)
+const adminLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Sammenligner en oppgitt nøkkel med ADMIN_KEY i konstant tid
+function isAdminKey(value) {
+  const given = Buffer.from(String(value || ''));
+  const want  = Buffer.from(ADMIN_KEY);
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+
+// Medie-cookien for admin-siden: <video src>, postere, markeringer og ZIP-nedlasting
+// kan ikke sende headere. Cookien er HttpOnly og SameSite=Strict, gjelder bare under
+// /api/admin/, og inneholder et eget medietoken (ikke admin-tokenet), så ingen token
+// havner i URL-er, nginx-logger eller nettleserhistorikk.
+const MEDIA_COOKIE = 'adminMedia';
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0 && part.slice(0, eq).trim() === name) {
+      try { return decodeURIComponent(part.slice(eq + 1).trim()); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+function setMediaCookie(req, res, mediaToken) {
+  res.cookie(MEDIA_COOKIE, mediaToken, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    path: '/api/admin/'
+  });
+}
+
+// Admin-økten til et token fra X-admin-token (levetiden forlenges), ellers null
+function adminSessionFor(tok) {
+  const sess = tok && adminTokens.get(String(tok));
+  if (!sess) return null;
+  sess.issuedAt = Date.now();
+  adminTokens.markDirty();
+  return sess;
+}
+
+/**
+ * Middleware som krever admin-tilgang. Godtar enten:
+ *  - X-admin-token: token fra POST /api/admin/login (admin-siden)
+ *  - X-admin-key:   selve ADMIN_KEY (skript/curl)
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEY) {
+    return res.status(403).json({ ok: false, error: 'Admin disabled' });
+  }
+  if (adminSessionFor(req.headers['x-admin-token'])) return next();
+  if (isAdminKey(req.headers['x-admin-key'])) return next();
+
+  res.status(403).json({ ok: false, error: 'Forbidden' });
+}
+
+/**
+ * Som requireAdmin, men for GET-kall nettleseren gjør selv (medieavspilling og
+ * nedlasting): godtar i tillegg medie-cookien. Medietokenet gjelder bare så
+ * lenge admin-økten det ble laget for.
+ */
+function requireAdminMedia(req, res, next) {
+  if (!ADMIN_KEY) {
+    return res.status(403).json({ ok: false, error: 'Admin disabled' });
+  }
+  const mediaToken = readCookie(req, MEDIA_COOKIE);
+  if (mediaToken) {
+    for (const sess of adminTokens.values()) {
+      if (sess.mediaToken && sess.mediaToken === mediaToken) {
+        sess.issuedAt = Date.now();
+        adminTokens.markDirty();
+        return next();
+      }
+    }
+  }
+  requireAdmin(req, res, next);
+}
+
+/**
+ * POST /api/admin/login
+ * Body: { key }
+ * Bytter ADMIN_KEY mot et admin-token (samme levetid som tester-tokens).
+ */
+app.post('/api/admin/login', adminLimiter, (req, res) => {
+  if (!ADMIN_KEY) {
+    return res.status(403).json({ ok: false, error: 'Admin disabled' });
+  }
+  if (!isAdminKey(req.body?.key)) {
+    return res.status(401).json({ ok: false, error: 'Invalid key' });
+  }
+  const token = crypto.randomBytes(24).toString('hex');
+  const mediaToken = crypto.randomBytes(24).toString('hex');
+  adminTokens.set(token, { issuedAt: Date.now(), mediaToken });
+  setMediaCookie(req, res, mediaToken);
+  res.json({ ok: true, token });
+});
+
+/**
+ * POST /api/admin/media-cookie
+ * Setter medie-cookien på nytt for admin-økten i X-admin-token (f.eks. når en
+ * annen fane har logget inn eller ut og byttet eller fjernet cookien).
+ */
+app.post('/api/admin/media-cookie', adminLimiter, (req, res) => {
+  const sess = ADMIN_KEY ? adminSessionFor(req.headers['x-admin-token']) : null;
+  if (!sess) {
+    return res.status(403).json({ ok: false, error: 'Forbidden' });
+  }
+  if (!sess.mediaToken) {
+    sess.mediaToken = crypto.randomBytes(24).toString('hex');
+    adminTokens.markDirty();
+  }
+  setMediaCookie(req, res, sess.mediaToken);
+  res.json({ ok: true });
+});
+
+/**
+ * POST /api/admin/logout
+ * Ugyldiggjør admin-tokenet som sendes i X-admin-token, og medie-cookien hvis den hører til det.
+ */
+app.post('/api/admin/logout', (req, res) => {
+  const tok = req.headers['x-admin-token'];
+  const sess = tok && adminTokens.get(String(tok));
+  if (sess?.mediaToken && sess.mediaToken === readCookie(req, MEDIA_COOKIE)) {
+    res.clearCookie(MEDIA_COOKIE, { path: '/api/admin/' });
+  }
+  if (tok) adminTokens.delete(String(tok));
+  res.json({ ok: true });
+});
+
+// Felles feilsvar for admin-endepunktene (feil fra registeret har .status)
+function sendAdminError(res, e, tag) {
+  if (e?.status) {
+    return res.status(e.status).json({ ok: false, error: e.message });
+  }
+  console.error(`[${tag}] error`, e);
+  res.status(500).json({ ok: false, error: 'internal error' });
+}
+
+/**
+ * GET /api/admin/participants
+ * Lister alle deltakere (uten koder/hasher).
+ */
+app.get('/api/admin/participants', adminLimiter, requireAdmin, (_req, res) => {
+  res.json({ ok: true, participants: participants.list() });
+});
+
+/**
+ * POST /api/admin/participants
+ * Body: { label, code?, expiresAt?, singleUse? }
+ * Legger til en deltaker. Koden returneres i klartekst kun i dette svaret.
+ */
+app.post('/api/admin/participants', adminLimiter, requireAdmin, async (req, res) => {
+  try {
+    const result = await participants.add(req.body || {});
+    res.status(201).json({ ok: true, ...result });
+  } catch (e) {
+    sendAdminError(res, e, 'participants:add');
+  }
+});
+
+/**
+ * POST /api/admin/participants/:id/rotate
+ * Body: { code?, expiresAt? }
+ * Gir deltakeren en ny kode. Gamle tokens beholdes, gammel kode slutter å virke.
+ */
+app.post('/api/admin/participants/:id/rotate', adminLimiter, requireAdmin, async (req, res) => {
+  try {
+    const result = await participants.rotate(req.params.id, req.body || {});
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    sendAdminError(res, e, 'participants:rotate');
+  }
+});
+
+/**
+ * DELETE /api/admin/participants/:id
+ * Trekker tilbake tilgangen. Aktive tokens for deltakeren slutter å virke.
+ */
+app.delete('/api/admin/participants/:id', adminLimiter, requireAdmin, async (req, res) => {
+  try {
+    const participant = await participants.revoke(req.params.id);
+    for (const [tok, sess] of activeTokens) {
+      if (sess.participantId !== participant.id) continue;
+      activeTokens.delete(tok);
+      audit.log('token.revoked', { participantId: participant.id, tokenRef: tokenRef(tok), reason: 'participant revoked' });
+    }
+    res.json({ ok: true, participant });
+  } catch (e) {
+    sendAdminError(res, e, 'participants:revoke');
+  }
+});
+
+// Endelig versjon per deltaker og slot, lagret i DATA_DIR/final-takes.json
+const versions = createVersionRegistry({
+  file: path.join(DATA_DIR, 'final-takes.json'),
+  uploadDir: UPLOAD_DIR
+});
+
+// Oppbevaringstid og juridisk hold per opptak, lagret i DATA_DIR/retention.json
+const retention = createRetentionRegistry({
+  file: path.join(DATA_DIR, 'retention.json'),
+  uploadDir: UPLOAD_DIR
+});
+
+// Etterbehandlingskø (remux + poster), status lagret i DATA_DIR/jobs.json
+const jobs = createJobQueue({
+  file: path.join(DATA_DIR, 'jobs.json'),
+  uploadDir: UPLOAD_DIR,
+  tmpDir: POSTPROCESS_TMP_DIR,
+  encryption,
+  ffmpegPath: FFMPEG_PATH,
+  timeoutMs: POSTPROCESS_TIMEOUT_MS
+});
+
+// Legger et ferdig opptak i køen; null når etterbehandling er slått av
+function startProcessing(uploadId, fileName, participantId, { withPoster = true } = {}) {
+  if (!POSTPROCESS) return null;
+  return jobs.enqueue({ id: uploadId, fileName, participantId, withPoster });
+}
+
+/**
+ * GET /api/admin/recordings
+ * Lister ferdige opptak gruppert per deltaker og slot.
+ */
+app.get('/api/admin/recordings', adminLimiter, requireAdmin, async (_req, res) => {
+  try {
+    const inFlightFiles = new Set(Array.from(inFlight.values(), s => s.filepath));
+    const result = await listRecordings(UPLOAD_DIR, { inFlightFiles });
+    const retentionDays = study.get().retentionDays;
+    const withRetention = (rec) => {
+      rec.retention = expiryFor(rec.metadata?.finishedAt || rec.modifiedAt, retentionDays, retention.get(rec.fileName));
+    };
+    for (const p of result.participants) {
+      for (const slot of p.slots) {
+        markFinalVersion(slot.slot, slot.recordings);
+        slot.recordings.forEach(withRetention);
+      }
+    }
+    result.unassigned.forEach(withRetention);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    sendAdminError(res, e, 'recordings:list');
+  }
+});
+
+/**
+ * Merker opptakene i en slot med versjonsnummer og om de er den endelige versjonen
+ * (per deltaker, slik deltakeren eller versjonspolicyen har valgt).
+ */
+function markFinalVersion(slot, recordings) {
+  const byParticipant = new Map();
+  for (const rec of recordings) {
+    const pid = rec.metadata?.participantId || null;
+    if (!byParticipant.has(pid)) byParticipant.set(pid, []);
+    byParticipant.get(pid).push(rec);
+  }
+  for (const [pid, recs] of byParticipant) {
+    const entries = recs.map(r => ({ fileName: r.fileName, finishedAt: r.metadata?.finishedAt || r.modifiedAt }));
+    const finalName = pickFinal(entries, pid ? versions.chosenFinal(pid, slot) : null);
+    for (const r of recs) {
+      r.version = r.metadata?.version ?? null;
+      r.final = r.fileName === finalName;
+    }
+  }
+}
+
+// Content-Type for mediefilene vi strømmer selv
+const MEDIA_TYPES = {
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.jpg': 'image/jpeg'
+};
+
+/**
+ * Strømmer en mediefil fra UPLOAD_DIR og dekrypterer underveis.
+ * Håndterer Range-forespørsler (206/416) selv, siden filstørrelsen på disk
+ * ikke er den samme som størrelsen på innholdet.
+ */
+async function sendMedia(req, res, name) {
+  const filepath = path.join(UPLOAD_DIR, name);
+  let size;
+  try {
+    const info = await encryption.describe(filepath);
+    if (!info.readable) throw new Error(`no key for ${info.keyId}`);
+    size = info.plainSize;
+  } catch (e) {
+    if (e.code === 'ENOENT') return res.status(404).json({ ok: false, error: 'not found' });
+    console.error('[media] cannot read', name, e.message);
+    return res.status(500).json({ ok: false, error: 'cannot read file' });
+  }
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'no-store',
+    'Content-Type': MEDIA_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream'
+  });
+
+  let start = 0;
+  let end = size - 1;
+  const ranges = req.headers.range ? req.range(size, { combine: true }) : undefined;
+  if (ranges === -1) {
+    return res.status(416).set('Content-Range', `bytes */${size}`).end();
+  }
+  // Flere utsnitt (multipart) støttes ikke; da sendes hele filen
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    ({ start, end } = ranges[0]);
+    res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  res.set('Content-Length', String(Math.max(end - start + 1, 0)));
+  if (req.method === 'HEAD' || size === 0) return res.end();
+
+  encryption.createReadStream(filepath, { start, end })
+    .on('error', (e) => {
+      console.error('[media] stream failed', name, e.message);
+      res.destroy(e);
+    })
+    .pipe(res);
+}
+
+/**
+ * GET /api/admin/recordings/:fileName
+ * Strømmer et opptak (dekryptert). Range-forespørsler gir 206,
+ * så videospilleren kan hoppe i filen.
+ */
+app.get('/api/admin/recordings/:fileName', adminLimiter, requireAdminMedia, (req, res) => {
+  const { fileName } = req.params;
+  if (!isSafeRecordingName(fileName)) {
+    return res.status(400).json({ ok: false, error: 'invalid file name' });
+  }
+  sendMedia(req, res, fileName);
+});
+
+/**
+ * GET /api/admin/recordings/:fileName/metadata
+ * Metadata (sidecar) for ett opptak.
+ */
+app.get('/api/admin/recordings/:fileName/metadata', adminLimiter, requireAdmin, async (req, res) => {
+  const { fileName } = req.params;
+  if (!isSafeRecordingName(fileName)) {
+    return res.status(400).json({ ok: false, error: 'invalid file name' });
+  }
+  const metadata = await readMetadata(UPLOAD_DIR, fileName);
+  if (!metadata) {
+    return res.status(404).json({ ok: false, error: 'not found' });
+  }
+  res.json({ ok: true, metadata });
+});
+
+/**
+ * GET /api/admin/recordings/:fileName/poster
+ * Stillbilde laget av etterbehandlingen.
+ */
+app.get('/api/admin/recordings/:fileName/poster', adminLimiter, requireAdminMedia, (req, res) => {
+  const { fileName } = req.params;
+  if (!isSafeRecordingName(fileName)) {
+    return res.status(400).json({ ok: false, error: 'invalid file name' });
+  }
+  sendMedia(req, res, path.basename(sidecarPath(UPLOAD_DIR, fileName, '.jpg')));
+});
+
+/**
+ * GET /api/admin/recordings/:fileName/markers.vtt
+ * Markeringene som WebVTT, kan lastes som <track> i videospilleren.
+ */
+app.get('/api/admin/recordings/:fileName/markers.vtt', adminLimiter, requireAdminMedia, (req, res) => {
+  const { fileName } = req.params;
+  if (!isSafeRecordingName(fileName)) {
+    return res.status(400).json({ ok: false, error: 'invalid file name' });
+  }
+  res.sendFile(path.basename(sidecarPath(UPLOAD_DIR, fileName, '.vtt')), {
+    root: UPLOAD_DIR,
+    dotfiles: 'deny',
+    headers: { 'Cache-Control': 'no-store', 'Content-Type': 'text/vtt; charset=utf-8' }
+  }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 500).json({ ok: false, error: 'not found' });
+    }
+  });
+});
+
+/**
+ * GET /api/admin/jobs
+ * Alle etterbehandlingsjobber, nyeste først.
+ */
+app.get('/api/admin/jobs', adminLimiter, requireAdmin, (_req, res) => {
+  res.json({ ok: true, jobs: jobs.list() });
+});
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Kjører en feilet etterbehandling på nytt.
+ */
+app.post('/api/admin/jobs/:id/retry', adminLimiter, requireAdmin, (req, res) => {
+  try {
+    res.json({ ok: true, job: jobs.retry(req.params.id) });
+  } catch (e) {
+    sendAdminError(res, e, 'jobs:retry');
+  }
+});
+
+/**
+ * GET /api/admin/audit?participantId=&participant=&uploadId=&fileName=&event=&since=&limit=
+ * Søker i revisjonsloggen (nyeste først). participant er etiketten (f.eks. Tester1),
+ * event kan være et prefiks (f.eks. "chunk."). limit er maks 1000 (standard 200).
+ */
+app.get('/api/admin/audit', adminLimiter, requireAdmin, async (req, res) => {
+  try {
+    const q = req.query || {};
+    const str = (v) => (typeof v === 'string' && v ? v.slice(0, 200) : undefined);
+
+    let participantId = str(q.participantId);
+    if (!participantId && str(q.participant)) {
+      const hit = participants.list().find(p => p.label === q.participant);
+      if (!hit) return res.status(404).json({ ok: false, error: 'unknown participant' });
+      participantId = hit.id;
+    }
+
+    const limit = Math.min(1000, Math.max(1, Number(q.limit) || 200));
+    const entries = await audit.query({
+      participantId,
+      uploadId: str(q.uploadId),
+      fileName: str(q.fileName),
+      event: str(q.event),
+      since: str(q.since),
+      limit
+    });
+    res.json({ ok: true, entries });
+  } catch (e) {
+    sendAdminError(res, e, 'audit');
+  }
+});
+
+/**
+ * GET /api/admin/questionnaires.csv?slot=
+ * Alle svar på spørreskjemaene som CSV (én rad per besvarelse), valgfritt for én oppgave.
+ * version/final viser om besvarelsen hører til den endelige versjonen av oppgaven.
+ */
+app.get('/api/admin/questionnaires.csv', adminLimiter, requireAdmin, async (req, res) => {
+  const slot = req.query.slot ? Number(req.query.slot) : null;
+  if (slot !== null && !study.isValidSlot(slot)) return badSlot(res);
+  try {
+    const records = (await listAnswers(UPLOAD_DIR)).filter(r => slot === null || r.slot === slot);
+    const index = await versions.index();
+    const lists = new Map();
+    for (const r of records) {
+      const k = `${r.participantId}:${r.slot}`;
+      if (!lists.has(k)) lists.set(k, index.list(r.participantId, r.slot));
+      const v = lists.get(k).find(x => x.fileName === r.fileName);
+      r.version = v?.version ?? null;
+      r.final = v ? v.final : null;
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition',
+      `attachment; filename="sporreskjema${slot ? `-oppgave${slot}` : ''}.csv"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(answersToCsv(records, ['version', 'final']));
+  } catch (e) {
+    sendAdminError(res, e, 'questionnaires:csv');
+  }
+});
+
+/**
+ * GET /api/admin/export.zip?participantId=&participant=&slot=
+ * Strømmer en ZIP med opptak, mikrofonfiler, metadata, poster, markeringer og svar
+ * på spørreskjema: for én deltaker (id eller etikett), én oppgave, begge, eller hele
+ * studien uten filter. manifest.json til slutt beskriver hver fil med sha256 og crc32.
+ * Filene leses og skrives fortløpende, så ZIP-en bufres aldri i minnet.
+ */
+app.get('/api/admin/export.zip', adminLimiter, requireAdminMedia, async (req, res) => {
+  const q = req.query || {};
+  let participant = null;
+  if (q.participantId || q.participant) {
+    participant = q.participantId
+      ? participants.get(String(q.participantId))
+      : participants.list().find(p => p.label === q.participant);
+    if (!participant) return res.status(404).json({ ok: false, error: 'unknown participant' });
+  }
+  const slot = q.slot ? Number(q.slot) : null;
+  if (slot !== null && !study.isValidSlot(slot)) return badSlot(res);
+
+  let recordings;
+  try {
+    const inFlightFiles = new Set(Array.from(inFlight.values(), s => s.filepath));
+    recordings = await collectExport(UPLOAD_DIR, { participant, slot, inFlightFiles });
+    const bySlot = new Map();
+    for (const rec of recordings) {
+      if (!bySlot.has(rec.slot)) bySlot.set(rec.slot, []);
+      bySlot.get(rec.slot).push(rec);
+    }
+    for (const [s, recs] of bySlot) if (s !== null) markFinalVersion(s, recs);
+  } catch (e) {
+    return sendAdminError(res, e, 'export');
+  }
+
+  const scope = [participant?.label || 'studie', slot ? `oppgave${slot}` : null].filter(Boolean).join('-');
+  const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="opptak-${scope}-${stamp}.zip"`);
+  res.setHeader('Cache-Control', 'no-store');
+  // nginx skal sende videre fortløpende, ikke mellomlagre hele ZIP-en
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  try {
+    const zip = createZipWriter(res);
+    const currentStudy = study.get();
+    const studyEntry = await zip.addBuffer('study.json', Buffer.from(JSON.stringify(currentStudy, null, 2)));
+    const files = await writeExport(zip, recordings, { reader: encryption });
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      study: currentStudy.title,
+      scope: { participant: participant?.label || null, participantId: participant?.id || null, slot },
+      recordings: recordings.length,
+      files: [{ path: 'study.json', kind: 'study', ...studyEntry }, ...files]
+    };
+    await zip.addBuffer('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+    await zip.finish();
+    audit.log('export.downloaded', {
+      participantId: participant?.id || null, slot, recordings: recordings.length, files: files.length,
+      bytes: files.reduce((sum, f) => sum + f.bytes, 0)
+    });
+  } catch (e) {
+    if (e.code !== 'ABORTED') console.error('[export] error', e);
+    // Headere er allerede sendt; avbryt så klienten ser at ZIP-en er ufullstendig
+    res.destroy();
+  }
+});
+
+/**
+ * Sletter et ferdig opptak med alt som hører til: metadata, poster, markeringer,
+ * svar på spørreskjema og egen mikrofonfil. Kaster ENOENT hvis selve opptaket ikke finnes.
+ * Kalleren sjekker på forhånd at opptaket ikke lastes opp eller etterbehandles.
+ */
+async function removeRecording(fileName, { by }) {
+  const metadata = await readMetadata(UPLOAD_DIR, fileName);
+  await fsp.unlink(path.join(UPLOAD_DIR, fileName));
+  await fsp.unlink(sidecarPath(UPLOAD_DIR, fileName, '.json')).catch(() => {});
+  await fsp.unlink(sidecarPath(UPLOAD_DIR, fileName, '.jpg')).catch(() => {});
+  await fsp.unlink(sidecarPath(UPLOAD_DIR, fileName, '.vtt')).catch(() => {});
+  await fsp.unlink(sidecarPath(UPLOAD_DIR, fileName, ANSWERS_EXT)).catch(() => {});
+  if (!isStemName(fileName)) {
+    const named = metadata?.stems?.mic?.fileName;
+    const stem = isStemName(named || '') && isSafeRecordingName(named) ? named : micStemName(fileName);
+    await fsp.unlink(path.join(UPLOAD_DIR, stem)).catch(() => {});
+    jobs.forget(stem);
+  }
+  jobs.forget(fileName);
+  await retention.forget(fileName);
+  quota.invalidate();
+  audit.log('recording.deleted', {
+    participantId: metadata?.participantId || null, uploadId: metadata?.uploadId || null,
+    fileName, by
+  });
+  return metadata;
+}
+
+/**
+ * DELETE /api/admin/recordings/:fileName
+ * Sletter et ferdig opptak permanent, sammen med metadata, poster og markeringer.
+ */
+app.delete('/api/admin/recordings/:fileName', adminLimiter, requireAdmin, async (req, res) => {
+  const { fileName } = req.params;
+  if (!isSafeRecordingName(fileName)) {
+    return res.status(400).json({ ok: false, error: 'invalid file name' });
+  }
+  const fp = path.join(UPLOAD_DIR, fileName);
+  for (const s of inFlight.values()) {
+    if (s.filepath === fp) {
+      return res.status(409).json({ ok: false, error: 'upload in progress' });
+    }
+  }
+  if (jobs.isBusy(fileName)) {
+    return res.status(409).json({ ok: false, error: 'processing in progress' });
+  }
+  if (retention.isHeld(fileName)) {
+    return res.status(409).json({ ok: false, error: 'recording is on legal hold' });
+  }
+  try {
+    await removeRecording(fileName, { by: 'admin' });
+    res.json({ ok: true, fileName });
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return res.status(404).json({ ok: false, error: 'not found' });
+    }
+    sendAdminError(res, e, 'recordings:delete');
+  }
+});
+
+/**
+ * Oppbevaringsstatus for alle ferdige opptak på tidspunktet now (se retention.js).
+ * action: delete (utløpt), hold (juridisk hold), busy (utløpt, men etterbehandles) eller keep.
+ */
+async function retentionReport(now = Date.now()) {
+  const skip = new Set(Array.from(inFlight.values(), s => s.filepath));
+  const recordings = await retention.report({ studyDays: study.get().retentionDays, now, skip });
+  for (const rec of recordings) {
+    rec.action = rec.legalHold ? 'hold'
+      : !rec.expired ? 'keep'
+        : jobs.isBusy(rec.fileName) ? 'busy' : 'delete';
+  }
+  return recordings;
+}
+
+/**
+ * GET /api/admin/retention?at=<ISO-dato>
+ * Prøvekjøring: hvilke opptak som ville blitt slettet nå (eller på datoen i at).
+ * Sletter ingenting.
+ */
+app.get('/api/admin/retention', adminLimiter, requireAdmin, async (req, res) => {
+  const at = req.query.at ? Date.parse(String(req.query.at)) : Date.now();
+  if (!Number.isFinite(at)) {
+    return res.status(400).json({ ok: false, error: 'at must be an ISO date' });
+  }
+  try {
+    const recordings = await retentionReport(at);
+    const count = action => recordings.filter(r => r.action === action).length;
+    res.json({
+      ok: true,
+      dryRun: true,
+      at: new Date(at).toISOString(),
+      retentionDays: study.get().retentionDays,
+      sweepIntervalMs: RETENTION_SWEEP_MS,
+      summary: {
+        recordings: recordings.length,
+        delete: count('delete'),
+        deleteBytes: recordings.filter(r => r.action === 'delete').reduce((sum, r) => sum + r.bytes, 0),
+        hold: count('hold'),
+        busy: count('busy'),
+        keep: count('keep')
+      },
+      recordings
+    });
+  } catch (e) {
+    sendAdminError(res, e, 'retention:report');
+  }
+});
+
+/**
+ * PUT /api/admin/recordings/:fileName/retention
+ * Body: { retentionDays?: antall dager | null, legalHold?: boolean, reason?: string }
+ * Overstyrer oppbevaringstiden for ett opptak (null = studiens tid) og/eller
+ * setter/opphever juridisk hold.
+ */
+app.put('/api/admin/recordings/:fileName/retention', adminLimiter, requireAdmin, async (req, res) => {
+  const { fileName } = req.params;
+  if (!isSafeRecordingName(fileName) || isStemName(fileName)) {
+    return res.status(400).json({ ok: false, error: 'invalid file name' });
+  }
+  const { retentionDays, legalHold, reason } = req.body || {};
+  try {
+    const st = await fsp.stat(path.join(UPLOAD_DIR, fileName));
+    const metadata = await readMetadata(UPLOAD_DIR, fileName);
+    const entry = await retention.set(fileName, { retentionDays, legalHold, reason });
+    audit.log('retention.updated', {
+      participantId: metadata?.participantId || null, fileName,
+      retentionDays: entry?.retentionDays ?? null, legalHold: entry?.legalHold === true
+    });
+    res.json({
+      ok: true,
+      fileName,
+      retention: expiryFor(metadata?.finishedAt || st.mtime.toISOString(), study.get().retentionDays, entry)
+    });
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return res.status(404).json({ ok: false, error: 'not found' });
+    }
+    sendAdminError(res, e, 'retention:update');
+  }
+});
+
+/**
+ * Alle ferdige opptak som tilhører en deltaker: metadataen peker på deltakeren,
+ * eller (for eldre opptak uten deltaker-id) filnavnet starter med etiketten.
+ * Returnerer [{ fileName, metadata }].
+ */
+async function participantRecordings(participant) {
+  const out = [];
+  for (const name of await fsp.readdir(UPLOAD_DIR)) {
+    if (!isSafeRecordingName(name) || isStemName(name)) continue;
+    const metadata = await readMetadata(UPLOAD_DIR, name);
+    const owner = metadata?.participantId
+      ? metadata.participantId === participant.id
+      : parseRecordingName(name)?.label === participant.label;
+    if (owner) out.push({ fileName: name, metadata });
+  }
+  return out;
+}
+
+// Kvitteringer for sletteforespørsler, lagret i DATA_DIR/erasure-receipts.json
+const erasureReceipts = new PersistentMap(path.join(DATA_DIR, 'erasure-receipts.json'));
+
+/**
+ * POST /api/admin/participants/:id/erase
+ * Sletteforespørsel (GDPR): sletter alle opptak med metadata, poster, markeringer
+ * og mikrofonfiler, pågående opplastinger, samtykker, versjonsvalg og alle
+ * hendelser om deltakeren i revisjonsloggen. Deltakeren trekkes tilbake.
+ * Svarer med en kvittering som også lagres (uten selve dataene).
+ */
+app.post('/api/admin/participants/:id/erase', adminLimiter, requireAdmin, async (req, res) => {
+  const participant = participants.get(req.params.id);
+  if (!participant) {
+    return res.status(404).json({ ok: false, error: 'unknown participant' });
+  }
+  try {
+    const recordings = await participantRecordings(participant);
+    const uploads = Array.from(inFlight).filter(([, s]) => s.ownerParticipant === participant.id);
+    if (uploads.some(([id]) => writingNow.has(id))) {
+      return res.status(409).json({ ok: false, error: 'upload in progress' });
+    }
+    if (recordings.some(r => jobs.isBusy(r.fileName))) {
+      return res.status(409).json({ ok: false, error: 'processing in progress' });
+    }
+    // Juridisk hold må oppheves før noe slettes, så sletteforespørselen ikke blir halvveis utført
+    const held = recordings.filter(r => retention.isHeld(r.fileName)).map(r => r.fileName);
+    if (held.length) {
+      return res.status(409).json({ ok: false, error: 'recordings on legal hold', fileNames: held });
+    }
+
+    // Stopp tilgangen først, så det ikke kommer nye opptak underveis
+    await participants.markErased(participant.id);
+    let tokensRevoked = 0;
+    for (const [tok, sess] of activeTokens) {
+      if (sess.participantId !== participant.id) continue;
+      activeTokens.delete(tok);
+      tokensRevoked++;
+    }
+
+    const uploadIds = new Set();
+    const fileNames = new Set();
+    const removed = [];
+    let bytes = 0;
+    for (const { fileName, metadata } of recordings) {
+      try {
+        const size = (await fsp.stat(path.join(UPLOAD_DIR, fileName))).size;
+        await removeRecording(fileName, { by: 'erasure' });
+        removed.push({ fileName, bytes: size });
+        bytes += size;
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      fileNames.add(fileName);
+      if (metadata?.uploadId) uploadIds.add(metadata.uploadId);
+    }
+
+    for (const [id, s] of uploads) {
+      try { s.stream.end(); } catch {}
+      await fsp.unlink(s.filepath).catch(() => {});
+      await fsp.unlink(path.join(UPLOAD_DIR, `${id}.owner`)).catch(() => {});
+      inFlight.delete(id);
+      uploadIds.add(id);
+      bytes += s.bytes || 0;
+    }
+    for (const [id, done] of finishedUploads) {
+      if (done.ownerParticipant !== participant.id) continue;
+      finishedUploads.delete(id);
+      uploadIds.add(id);
+    }
+    await finishedUploads.save();
+    quota.invalidate();
+
+    // Hendelser som bare har uploadId (f.eks. fra oppryddingen) hører også til deltakeren
+    for (const e of await audit.query({ participantId: participant.id, limit: Infinity })) {
+      if (e.uploadId) uploadIds.add(e.uploadId);
+      if (e.fileName) fileNames.add(e.fileName);
+    }
+    const auditEntries = await audit.erase(e =>
+      e.participantId === participant.id ||
+      e.label === participant.label ||
+      (e.uploadId && uploadIds.has(e.uploadId)) ||
+      (e.fileName && fileNames.has(e.fileName)));
+
+    const receipt = {
+      receiptId: uuidv4(),
+      participantId: participant.id,
+      label: participant.label,
+      erasedAt: new Date().toISOString(),
+      recordings: removed,
+      bytes,
+      inFlightUploads: uploads.length,
+      auditEntries,
+      consentRecords: await consents.forget(participant.id),
+      finalTakes: await versions.forgetParticipant(participant.id),
+      tokensRevoked
+    };
+    // Kvitteringen er gitt ut når svaret er sendt, så den lagres før det
+    erasureReceipts.set(receipt.receiptId, receipt);
+    await erasureReceipts.save();
+    audit.log('participant.erased', {
+      receiptId: receipt.receiptId, recordings: removed.length, auditEntries
+    });
+    res.json({ ok: true, receipt });
+  } catch (e) {
+    sendAdminError(res, e, 'participants:erase');
+  }
+});
+
+/**
+ * GET /api/admin/erasures
+ * Kvitteringer for utførte sletteforespørsler, nyeste først.
+ */
+app.get('/api/admin/erasures', adminLimiter, requireAdmin, (_req, res) => {
+  const receipts = Array.from(erasureReceipts.values())
+    .sort((a, b) => b.erasedAt.localeCompare(a.erasedAt));
+  res.json({ ok: true, receipts });
+});
+
+/**
+ * GET /api/whoami
+ * Brukes av frontend for å sjekke om et token fortsatt er gyldig.
+ */
+app.get('/api/whoami', (req, res) => {
+  const tok = req.headers['x-unlock-token'];
+  const sess = getSession(tok);
+  res.json({
+    ok: !!sess,
+    tokenSeen: !!tok,
+    userLabel: sess?.userLabel || null
+  });
+});
+
+/**
+ * GET /api/consent
+ * Gjeldende samtykketekst fra studien og om deltakeren har godtatt den.
+ */
+app.get('/api/consent', requireUnlock, (req, res) => {
+  const current = study.get().consent;
+  res.json({ ok: true, consent: current, ...consents.status(req.participantId, current) });
+});
+
+/**
+ * POST /api/consent
+ * Body: { version }
+ * Deltakeren godtar samtykketeksten med denne versjonen. Er teksten byttet ut
+ * siden den ble vist, avvises det med 409 og klienten må vise den nye.
+ */
+app.post('/api/consent', requireUnlock, async (req, res) => {
+  if (!req.participantId) {
+    return res.status(400).json({ ok: false, error: 'participant required' });
+  }
+  const current = study.get().consent;
+  try {
+    const status = await consents.accept(req.participantId, current, { version: req.body?.version });
+    audit.log('consent.accepted', {
+      participantId: req.participantId, version: current.version, tokenRef: tokenRef(req.token)
+    });
+    res.json({ ok: true, consent: current, ...status });
+  } catch (e) {
+    if (e.status) {
+      return res.status(e.status).json({ ok: false, error: e.message, consentVersion: current.version });
+    }
+    console.error('[consent] error', e);
+    res.status(500).json({ ok: false, error: 'internal error' });
+  }
+});
+
+/**
+ * GET /api/slots/:slot/versions
+ * Deltakerens egne versjoner av en oppgave (eldste først), hvilken som er
+ * endelig, og versjonspolicyen for oppgaven.
+ */
+app.get('/api/slots/:slot/versions', requireUnlock, async (req, res) => {
+  const slot = Number(req.params.slot);
+  if (!study.isValidSlot(slot)) return badSlot(res);
+  if (!req.participantId) return res.json({ ok: true, slot, policy: null, versions: [] });
+  try {
+    res.json({
+      ok: true,
+      slot,
+      policy: study.getTask(slot)?.versions || 'keep-all',
+      versions: await versions.list(req.participantId, slot)
+    });
+  } catch (e) {
+    console.error('[versions] list error', e);
+    res.status(500).json({ error: 'versions lookup failed' });
+  }
 });
 
 /**
- * POST /api/unlock
- * Tar imot en kode, sjekker den opp mot CODE_TO_USER og returnerer et token hvis koden stemmer.
+ * POST /api/slots/:slot/final
+ * Body: { fileName }
+ * Deltakeren velger hvilken versjon av oppgaven som er den endelige.
  */
-app.post('/api/unlock', unlockLimiter, (req, res) => {
-  const { code } = req.body || {};
-  const userLabel = CODE_TO_USER.get(String(code || '').trim());
-  if (!userLabel) {
-    return res.status(401).json({ ok: false, error: 'Invalid code' });
+app.post('/api/slots/:slot/final', requireUnlock, async (req, res) => {
+  const slot = Number(req.params.slot);
+  if (!study.isValidSlot(slot)) return badSlot(res);
+  const fileName = req.body?.fileName;
+  if (!isSafeRecordingName(fileName) || !req.participantId) {
+    return res.status(400).json({ error: 'fileName required' });
+  }
+  try {
+    const list = await versions.setFinal(req.participantId, slot, fileName, 'participant');
+    audit.log('version.final', { participantId: req.participantId, slot, fileName });
+    res.json({ ok: true, slot, versions: list });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('[versions] final error', e);
+    res.status(500).json({ error: 'could not set final version' });
   }
-  const token = createToken(userLabel);
-  res.json({ ok: true, token });
 });
 
 /**
- * GET /api/whoami
- * Brukes av frontend for å sjekke om et token fortsatt er gyldig.
+ * POST /api/slots/:slot/questionnaire
+ * Body: { fileName, answers: { [spørsmåls-id]: verdi } }
+ * Svar på spørreskjemaet etter en oppgave. Lagres ved siden av opptaket
+ * (fileName må være deltakerens eget opptak av oppgaven). Sendes det inn på
+ * nytt, erstattes de forrige svarene.
  */
-app.get('/api/whoami', (req, res) => {
-  const tok = req.headers['x-unlock-token'];
-  const sess = tok && activeTokens.get(tok);
-  res.json({
-    ok: !!sess,
-    tokenSeen: !!tok,
-    userLabel: sess?.userLabel || null
-  });
+app.post('/api/slots/:slot/questionnaire', requireUnlock, requireConsent, async (req, res) => {
+  const slot = Number(req.params.slot);
+  if (!study.isValidSlot(slot)) return badSlot(res);
+  const task = study.getTask(slot);
+  if (!task.questionnaire) {
+    return res.status(404).json({ error: 'no questionnaire for slot' });
+  }
+  const fileName = req.body?.fileName;
+  if (!isSafeRecordingName(fileName) || isStemName(fileName) || !req.participantId) {
+    return res.status(400).json({ error: 'fileName required' });
+  }
+  try {
+    const metadata = await readMetadata(UPLOAD_DIR, fileName);
+    if (!metadata || metadata.participantId !== req.participantId || metadata.slot !== slot) {
+      return res.status(404).json({ error: 'unknown recording' });
+    }
+    const answers = validateAnswers(task.questionnaire, req.body?.answers);
+    const record = {
+      participant: req.userLabel || null,
+      participantId: req.participantId,
+      slot,
+      task: task.title,
+      fileName,
+      uploadId: metadata.uploadId || null,
+      submittedAt: new Date().toISOString(),
+      // Spørsmålene slik de var da deltakeren svarte (studien kan endres senere)
+      questions: task.questionnaire.questions.map(({ id, type, label }) => ({ id, type, label })),
+      answers
+    };
+    await writeAnswers(UPLOAD_DIR, fileName, record);
+    audit.log('questionnaire.submitted', {
+      participantId: req.participantId, uploadId: record.uploadId, slot, fileName
+    });
+    res.json({ ok: true, slot, fileName, submittedAt: record.submittedAt });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('[questionnaire] error', e);
+    res.status(500).json({ error: 'could not save answers' });
+  }
 });
 
 /**
  * Oversetter mimetype -> trygg filendelse.
  * Forsøker å tvinge alle opplastinger til .webm / .mp4 / .mov.
+ * Parametere som ";codecs=avc1.42E01E,mp4a.40.2" ignoreres.
  */
 function safeExt(mime) {
   if (!mime) return '.webm';
-  const m = String(mime).toLowerCase();
+  const m = String(mime).toLowerCase().split(';')[0].trim();
   if (m.includes('webm'))      return '.webm';
-  if (m.includes('mp4'))       return '.mp4';
+  if (m.includes('mp4') || m === 'video/x-m4v') return '.mp4';
   if (m.includes('quicktime')) return '.mov';
   return '.webm';
 }
 
+/**
+ * Finner containeren ut fra de første bytene i filen, så endelsen stemmer
+ * selv om nettleseren oppgir en annen mimetype (f.eks. Safari).
+ *  - WebM/Matroska starter med EBML-headeren 1A 45 DF A3
+ *  - MP4/MOV har "ftyp" (eller "moov"/"wide" i eldre filer) på byte 4-7
+ * Returnerer null hvis vi ikke kjenner igjen formatet.
+ */
+function sniffExt(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf.readUInt32BE(0) === 0x1a45dfa3) return '.webm';
+  const box = buf.toString('latin1', 4, 8);
+  if (box === 'ftyp') {
+    return buf.toString('latin1', 8, 12) === 'qt  ' ? '.mov' : '.mp4';
+  }
+  if (box === 'moov' || box === 'wide' || box === 'mdat') return '.mov';
+  return null;
+}
+
 /**
  * Genererer tidsstempel til filnavn: YYYYMMDD-HHMMSS
  */
@@ -186,43 +1378,155 @@ function timestamp() {
     .replace('T', '-'); // YYYYMMDD-HHMMSS
 }
 
-// Lagre filer direkte til disk med et tilfeldig UUID-basert navn
-const diskStorage = multer.diskStorage({
-  destination: (_req, _file, cb) => cb(null, UPLOAD_DIR),
-  filename: (_req, file, cb) => {
-    const id = uuidv4();
-    const ext = safeExt(file.mimetype);
-    cb(null, `${id}${ext}`);
+/**
+ * Multer-lagring: skriver filen direkte til disk med et tilfeldig UUID-basert navn,
+ * kryptert underveis når kryptering er på, og regner ut SHA-256 av innholdet.
+ */
+const encryptedStorage = {
+  _handleFile(_req, file, cb) {
+    const filename = `${uuidv4()}${safeExt(file.mimetype)}`;
+    const filepath = path.join(UPLOAD_DIR, filename);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    pipeline(
+      file.stream,
+      async function* (source) {
+        for await (const chunk of source) {
+          hash.update(chunk);
+          size += chunk.length;
+          yield chunk;
+        }
+      },
+      encryption.createAppendStream(filepath)
+    )
+      .then(() => encryption.finalize(filepath))
+      .then(() => cb(null, { destination: UPLOAD_DIR, filename, path: filepath, size, sha256: hash.digest('hex') }))
+      .catch(e => fsp.unlink(filepath).catch(() => {}).then(() => cb(e)));
+  },
+  _removeFile(_req, file, cb) {
+    fsp.unlink(file.path).then(() => cb(null), cb);
   }
-});
+};
 
 // Multer-oppsett for single upload med 3GB-grense og whitelist på video-MIME
 const uploadSingle = multer({
-  storage: diskStorage,
+  storage: encryptedStorage,
   limits: { fileSize: 3 * 1024 * 1024 * 1024 }, // 3 GB
   fileFilter: (_req, file, cb) => {
-    const ok = ['video/webm', 'video/mp4', 'video/quicktime'].includes(file.mimetype);
-    cb(ok ? null : new Error('Unsupported media type'));
+    const type = String(file.mimetype || '').toLowerCase().split(';')[0].trim();
+    const ok = ['video/webm', 'video/mp4', 'video/quicktime', 'video/x-m4v'].includes(type);
+    cb(ok ? null : new Error('Unsupported media type'), ok);
+  }
+});
+
+// Bytes deltakeren har i pågående (ikke ferdige) chunkede opplastinger
+function inFlightBytesFor(participantId) {
+  let total = 0;
+  for (const sess of inFlight.values()) {
+    if (sess.ownerParticipant === participantId) total += sess.bytes || 0;
+  }
+  return total;
+}
+
+const quota = createQuotaTracker({
+  uploadDir: UPLOAD_DIR,
+  limitBytes: PARTICIPANT_QUOTA_BYTES,
+  inFlightBytes: inFlightBytesFor
+});
+
+async function sendQuotaExceeded(req, res) {
+  res.status(413).json({ error: 'quota exceeded', quota: await quota.status(req.participantId) });
+}
+
+// Avviser en enkeltopplasting før den skrives til disk hvis Content-Length alene sprenger kvoten
+async function checkQuotaBeforeUpload(req, res, next) {
+  try {
+    const declared = Number(req.headers['content-length']) || 0;
+    if (await quota.wouldExceed(req.participantId, declared)) {
+      return sendQuotaExceeded(req, res);
+    }
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * GET /api/quota
+ * Hvor mye deltakeren har lagret, og hvor mye plass som er igjen.
+ */
+app.get('/api/quota', requireUnlock, async (req, res) => {
+  try {
+    res.json({ ok: true, quota: await quota.status(req.participantId) });
+  } catch (e) {
+    console.error('[quota] error', e);
+    res.status(500).json({ error: 'quota lookup failed' });
   }
 });
 
 /**
  * POST /api/upload
  * Vanlig single-file upload.
- * Krever gyldig token (requireUnlock).
+ * Krever gyldig token (requireUnlock) og godtatt samtykke (requireConsent).
  */
-app.post('/api/upload', requireUnlock, uploadSingle.single('file'), (req, res) => {
+app.post('/api/upload', requireUnlock, requireConsent, checkQuotaBeforeUpload, uploadSingle.single('file'), async (req, res) => {
+  let release = null;
   try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'file required' });
+    }
     const fileName = req.file.filename;
+
+    // Content-Length kan mangle eller være feil, så den faktiske størrelsen sjekkes også.
+    // Plassen holdes av til opptaket er talt med, så samtidige opplastinger ikke
+    // kan bruke den samme ledige plassen.
+    release = await quota.reserve(req.participantId, req.file.size);
+    if (!release) {
+      await fsp.unlink(req.file.path).catch(() => {});
+      return sendQuotaExceeded(req, res);
+    }
+
+    // Hash av innholdet, regnet ut mens filen ble skrevet; sjekkes mot klientens hash hvis den er sendt
+    const sha256 = req.file.sha256;
+    const expected = req.body?.sha256;
+    if (isSha256Hex(expected) && expected.toLowerCase() !== sha256) {
+      await fsp.unlink(req.file.path).catch(() => {});
+      audit.log('upload.finish_rejected', {
+        participantId: req.participantId, uploadId: path.parse(fileName).name, status: 422,
+        reason: 'checksum mismatch', single: true
+      });
+      return res.status(422).json({ error: 'checksum mismatch' });
+    }
+
+    const metadata = buildMetadata({
+      req, fileName, uploadId: path.parse(fileName).name, slot: null, sess: null,
+      bytes: req.file.size, sha256, verified: isSha256Hex(expected),
+      clientMeta: { ...parseClientMeta(req.body?.meta), source: 'file', mimeType: req.file.mimetype }
+    });
+    await writeSidecars(fileName, metadata, 'single-upload');
+    quota.recorded(req.participantId, req.file.size);
+    audit.log('upload.finished', {
+      participantId: req.participantId, uploadId: path.parse(fileName).name, slot: null, fileName,
+      bytes: req.file.size, sha256, verified: isSha256Hex(expected), single: true
+    });
+    m.finished.inc({ kind: 'single' });
+
     res.json({
       ok: true,
       id: path.parse(fileName).name,
       fileName,
-      path: `/uploads/${fileName}`
+      path: `/uploads/${fileName}`,
+      sha256,
+      bytes: req.file.size,
+      verified: isSha256Hex(expected),
+      metadata,
+      processing: startProcessing(path.parse(fileName).name, fileName, req.participantId)
     });
   } catch (e) {
     console.error('[single-upload] error', e);
     res.status(500).json({ error: 'store failed' });
+  } finally {
+    release?.();
   }
 });
 
@@ -237,48 +1541,196 @@ const memUpload = multer({
   }
 });
 
-// inFlight: uploadId -> pågående opplasting
-const inFlight = new Map();
+/**
+ * Gjenoppretter en pågående opplasting lest fra disk etter restart.
+ * Filen kuttes til antall bytes vi vet er skrevet, slik at en chunk som
+ * ble halvveis skrevet før restart ikke blir liggende. Klienten får da
+ * 409 out-of-order med riktig "expected" for neste chunk, og opplastingen
+ * stopper. Den fortsettes fra "expected" når den tas opp igjen med
+ * GET /api/upload/:uploadId: fra gjenopprettingspanelet (lokal kopi av
+ * opptaket) eller ved å laste opp samme fil på nytt.
+ */
+function restoreInFlight(saved, uploadId) {
+  // Filen finnes ikke lenger (f.eks. ryddet bort) → glem opplastingen
+  if (!fs.existsSync(saved.filepath)) return null;
+  if (!encryption.truncateSync(saved.filepath, saved.bytes)) {
+    console.warn('[restore] file shorter than recorded or unreadable, dropping upload', uploadId);
+    return null;
+  }
+  try {
+    return { ...saved, stream: encryption.createAppendStream(saved.filepath) };
+  } catch {
+    return null;
+  }
+}
+
+// inFlight: uploadId -> pågående opplasting (speilet til DATA_DIR/inflight.json)
+const inFlight = new PersistentMap(path.join(DATA_DIR, 'inflight.json'), {
+  toJSON: ({ stream, ...rest }) => rest, // filstrømmen kan ikke lagres
+  fromJSON: restoreInFlight
+});
+
+// uploadId-er som akkurat nå skriver en chunk (kun i minnet, ikke lagret)
+const writingNow = new Set();
+
+// finishedUploads: uploadId -> { fileName, slot, bytes, sha256, ... } for ferdige opplastinger
+// (DATA_DIR/finished.json). Gjør finish idempotent: har svaret gått tapt, får klienten
+// det samme svaret når den prøver igjen, i stedet for 404. Glemmes etter FINISHED_TTL_MS.
+const finishedUploads = new PersistentMap(path.join(DATA_DIR, 'finished.json'));
+
+// Husker at opplastingen er ferdig. Kalles straks filen har fått endelig navn, før
+// session og .owner-fil fjernes, så en samtidig finish aldri ser opplastingen som ukjent.
+function rememberFinished(uploadId, req, { fileName, slot, bytes, sha256, verified, companionOf }) {
+  finishedUploads.set(uploadId, {
+    fileName, slot, bytes, sha256, verified, companionOf: companionOf || null,
+    ownerParticipant: req.participantId || null, ownerRef: tokenRef(req.token),
+    finishedAt: Date.now()
+  });
+}
+
+// Samme eierregel som isUploadOwner; tokenet lagres bare som hash
+function isFinishedOwner(done, req) {
+  if (done.ownerRef && done.ownerRef === tokenRef(req.token)) return true;
+  return !!(done.ownerParticipant && done.ownerParticipant === req.participantId);
+}
+
+/**
+ * Eier forespørselen denne opplastingen?
+ * Samme token, eller samme deltaker (f.eks. etter at fanen ble lastet på nytt
+ * og deltakeren låste opp igjen og fikk et nytt token).
+ */
+function isUploadOwner(sess, req) {
+  if (sess.ownerTok === req.token) return true;
+  return !!(sess.ownerParticipant && sess.ownerParticipant === req.participantId);
+}
+
+// Innholdet i <uploadId>.owner: eieren av opplastingen, brukt når finish ikke finner
+// session i minnet. Deltakeren tas med, så samme eierregel gjelder som for isUploadOwner.
+function ownerFileContent(req) {
+  return JSON.stringify({ token: req.token, participantId: req.participantId || null });
+}
+
+// Leser .owner-filen som { ownerTok, ownerParticipant }. Eldre filer inneholder bare tokenet.
+async function readOwnerFile(file) {
+  const raw = (await fsp.readFile(file, 'utf8')).trim();
+  try {
+    const owner = JSON.parse(raw);
+    if (owner && typeof owner === 'object') {
+      return { ownerTok: owner.token || null, ownerParticipant: owner.participantId || null };
+    }
+  } catch {}
+  return { ownerTok: raw, ownerParticipant: null };
+}
+
+/**
+ * GET /api/upload/:uploadId
+ * Status for en pågående chunket opplasting, slik at klienten kan
+ * fortsette der den slapp (etter reload eller nettverksbrudd).
+ * Er opplastingen allerede ferdig, svares det med finished: true og filnavnet,
+ * så klienten ikke laster opp det samme opptaket en gang til.
+ */
+app.get('/api/upload/:uploadId', requireUnlock, (req, res) => {
+  const sess = inFlight.get(req.params.uploadId);
+  const done = sess ? null : finishedUploads.get(req.params.uploadId);
+  if (done) {
+    if (!isFinishedOwner(done, req)) {
+      return res.status(403).json({ error: 'not owner of uploadId' });
+    }
+    return res.json({
+      ok: true,
+      uploadId: req.params.uploadId,
+      slot: done.slot,
+      finished: true,
+      fileName: done.fileName,
+      bytes: done.bytes,
+      sha256: done.sha256
+    });
+  }
+  if (!sess) {
+    return res.status(404).json({ error: 'unknown uploadId' });
+  }
+  if (!isUploadOwner(sess, req)) {
+    return res.status(403).json({ error: 'not owner of uploadId' });
+  }
+  res.json({
+    ok: true,
+    uploadId: req.params.uploadId,
+    slot: sess.slot,
+    nextIndex: sess.nextIndex,
+    bytes: sess.bytes
+  });
+});
+
+/**
+ * GET /api/upload/:uploadId/processing
+ * Status for etterbehandlingen av et ferdig opptak (queued/running/done/failed).
+ */
+app.get('/api/upload/:uploadId/processing', requireUnlock, (req, res) => {
+  const job = jobs.get(req.params.uploadId);
+  if (!job) {
+    return res.status(404).json({ error: 'unknown uploadId' });
+  }
+  if (!job.participantId || job.participantId !== req.participantId) {
+    return res.status(403).json({ error: 'not owner of uploadId' });
+  }
+  res.json({ ok: true, processing: publicJobView(job) });
+});
 
 /**
  * POST /api/upload/chunk
  * Tar imot én chunk av en større fil.
  * Sikrer:
- *  - at slot er mellom 1 og 6
- *  - at chunk-rekkefølgen stemmer (index)
+ *  - at slot finnes i studiekonfigurasjonen
+ *  - at chunk-rekkefølgen stemmer (index), og at en chunk som sendes på nytt ikke skrives to ganger
  *  - at riktig token eier uploadId
- *  - at vi ikke går over maks totalstørrelse
+ *  - at vi ikke går over maks totalstørrelse, eller deltakerens lagringskvote
+ *  - at chunken ikke er skadet underveis (valgfri sha256 fra klienten)
  */
-app.post('/api/upload/chunk', requireUnlock, memUpload.single('chunk'), async (req, res) => {
+app.post('/api/upload/chunk', requireUnlock, requireConsent, memUpload.single('chunk'), async (req, res) => {
   try {
     const { uploadId, mimeType } = req.body || {};
     const idx  = Number.isFinite(+req.body?.index) ? Number(req.body.index) : null;
     const slot = Number(req.body?.slot || 0);
 
+    // Avviste chunker logges med grunn, så vi kan se hvorfor et opptak stoppet opp
+    const refuse = (status, body) => {
+      audit.log('chunk.rejected', {
+        participantId: req.participantId, uploadId: uploadId || null, index: idx, slot,
+        status, reason: body.error
+      });
+      return res.status(status).json(body);
+    };
+
     // Grunnleggende validering
     if (!uploadId || !req.file || idx === null || idx < 0) {
-      return res.status(400).json({
+      return refuse(400, {
         error: 'bad request (need uploadId, chunk, numeric index)'
       });
     }
 
-    // Slot må være 1–6 slik frontend/server har avtalt
-    if (!Number.isInteger(slot) || slot < 1 || slot > 6) {
-      return res.status(400).json({ error: 'slot must be between 1 and 6' });
+    // Slot må finnes i studiekonfigurasjonen (samme som frontend viser)
+    if (!study.isValidSlot(slot)) {
+      audit.log('chunk.rejected', { participantId: req.participantId, uploadId, index: idx, slot, status: 400, reason: 'invalid slot' });
+      return badSlot(res);
     }
 
     // Slå opp eller opprett ny "session" for denne uploadId-en
     let sess = inFlight.get(uploadId);
+    if (!sess && finishedUploads.has(uploadId)) {
+      // Ferdige opplastinger tas ikke opp igjen som et nytt opptak
+      return refuse(409, { error: 'upload already finished' });
+    }
     if (!sess) {
-      const ext = safeExt(mimeType);
+      // Første chunk avgjør endelsen; innholdet veier tyngre enn oppgitt mimetype
+      const ext = (idx === 0 && sniffExt(req.file.buffer)) || safeExt(mimeType);
       const tmpFilename = `${uploadId}${ext}`;
       const filepath = path.join(UPLOAD_DIR, tmpFilename);
-      const stream = fs.createWriteStream(filepath, { flags: 'a' });
+      const stream = encryption.createAppendStream(filepath);
 
       // Egen .owner-fil så vi kan gjenkjenne eier etter en eventuell restart
       const ownerTag = path.join(UPLOAD_DIR, `${uploadId}.owner`);
       try {
-        await fsp.writeFile(ownerTag, req.token, { flag: 'wx' });
+        await fsp.writeFile(ownerTag, ownerFileContent(req), { flag: 'wx' });
       } catch {
       }
 
@@ -289,62 +1741,431 @@ app.post('/api/upload/chunk', requireUnlock, memUpload.single('chunk'), async (r
         nextIndex: 0,        // neste forventede chunk-indeks
         userLabel: req.userLabel,
         ownerTok: req.token, // hvem eier denne uploadId-en
+        ownerParticipant: req.participantId, // eier også etter ny opplåsing
         slot,
         lastTouched: Date.now(),
-        bytes: 0
+        bytes: 0,
+        chunks: [],          // [{ size, sha256 }] per skrevet chunk, for feilsøking ved finish
+        mimeType: mimeType ? String(mimeType).slice(0, 100) : null,
+        createdAt: Date.now()
       };
       inFlight.set(uploadId, sess);
+      audit.log('upload.started', { participantId: req.participantId, uploadId, slot, ext, mimeType: sess.mimeType });
     }
 
     // Sikre at ny chunk passer til eksisterende session
+    if (!isUploadOwner(sess, req)) {
+      return refuse(403, { error: 'not owner of uploadId' });
+    }
     if (slot !== sess.slot) {
-      return res.status(409).json({ error: 'slot mismatch for this uploadId' });
+      return refuse(409, { error: 'slot mismatch for this uploadId' });
+    }
+
+    // Hash av chunken slik den kom fram (sjekkes mot klientens hash hvis den er sendt)
+    const clientHash = isSha256Hex(req.body?.sha256) ? req.body.sha256.toLowerCase() : null;
+    const chunkHash  = sha256Buffer(req.file.buffer);
+
+    // Idempotent: en chunk som allerede er skrevet (klienten prøvde igjen fordi
+    // svaret gikk tapt) bekreftes uten å skrives på nytt.
+    if (idx < sess.nextIndex) {
+      const written = sess.chunks?.[idx]?.sha256;
+      if (written && written !== chunkHash) {
+        return refuse(409, { error: 'different content for already written index' });
+      }
+      audit.log('chunk.duplicate', { participantId: req.participantId, uploadId, index: idx });
+      return res.json({ ok: true, nextIndex: sess.nextIndex, duplicate: true });
     }
     if (idx !== sess.nextIndex) {
-      return res.status(409).json({
+      return refuse(409, {
         error: 'out-of-order',
         expected: sess.nextIndex
       });
     }
-    if (sess.ownerTok !== req.token) {
-      return res.status(403).json({ error: 'not owner of uploadId' });
+    if (clientHash && clientHash !== chunkHash) {
+      // Chunken ble skadet på veien → ikke skriv den, klienten sender den på nytt
+      return refuse(422, { error: 'checksum mismatch', index: idx });
+    }
+    if (writingNow.has(uploadId)) {
+      // Forrige forsøk på samme chunk skrives fortsatt → be klienten prøve igjen
+      res.set('Retry-After', '1');
+      return refuse(503, { error: 'chunk write in progress' });
     }
     if (sess.bytes + req.file.size > PER_UPLOAD_MAX_BYTES) {
-      return res.status(413).json({ error: 'upload exceeds max size' });
+      return refuse(413, { error: 'upload exceeds max size' });
     }
 
-    // Skriv chunk til filen
-    await new Promise((resolve, reject) => {
-      sess.stream.write(req.file.buffer, err => (err ? reject(err) : resolve()));
-    });
+    // Reserveres før første await, så et parallelt forsøk på samme chunk får 503
+    // i stedet for å passere sjekkene over mens kvoten regnes ut
+    writingNow.add(uploadId);
+    let release = null;
+    try {
+      // Kvoten gjelder deltakeren: plassen holdes av til chunken er talt med i
+      // sess.bytes, så samtidige chunker i andre opplastinger ser den
+      release = await quota.reserve(req.participantId, req.file.size);
+      if (!release) {
+        audit.log('chunk.rejected', { participantId: req.participantId, uploadId, index: idx, slot, status: 413, reason: 'quota exceeded' });
+        return sendQuotaExceeded(req, res);
+      }
+
+      // Skriv chunk til filen
+      await new Promise((resolve, reject) => {
+        sess.stream.write(req.file.buffer, err => (err ? reject(err) : resolve()));
+      });
+    } finally {
+      writingNow.delete(uploadId);
+      release?.();
+    }
 
     // Oppdater session-tilstand
     sess.nextIndex += 1;
     sess.bytes += req.file.size;
+    (sess.chunks ||= []).push({ size: req.file.size, sha256: chunkHash });
     sess.lastTouched = Date.now();
+    // Lagres før svaret: en kvittert chunk må finnes i inflight.json etter en
+    // restart, ellers kuttes filen tilbake til en eldre nextIndex
+    await inFlight.flush();
+    audit.log('chunk.accepted', {
+      participantId: req.participantId, uploadId, index: idx, bytes: req.file.size, totalBytes: sess.bytes
+    });
+    m.chunkBytes.inc({}, req.file.size);
+    m.chunkSize.observe({}, req.file.size);
 
-    res.json({ ok: true, nextIndex: sess.nextIndex });
+    res.json({ ok: true, nextIndex: sess.nextIndex, sha256: chunkHash });
   } catch (e) {
     console.error('[chunk] error', e);
+    audit.log('chunk.failed', {
+      participantId: req.participantId, uploadId: req.body?.uploadId || null, error: e.message
+    });
     res.status(500).json({ error: 'chunk store failed' });
   }
 });
 
+// Tolker et tidspunkt fra klienten (ISO eller ms) til ISO, ellers null
+function toIso(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// Maks antall pauser og markeringer som lagres per opptak
+const MAX_PAUSES = 500;
+const MAX_MARKERS = 500;
+
+/**
+ * Normaliserer pausene klienten rapporterer:
+ * [{ atMs (posisjon i videoen), pausedAt, resumedAt }] -> med ISO-tider og varighet.
+ */
+function parsePauses(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.slice(0, MAX_PAUSES).flatMap(p => {
+    const atMs = Number(p?.atMs);
+    const pausedAt = toIso(p?.pausedAt);
+    const resumedAt = toIso(p?.resumedAt);
+    if (!Number.isFinite(atMs) || atMs < 0 || !pausedAt) return [];
+    const durationMs = resumedAt ? Date.parse(resumedAt) - Date.parse(pausedAt) : null;
+    return [{ atMs: Math.round(atMs), pausedAt, resumedAt, durationMs }];
+  });
+}
+
+/**
+ * Normaliserer markeringene: [{ atMs, note, createdAt }].
+ * Notatet blir én linje uten "-->", så det ikke kan ødelegge VTT-filen.
+ */
+function parseMarkers(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.slice(0, MAX_MARKERS).flatMap(m => {
+    const atMs = Number(m?.atMs);
+    if (!Number.isFinite(atMs) || atMs < 0) return [];
+    const note = typeof m?.note === 'string'
+      ? m.note.replace(/\s+/g, ' ').replace(/-->/g, '->').trim().slice(0, 200)
+      : '';
+    return [{ atMs: Math.round(atMs), note, createdAt: toIso(m?.createdAt) }];
+  }).sort((a, b) => a.atMs - b.atMs);
+}
+
+/**
+ * Leser "meta"-feltet (JSON) som klienten sender ved finish.
+ * Kun kjente felter tas med, så sidecar-filen ikke kan fylles med vilkårlige data.
+ */
+function parseClientMeta(raw) {
+  let m = {};
+  try { m = typeof raw === 'string' ? JSON.parse(raw) : (raw || {}); } catch {}
+  if (!m || typeof m !== 'object') m = {};
+  return {
+    source: ['live', 'file'].includes(m.source) ? m.source : null,
+    mimeType: typeof m.mimeType === 'string' ? m.mimeType.slice(0, 100) : null,
+    systemAudio: typeof m.systemAudio === 'boolean' ? m.systemAudio : null,
+    webcam: typeof m.webcam === 'boolean' ? m.webcam : null,
+    quality: typeof m.quality === 'string' ? m.quality.slice(0, 40) : null,
+    originalFileName: typeof m.originalFileName === 'string' ? m.originalFileName.slice(0, 255) : null,
+    startedAt: toIso(m.startedAt),
+    endedAt: toIso(m.endedAt),
+    pauses: parsePauses(m.pauses),
+    markers: parseMarkers(m.markers)
+  };
+}
+
+/**
+ * Bygger metadata (sidecar) for et ferdig opptak.
+ */
+function buildMetadata({ req, fileName, uploadId, slot, sess, bytes, sha256, verified, clientMeta }) {
+  const durationMs = Number(req.body?.durationMs);
+  return {
+    fileName,
+    uploadId,
+    participant: req.userLabel || null,
+    participantId: req.participantId || null,
+    slot,
+    source: clientMeta.source,
+    mimeType: clientMeta.mimeType || sess?.mimeType || null,
+    systemAudio: clientMeta.systemAudio,
+    webcam: clientMeta.webcam,
+    quality: clientMeta.quality,
+    originalFileName: clientMeta.originalFileName,
+    durationMs: Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null,
+    chunkCount: sess ? sess.nextIndex : null,
+    bytes,
+    sha256,
+    verified,
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 500) || null,
+    startedAt: clientMeta.startedAt,
+    endedAt: clientMeta.endedAt,
+    pauses: clientMeta.pauses || [],
+    markers: clientMeta.markers || [],
+    uploadStartedAt: sess?.createdAt ? new Date(sess.createdAt).toISOString() : null,
+    finishedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Skriver filene som hører til et ferdig opptak: metadata (.json) og
+ * markeringer (.vtt). Feil her skal ikke velte en ellers vellykket opplasting.
+ */
+async function writeSidecars(fileName, metadata, tag) {
+  await writeMetadata(UPLOAD_DIR, fileName, metadata)
+    .catch(e => console.error(`[${tag}] metadata write failed`, e));
+  if (metadata.markers.length) {
+    await writeMarkersVtt(UPLOAD_DIR, fileName, metadata.markers, metadata.durationMs)
+      .catch(e => console.error(`[${tag}] markers write failed`, e));
+  }
+}
+
+/**
+ * Sjekker "companionOf" ved finish: en egen mikrofonfil må høre til et ferdig
+ * opptak fra samme deltaker og samme slot, og det kan bare finnes én.
+ * Returnerer hovedopptakets filnavn, null hvis feltet mangler, eller kaster
+ * en feil med .status.
+ */
+async function resolveCompanion(req, slot) {
+  const main = req.body?.companionOf;
+  if (!main) return null;
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+
+  if (!isSafeRecordingName(main) || isStemName(main)) throw fail(400, 'invalid companionOf');
+  const meta = await readMetadata(UPLOAD_DIR, main);
+  if (!meta || !fs.existsSync(path.join(UPLOAD_DIR, main))) {
+    throw fail(404, 'companion recording not found');
+  }
+  if (!meta.participantId || meta.participantId !== req.participantId || meta.slot !== slot) {
+    throw fail(403, 'not owner of companion recording');
+  }
+  if (meta.stems?.mic) throw fail(409, 'companion already uploaded');
+  return main;
+}
+
+// Endelig filnavn: <etikett>Oppgave<slot>-<tid><ext>, eller <opptak>.mic<ext> for mikrofonfilen.
+// To opptak av samme slot i samme sekund får -2, -3, ... så det første ikke overskrives.
+function finalNameFor({ userLabel, slot, ext, companionOf }) {
+  if (companionOf) return micStemName(companionOf, ext);
+  const base = `${userLabel || 'User'}Oppgave${slot}-${timestamp()}`;
+  for (let n = 1; ; n++) {
+    const name = n === 1 ? `${base}${ext}` : `${base}-${n}${ext}`;
+    if (!fs.existsSync(path.join(UPLOAD_DIR, name))) return name;
+  }
+}
+
+/**
+ * Versjonspolicyen for slot-en når et nytt opptak er ferdig (se VERSION_POLICIES i study.js):
+ *  - keep-all: det nye opptaket blir endelig
+ *  - keep-latest: det nye blir endelig, og eldre versjoner slettes
+ *  - ask: endelig versjon endres ikke; deltakeren bes om å velge (chooseFinal)
+ * Returnerer { policy, version, final, chooseFinal, removed }.
+ */
+async function applyVersionPolicy({ participantId, slot, fileName, previous }) {
+  const policy = study.getTask(slot)?.versions || 'keep-all';
+  const removed = [];
+  let chooseFinal = false;
+
+  if (policy === 'ask' && previous.length) {
+    // Hold fast på den som var endelig før, til deltakeren har valgt
+    const before = previous.find(v => v.final)?.fileName;
+    if (before && !versions.chosenFinal(participantId, slot)) {
+      await versions.setFinal(participantId, slot, before, 'policy');
+    }
+    chooseFinal = true;
+  } else {
+    await versions.setFinal(participantId, slot, fileName, 'policy');
+  }
+
+  if (policy === 'keep-latest') {
+    for (const old of previous) {
+      if (jobs.isBusy(old.fileName)) {
+        console.warn('[versions] old version busy, keeping it', old.fileName);
+        continue;
+      }
+      if (retention.isHeld(old.fileName)) {
+        console.warn('[versions] old version on legal hold, keeping it', old.fileName);
+        continue;
+      }
+      try {
+        await removeRecording(old.fileName, { by: 'version-policy' });
+        removed.push(old.fileName);
+      } catch (e) {
+        console.error('[versions] could not remove old version', old.fileName, e);
+      }
+    }
+  }
+
+  const list = await versions.list(participantId, slot);
+  return {
+    policy,
+    version: list.find(v => v.fileName === fileName)?.version ?? null,
+    final: list.find(v => v.final)?.fileName ?? null,
+    chooseFinal,
+    removed
+  };
+}
+
+/**
+ * Det som skjer etter at en chunket opplasting har fått endelig navn:
+ *  - vanlig opptak: metadata og markeringer skrives ved siden av filen
+ *  - mikrofonfil: registreres i metadataen til opptaket den hører til
+ * Etterbehandlingen startes i begge tilfeller.
+ */
+async function recordFinished({ req, fileName, uploadId, slot, sess, bytes, sha256, verified, companionOf }) {
+  quota.recorded(req.participantId, bytes);
+  audit.log('upload.finished', {
+    participantId: req.participantId, uploadId, slot, fileName, bytes, sha256, verified,
+    companionOf: companionOf || null, restored: !sess
+  });
+  m.finished.inc({ kind: companionOf ? 'mic_stem' : 'recording' });
+  if (!companionOf) {
+    // Opptaket er allerede lagret: feil i versjonshåndteringen logges, men stopper ikke finish
+    const previous = req.participantId
+      ? await versions.list(req.participantId, slot).catch((e) => {
+        console.error('[versions] could not list versions', req.participantId, slot, e);
+        return [];
+      })
+      : [];
+    const metadata = buildMetadata({
+      req, fileName, uploadId, slot, sess, bytes, sha256, verified,
+      clientMeta: parseClientMeta(req.body?.meta)
+    });
+    metadata.version = versions.nextVersion(previous);
+    await writeSidecars(fileName, metadata, 'finish');
+    const processing = startProcessing(uploadId, fileName, req.participantId);
+    const version = req.participantId
+      ? await applyVersionPolicy({ participantId: req.participantId, slot, fileName, previous })
+        .catch((e) => {
+          console.error('[versions] version policy failed', fileName, e);
+          return null;
+        })
+      : null;
+    // Versjonsinfoen tas med i svaret til en finish som sendes på nytt
+    const done = finishedUploads.get(uploadId);
+    if (done) finishedUploads.set(uploadId, { ...done, version });
+    return { metadata, processing, version };
+  }
+
+  const metadata = await readMetadata(UPLOAD_DIR, companionOf);
+  if (metadata) {
+    const { mimeType } = parseClientMeta(req.body?.meta);
+    const durationMs = Number(req.body?.durationMs);
+    metadata.stems = {
+      ...metadata.stems,
+      mic: {
+        fileName, uploadId, mimeType: mimeType || sess?.mimeType || null, bytes, sha256, verified,
+        durationMs: Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null
+      }
+    };
+    await writeMetadata(UPLOAD_DIR, companionOf, metadata)
+      .catch(e => console.error('[finish] metadata write failed', e));
+  }
+  return {
+    metadata,
+    processing: startProcessing(uploadId, fileName, req.participantId, { withPoster: false })
+  };
+}
+
 /**
  * POST /api/upload/finish
  * Kalles når frontend er ferdig med alle chunkene og vil "lukke" opptaket.
- * Gir filen et endelig navn basert på bruker-etikett, slot og timestamp.
+ * Verifiserer hele filen (antall bytes og valgfri sha256 fra klienten) og
+ * gir den et endelig navn basert på bruker-etikett, slot og timestamp.
+ * Svaret inneholder verifisert sha256 og antall bytes, og status for
+ * etterbehandlingen som startes i bakgrunnen (se /api/upload/:uploadId/processing).
+ * Med companionOf lagres filen som egen mikrofonfil til et ferdig opptak.
+ * Idempotent: en finish som sendes på nytt for et ferdig opptak (f.eks. fordi
+ * svaret gikk tapt) får det samme svaret, med repeated: true.
  */
-app.post('/api/upload/finish', requireUnlock, memUpload.none(), async (req, res) => {
+app.post('/api/upload/finish', requireUnlock, requireConsent, memUpload.none(), async (req, res) => {
+  let reserved = null;
   try {
     const uploadId = req.body?.uploadId;
     const slot     = Number(req.body?.slot || 0);
+    const clientHash  = isSha256Hex(req.body?.sha256) ? req.body.sha256.toLowerCase() : null;
+    const clientBytes = req.body?.bytes != null && req.body.bytes !== ''
+      ? Number(req.body.bytes) : null;
+
+    const refuse = (status, body) => {
+      audit.log('upload.finish_rejected', {
+        participantId: req.participantId, uploadId: uploadId || null, slot,
+        status, reason: body.error, ...(body.badChunk != null ? { badChunk: body.badChunk } : {})
+      });
+      return res.status(status).json(body);
+    };
 
     if (!uploadId) {
-      return res.status(400).json({ error: 'uploadId required' });
+      return refuse(400, { error: 'uploadId required' });
+    }
+    if (!study.isValidSlot(slot)) {
+      return refuse(400, { error: `slot must be between 1 and ${study.get().slotCount}` });
     }
-    if (!Number.isInteger(slot) || slot < 1 || slot > 6) {
-      return res.status(400).json({ error: 'slot must be between 1 and 6' });
+
+    // Allerede ferdig (svaret på forrige forsøk gikk tapt) → samme svar en gang til
+    const done = finishedUploads.get(uploadId);
+    if (done) {
+      if (!isFinishedOwner(done, req)) {
+        return refuse(403, { error: 'not owner of uploadId' });
+      }
+      if (done.slot !== slot || (done.companionOf || null) !== (req.body?.companionOf || null)) {
+        return refuse(409, { error: 'uploadId already finished' });
+      }
+      if ((clientBytes !== null && clientBytes !== done.bytes) ||
+          (clientHash && clientHash !== done.sha256)) {
+        return refuse(422, { error: 'checksum mismatch', bytes: done.bytes, sha256: done.sha256 });
+      }
+      audit.log('upload.finish_repeated', { participantId: req.participantId, uploadId, fileName: done.fileName });
+      const job = jobs.get(uploadId);
+      return res.json({
+        id: uploadId,
+        url: `/uploads/${done.fileName}`,
+        fileName: done.fileName,
+        sha256: done.sha256,
+        bytes: done.bytes,
+        verified: done.verified,
+        metadata: await readMetadata(UPLOAD_DIR, done.companionOf || done.fileName),
+        processing: job ? publicJobView(job) : null,
+        version: done.version ?? null,
+        repeated: true
+      });
+    }
+
+    let companionOf = null;
+    try {
+      companionOf = await resolveCompanion(req, slot);
+    } catch (e) {
+      return refuse(e.status || 400, { error: e.message });
     }
 
     const sess = inFlight.get(uploadId);
@@ -354,57 +2175,135 @@ app.post('/api/upload/finish', requireUnlock, memUpload.none(), async (req, res)
     if (!sess) {
       const ownerTag = path.join(UPLOAD_DIR, `${uploadId}.owner`);
       if (!fs.existsSync(ownerTag)) {
-        return res.status(404).json({ error: 'unknown uploadId' });
+        return refuse(404, { error: 'unknown uploadId' });
       }
 
-      const ownerTok = (await fsp.readFile(ownerTag, 'utf8')).trim();
-      if (ownerTok !== req.token) {
-        return res.status(403).json({ error: 'not owner of uploadId' });
+      if (!isUploadOwner(await readOwnerFile(ownerTag), req)) {
+        return refuse(403, { error: 'not owner of uploadId' });
       }
 
       // Let etter en fil med passende endelse
       for (const ext of ['.webm', '.mp4', '.mov']) {
         const fp = path.join(UPLOAD_DIR, `${uploadId}${ext}`);
         if (fs.existsSync(fp)) {
-          const finalName =
-            `${(req.userLabel || 'User')}Oppgave${slot}-${timestamp()}${ext}`;
+          let bytes, sha256;
+          try {
+            await encryption.finalize(fp);
+            bytes  = await encryption.size(fp);
+            sha256 = await sha256File(fp, { open: encryption.createReadStream });
+          } catch (e) {
+            // Kryptert fil som ble ødelagt da serveren stoppet midt i en chunk
+            if (e.code !== 'EBADENC') throw e;
+            return refuse(422, { error: 'checksum mismatch' });
+          }
+          if ((clientBytes !== null && clientBytes !== bytes) ||
+              (clientHash && clientHash !== sha256)) {
+            return refuse(422, { error: 'checksum mismatch', bytes, sha256 });
+          }
+
+          const finalName = finalNameFor({ userLabel: req.userLabel, slot, ext, companionOf });
           const finalPath = path.join(UPLOAD_DIR, finalName);
 
           await fsp.rename(fp, finalPath);
+          rememberFinished(uploadId, req, { fileName: finalName, slot, bytes, sha256, verified: !!clientHash, companionOf });
           await fsp.unlink(ownerTag).catch(() => {});
 
+          const { metadata, processing, version } = await recordFinished({
+            req, fileName: finalName, uploadId, slot, sess: null,
+            bytes, sha256, verified: !!clientHash, companionOf
+          });
+
           return res.json({
             id: uploadId,
             fileName: finalName,
-            path: `/uploads/${finalName}`
+            path: `/uploads/${finalName}`,
+            sha256,
+            bytes,
+            verified: !!clientHash,
+            metadata,
+            processing,
+            version
           });
         }
       }
-      return res.status(404).json({ error: 'unknown uploadId' });
+      return refuse(404, { error: 'unknown uploadId' });
     }
 
     // Normal vei (session finnes i minnet]
-    if (sess.ownerTok !== req.token) {
-      return res.status(403).json({ error: 'not owner of uploadId' });
+    if (!isUploadOwner(sess, req)) {
+      return refuse(403, { error: 'not owner of uploadId' });
+    }
+    if (writingNow.has(uploadId)) {
+      // En chunk skrives, eller forrige finish-forsøk holder fortsatt på → prøv igjen
+      res.set('Retry-After', '1');
+      return refuse(503, { error: 'upload busy' });
     }
+    writingNow.add(uploadId);
+    reserved = uploadId;
 
     await new Promise((resolve, reject) =>
       sess.stream.end(err => (err ? reject(err) : resolve()))
     );
 
+    // Verifiser hele filen slik den faktisk ligger på disk (dekryptert)
+    await encryption.finalize(sess.filepath);
+    const bytes  = await encryption.size(sess.filepath);
+    const sha256 = await sha256File(sess.filepath, { open: encryption.createReadStream });
+    const sizeOk = bytes === sess.bytes && (clientBytes === null || clientBytes === bytes);
+    if (!sizeOk || (clientHash && clientHash !== sha256)) {
+      // Finn ut hvor det gikk galt, før den ødelagte filen kastes
+      const chunkLog = sess.chunks?.length === sess.nextIndex ? sess.chunks : [];
+      const badChunk = await findCorruptChunk(sess.filepath, chunkLog, { open: encryption.createReadStream });
+      console.error('[finish] integrity check failed', uploadId,
+        { bytes, expectedBytes: sess.bytes, clientBytes, badChunk });
+
+      await fsp.unlink(sess.filepath).catch(() => {});
+      inFlight.delete(uploadId);
+      await fsp.unlink(path.join(UPLOAD_DIR, `${uploadId}.owner`)).catch(() => {});
+      return refuse(422, {
+        error: 'checksum mismatch',
+        bytes,
+        expectedBytes: clientBytes ?? sess.bytes,
+        badChunk
+      });
+    }
+
     // Gi filen endelig navn
-    const finalName =
-      `${sess.userLabel || 'User'}Oppgave${slot}-${timestamp()}${sess.ext}`;
+    const finalName = finalNameFor({ userLabel: sess.userLabel, slot, ext: sess.ext, companionOf });
     const finalPath = path.join(UPLOAD_DIR, finalName);
 
     await fsp.rename(sess.filepath, finalPath);
+    rememberFinished(uploadId, req, { fileName: finalName, slot, bytes, sha256, verified: !!clientHash, companionOf });
     inFlight.delete(uploadId);
     await fsp.unlink(path.join(UPLOAD_DIR, `${uploadId}.owner`)).catch(() => {});
 
-    res.json({ id: uploadId, url: `/uploads/${finalName}` });
+    // Metadata og markeringer ved siden av filen (eller registrering som mikrofonfil)
+    const { metadata, processing, version } = await recordFinished({
+      req, fileName: finalName, uploadId, slot, sess,
+      bytes, sha256, verified: !!clientHash, companionOf
+    });
+    // Et nytt finish-forsøk etter en restart skal få det samme svaret
+    await finishedUploads.flush();
+
+    res.json({
+      id: uploadId,
+      url: `/uploads/${finalName}`,
+      fileName: finalName,
+      sha256,
+      bytes,
+      verified: !!clientHash,
+      metadata,
+      processing,
+      version
+    });
   } catch (e) {
     console.error('[finish] finalize error', e);
+    audit.log('upload.finish_failed', {
+      participantId: req.participantId, uploadId: req.body?.uploadId || null, error: e.message
+    });
     res.status(500).json({ error: 'finalize failed' });
+  } finally {
+    if (reserved) writingNow.delete(reserved);
   }
 });
 
@@ -412,6 +2311,7 @@ app.post('/api/upload/finish', requireUnlock, memUpload.none(), async (req, res)
  * Periodisk opprydding:
  *  - Fjerner gamle inFlight-opplastinger som har stått stille for lenge
  *  - Fjerner .owner-filer som er gamle
+ *  - Glemmer gamle etterbehandlingsjobber
  */
 setInterval(async () => {
   const now = Date.now();
@@ -424,6 +2324,11 @@ setInterval(async () => {
       inFlight.delete(id);
       await fsp.unlink(path.join(UPLOAD_DIR, `${id}.owner`)).catch(() => {});
       console.warn('[sweeper] removed stale upload', id);
+      audit.log('sweeper.upload_removed', {
+        participantId: s.ownerParticipant || null, uploadId: id, slot: s.slot,
+        bytes: s.bytes, chunks: s.nextIndex, idleMs: now - (s.lastTouched || 0)
+      });
+      m.sweeper.inc({ kind: 'upload' });
     }
   }
 
@@ -434,11 +2339,111 @@ setInterval(async () => {
     const st = await fsp.stat(fp);
     if (now - st.mtimeMs > INFLIGHT_TTL_MS) {
       await fsp.unlink(fp).catch(() => {});
+      audit.log('sweeper.owner_removed', { uploadId: name.slice(0, -'.owner'.length) });
+      m.sweeper.inc({ kind: 'owner_file' });
     }
   }
+
+  // Glem ferdige opplastinger som ikke lenger kan få en ny finish
+  for (const [id, done] of finishedUploads) {
+    if (now - (done.finishedAt || 0) > FINISHED_TTL_MS) finishedUploads.delete(id);
+  }
+
+  // Glem gamle, avsluttede etterbehandlingsjobber
+  jobs.prune();
 }, 5 * 60 * 1000); // hver 5. minutt
 
+/**
+ * Sletter utløpte opptak med alt som hører til. Opptak med juridisk hold,
+ * pågående opplastinger og opptak som etterbehandles hoppes over.
+ */
+let retentionSweepRunning = false;
+async function sweepExpiredRecordings() {
+  if (retentionSweepRunning) return;
+  retentionSweepRunning = true;
+  const deleted = [];
+  try {
+    for (const rec of await retentionReport()) {
+      if (rec.action !== 'delete') continue;
+      // Hold eller jobb kan ha kommet til mens listen ble laget
+      if (retention.isHeld(rec.fileName) || jobs.isBusy(rec.fileName)) continue;
+      try {
+        await removeRecording(rec.fileName, { by: 'retention' });
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.error('[retention] could not delete', rec.fileName, e);
+        continue;
+      }
+      deleted.push(rec);
+      m.sweeper.inc({ kind: 'recording' });
+      console.log('[retention] deleted expired recording', rec.fileName, rec.expiresAt);
+    }
+  } catch (e) {
+    console.error('[retention] sweep failed', e);
+  } finally {
+    retentionSweepRunning = false;
+  }
+  if (deleted.length) {
+    audit.log('retention.swept', {
+      recordings: deleted.length,
+      bytes: deleted.reduce((sum, r) => sum + r.bytes, 0)
+    });
+  }
+}
+
+if (RETENTION_SWEEP_MS > 0) {
+  setInterval(sweepExpiredRecordings, RETENTION_SWEEP_MS);
+}
+
 // Start serveren
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
+
+/**
+ * Ryddig nedstenging (docker stop sender SIGTERM):
+ * venter til pågående forespørsler er ferdige og filstrømmene er lukket, og
+ * lagrer tokens og pågående opplastinger til disk før prosessen avslutter.
+ * Henger noe, avsluttes det likevel etter SHUTDOWN_TIMEOUT_MS.
+ */
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[shutdown] ${signal} mottatt, lagrer tilstand`);
+  const timer = setTimeout(() => {
+    console.error(`[shutdown] ikke ferdig etter ${SHUTDOWN_TIMEOUT_MS} ms, avslutter likevel`);
+    saveState();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+
+  // Ingen nye forespørsler; chunker som skrives nå, får skrive ferdig før strømmene lukkes
+  await new Promise(resolve => server.close(() => resolve()));
+  await Promise.all(Array.from(inFlight.values(), async (s) => {
+    if (!s.stream) return;
+    try {
+      s.stream.end();
+      await finished(s.stream);
+    } catch (e) {
+      console.error('[shutdown] stream', s.filepath, e.message);
+    }
+  }));
+
+  clearTimeout(timer);
+  saveState();
+  process.exit(0);
+}
+
+// Lagrer all tilstand synkront (siste steg før prosessen avslutter)
+function saveState() {
+  try { activeTokens.saveSync(); } catch (e) { console.error('[shutdown] tokens', e); }
+  try { adminTokens.saveSync(); } catch (e) { console.error('[shutdown] admin tokens', e); }
+  try { inFlight.saveSync(); } catch (e) { console.error('[shutdown] inflight', e); }
+  try { finishedUploads.saveSync(); } catch (e) { console.error('[shutdown] finished uploads', e); }
+  try { erasureReceipts.saveSync(); } catch (e) { console.error('[shutdown] erasure receipts', e); }
+  try { consents.saveSync(); } catch (e) { console.error('[shutdown] consents', e); }
+  try { versions.saveSync(); } catch (e) { console.error('[shutdown] final takes', e); }
+  try { retention.saveSync(); } catch (e) { console.error('[shutdown] retention', e); }
+  try { jobs.shutdown(); } catch (e) { console.error('[shutdown] jobs', e); }
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT',  () => shutdown('SIGINT'));
@@ -0,0 +1,116 @@
+// Enkel vedvarende lagring for serverens tilstand (tokens, pågående opplastinger).
+// Innholdet ligger i minnet som en vanlig Map, men speiles til en JSON-fil
+// på data-volumet slik at det overlever en restart av containeren.
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+/**
+ * PersistentMap
+ * En Map som skriver seg selv til disk (debouncet) når den endres.
+ *
+ * - set()/delete()/clear() planlegger automatisk en lagring.
+ * - Endrer du et objekt som allerede ligger i mappen, må du kalle markDirty().
+ * - toJSON/fromJSON lar kalleren velge hvilke felter som lagres
+ *   (f.eks. ikke åpne filstrømmer).
+ */
+export class PersistentMap extends Map {
+  constructor(file, { toJSON = v => v, fromJSON = v => v, delayMs = 1000 } = {}) {
+    super();
+    this.file = file;
+    this.toJSONValue = toJSON;
+    this.delayMs = delayMs;
+    this.timer = null;
+    this.saving = null;
+    this.queued = null;
+    this.loading = true;
+
+    // Les inn eksisterende tilstand synkront ved oppstart
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const [key, value] of Object.entries(raw || {})) {
+        const v = fromJSON(value, key);
+        if (v != null) super.set(key, v);
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.warn(`[store] kunne ikke lese ${file}, starter tomt`, e.message);
+      }
+    }
+    this.loading = false;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    if (!this.loading) this.markDirty();
+    return this;
+  }
+
+  delete(key) {
+    const had = super.delete(key);
+    if (had) this.markDirty();
+    return had;
+  }
+
+  clear() {
+    super.clear();
+    this.markDirty();
+  }
+
+  // Planlegg en lagring (samler mange endringer til én skriving)
+  markDirty() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.save().catch(e => console.error('[store] save failed', this.file, e));
+    }, this.delayMs);
+    this.timer.unref?.();
+  }
+
+  snapshot() {
+    const out = {};
+    for (const [key, value] of this) out[key] = this.toJSONValue(value, key);
+    return JSON.stringify(out);
+  }
+
+  // Skriv til en midlertidig fil og rename, så filen aldri blir halvskrevet.
+  // Lagringer køes etter hverandre, så to samtidige ikke deler den midlertidige filen.
+  // En lagring som venter i køen, tar med seg alle endringer fram til den starter,
+  // så flere kall mens en lagring pågår gir bare én ny skriving.
+  save() {
+    if (this.queued) return this.queued;
+    const run = (this.saving || Promise.resolve()).catch(() => {}).then(async () => {
+      this.queued = null;
+      const tmp = `${this.file}.tmp`;
+      await fsp.mkdir(path.dirname(this.file), { recursive: true });
+      await fsp.writeFile(tmp, this.snapshot());
+      await fsp.rename(tmp, this.file);
+    });
+    this.queued = run;
+    this.saving = run;
+    return run;
+  }
+
+  // Lagrer med en gang (i stedet for etter delayMs) og venter til det ligger på disk.
+  // Brukes før et svar som klienten stoler på at overlever en restart.
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return this.save();
+  }
+
+  // Brukes ved nedstenging, der vi ikke kan vente på async-kall
+  saveSync() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const tmp = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmp, this.snapshot());
+    fs.renameSync(tmp, this.file);
+  }
+}
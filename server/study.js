@@ -0,0 +1,251 @@
+// Studiekonfigurasjon: hvor mange oppgaver (slots) studien har, hva de heter,
+// instruksjonstekst og om deltakeren kan ta opp direkte og/eller laste opp fil.
+// Leses fra en JSON-fil og lastes inn på nytt når filen endres (ingen restart).
+
+import fs from 'fs';
+
+// Gyldige måter å levere et opptak på
+export const INPUT_MODES = ['record', 'upload'];
+
+// Hva som skjer når en deltaker tar opp samme oppgave flere ganger:
+//  - keep-all: alle versjoner beholdes, den nyeste blir endelig
+//  - keep-latest: eldre versjoner slettes når en ny er ferdig
+//  - ask: alle beholdes, og deltakeren blir bedt om å velge hvilken som er endelig
+export const VERSION_POLICIES = ['keep-all', 'keep-latest', 'ask'];
+
+// Spørsmålstyper i spørreskjemaet etter en oppgave (se normalizeQuestionnaire)
+export const QUESTION_TYPES = ['likert', 'text', 'choice'];
+
+// Hvor kameraboblen kan plasseres i opptaket (se web/src/pip.js)
+export const WEBCAM_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Kvalitetsvalg for skjermopptak: maks oppløsning, bildefrekvens og bitrate.
+// "tekst" gir skarp tekst på høyoppløste skjermer, men lav bildefrekvens.
+const DEFAULT_QUALITY_PRESETS = [
+  { id: 'standard', label: 'Standard (1080p, 30 fps)', maxWidth: 1920, maxHeight: 1080, frameRate: 30, bitsPerSecond: 1_700_000 },
+  { id: 'tekst',    label: 'Skarp tekst (1440p, 15 fps)', maxWidth: 2560, maxHeight: 1440, frameRate: 15, bitsPerSecond: 2_500_000 },
+  { id: 'lav',      label: 'Lav (720p, 15 fps)', maxWidth: 1280, maxHeight: 720, frameRate: 15, bitsPerSecond: 800_000 }
+];
+
+// Hvor mange dager ferdige opptak beholdes før de slettes automatisk (0 = ingen automatisk sletting).
+// Kan overstyres per opptak i admin (se retention.js).
+export const MAX_RETENTION_DAYS = 36500;
+
+// Maks lengde på et opptak hvis studien ikke sier noe annet (1 time). 0 = ingen grense.
+const DEFAULT_MAX_DURATION_SEC = 60 * 60;
+
+// Samtykketekst som brukes hvis studien ikke har sin egen
+const DEFAULT_CONSENT = {
+  version: '1',
+  title: 'Samtykke til opptak',
+  text: 'I denne studien tas det opp video av skjermen din og lyd fra mikrofonen din mens du løser oppgavene. ' +
+    'Opptakene lagres på Tingtuns server og brukes kun i denne studien.\n\n' +
+    'Det er frivillig å delta. Du kan når som helst trekke deg og be om at opptakene dine slettes.'
+};
+
+// Brukes hvis konfigurasjonsfilen mangler: samme oppsett som før (6 oppgaver)
+const DEFAULT_STUDY = {
+  title: 'Opptak',
+  tasks: Array.from({ length: 6 }, (_, i) => ({ title: `Opptak ${i + 1}` }))
+};
+
+/**
+ * Webkamera (bilde-i-bilde) er av med mindre studien slår det på.
+ * size er boblens diameter som andel av korteste side av skjermbildet.
+ */
+function normalizeWebcam(raw = {}) {
+  const size = Number(raw.size);
+  return {
+    enabled: raw.enabled === true,
+    position: WEBCAM_POSITIONS.includes(raw.position) ? raw.position : 'bottom-right',
+    size: Number.isFinite(size) ? Math.min(0.5, Math.max(0.1, size)) : 0.25
+  };
+}
+
+// Heltall innenfor [min, max], ellers fallback
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+/**
+ * Kvalitetsvalgene deltakeren kan velge mellom, og hvilket som er forhåndsvalgt.
+ */
+function normalizeQuality(raw = {}) {
+  const list = Array.isArray(raw.presets) && raw.presets.length ? raw.presets : DEFAULT_QUALITY_PRESETS;
+  const presets = list.map((p, i) => {
+    const id = String(p.id || `preset${i + 1}`);
+    if (!/^[a-z0-9_-]{1,30}$/i.test(id)) {
+      throw new Error(`quality preset ${i + 1} has an invalid id`);
+    }
+    return {
+      id,
+      label: String(p.label || id),
+      maxWidth: clampInt(p.maxWidth, 320, 3840, 1920),
+      maxHeight: clampInt(p.maxHeight, 240, 2160, 1080),
+      frameRate: clampInt(p.frameRate, 1, 60, 30),
+      bitsPerSecond: clampInt(p.bitsPerSecond, 100_000, 20_000_000, 1_700_000)
+    };
+  });
+  if (new Set(presets.map(p => p.id)).size !== presets.length) {
+    throw new Error('quality preset ids must be unique');
+  }
+  const def = presets.some(p => p.id === raw.default) ? raw.default : presets[0].id;
+  return { presets, default: def };
+}
+
+/**
+ * Samtykket deltakeren må godta før opptak. Versjonen må endres når teksten
+ * endres, slik at alle må godta den nye teksten.
+ */
+function normalizeConsent(raw = {}) {
+  const version = String(raw.version ?? DEFAULT_CONSENT.version).trim();
+  if (!/^[A-Za-z0-9._-]{1,40}$/.test(version)) {
+    throw new Error('consent.version must be 1-40 chars of A-Z, 0-9, ., _ or -');
+  }
+  const text = String(raw.text ?? DEFAULT_CONSENT.text).trim();
+  if (!text) throw new Error('consent.text must not be empty');
+  return {
+    version,
+    title: String(raw.title || DEFAULT_CONSENT.title),
+    text
+  };
+}
+
+/**
+ * Ett spørsmål i et spørreskjema:
+ *  - likert: skala fra min til max (standard 1–5), med valgfri tekst i hver ende
+ *  - text: fritekst (maks maxLength tegn)
+ *  - choice: ett valg blant options
+ */
+function normalizeQuestion(raw = {}, where) {
+  const id = String(raw.id || '');
+  if (!/^[A-Za-z0-9_-]{1,40}$/.test(id)) {
+    throw new Error(`${where}: id must be 1-40 chars of A-Z, 0-9, _ or -`);
+  }
+  if (!QUESTION_TYPES.includes(raw.type)) {
+    throw new Error(`${where}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+  }
+  const q = { id, type: raw.type, label: String(raw.label || id), required: raw.required !== false };
+
+  if (q.type === 'likert') {
+    q.min = clampInt(raw.min, 0, 10, 1);
+    q.max = clampInt(raw.max, q.min + 1, 11, 5);
+    q.minLabel = String(raw.minLabel || '');
+    q.maxLabel = String(raw.maxLabel || '');
+  } else if (q.type === 'text') {
+    q.maxLength = clampInt(raw.maxLength, 1, 10_000, 2000);
+  } else {
+    const options = Array.isArray(raw.options) ? raw.options.map(o => String(o)).filter(Boolean) : [];
+    if (options.length < 2) throw new Error(`${where}: choice needs at least two options`);
+    q.options = options;
+  }
+  return q;
+}
+
+/**
+ * Valgfritt spørreskjema som vises etter at en oppgave er lastet opp.
+ * null når oppgaven ikke har noe skjema.
+ */
+function normalizeQuestionnaire(raw, slot) {
+  if (!raw) return null;
+  if (!Array.isArray(raw.questions) || raw.questions.length === 0) {
+    throw new Error(`task ${slot}: questionnaire must have a non-empty "questions" array`);
+  }
+  const questions = raw.questions.map((q, i) => normalizeQuestion(q, `task ${slot} question ${i + 1}`));
+  if (new Set(questions.map(q => q.id)).size !== questions.length) {
+    throw new Error(`task ${slot}: questionnaire question ids must be unique`);
+  }
+  return { title: String(raw.title || 'Spørsmål om oppgaven'), questions };
+}
+
+/**
+ * Validerer og normaliserer en studiedefinisjon.
+ * Slot-nummer gis av rekkefølgen i tasks (1, 2, 3, ...).
+ */
+export function normalizeStudy(raw) {
+  if (!raw || !Array.isArray(raw.tasks) || raw.tasks.length === 0) {
+    throw new Error('study must have a non-empty "tasks" array');
+  }
+
+  const defaultModes = raw.modes ?? INPUT_MODES;
+  const defaultMaxDuration = clampInt(raw.maxDurationSec, 0, 24 * 60 * 60, DEFAULT_MAX_DURATION_SEC);
+  const defaultVersions = VERSION_POLICIES.includes(raw.versions) ? raw.versions : 'keep-all';
+  const tasks = raw.tasks.map((t, i) => {
+    const modes = (t.modes ?? defaultModes).filter(m => INPUT_MODES.includes(m));
+    if (modes.length === 0) {
+      throw new Error(`task ${i + 1} must allow "record" and/or "upload"`);
+    }
+    return {
+      slot: i + 1,
+      title: String(t.title || `Oppgave ${i + 1}`),
+      instructions: String(t.instructions || ''),
+      modes,
+      // Opptaket stoppes automatisk etter så mange sekunder (0 = ingen grense)
+      maxDurationSec: clampInt(t.maxDurationSec, 0, 24 * 60 * 60, defaultMaxDuration),
+      // Hvordan nye opptak av samme oppgave håndteres (se VERSION_POLICIES)
+      versions: VERSION_POLICIES.includes(t.versions) ? t.versions : defaultVersions,
+      // Spørreskjema etter opplasting (study.json: tasks[].questionnaire), eller null
+      questionnaire: normalizeQuestionnaire(t.questionnaire, i + 1)
+    };
+  });
+
+  return {
+    title: String(raw.title || DEFAULT_STUDY.title),
+    slotCount: tasks.length,
+    webcam: normalizeWebcam(raw.webcam),
+    quality: normalizeQuality(raw.quality),
+    consent: normalizeConsent(raw.consent),
+    retentionDays: clampInt(raw.retentionDays, 0, MAX_RETENTION_DAYS, 0),
+    tasks
+  };
+}
+
+/**
+ * Oppretter en studiekonfigurasjon knyttet til en fil.
+ * Ved feil i filen beholdes siste gyldige versjon (eller standardoppsettet).
+ */
+export function createStudyConfig({ file }) {
+  let current = normalizeStudy(DEFAULT_STUDY);
+  let loadedMtime = null;
+
+  function reloadIfChanged() {
+    let st;
+    try {
+      st = fs.statSync(file);
+    } catch {
+      if (loadedMtime !== null) {
+        console.warn(`[study] ${file} forsvant, bruker standardoppsett`);
+        current = normalizeStudy(DEFAULT_STUDY);
+        loadedMtime = null;
+      }
+      return;
+    }
+    if (st.mtimeMs === loadedMtime) return;
+    loadedMtime = st.mtimeMs;
+
+    try {
+      current = normalizeStudy(JSON.parse(fs.readFileSync(file, 'utf8')));
+      console.log(`[study] lastet ${file} (${current.slotCount} oppgaver)`);
+    } catch (e) {
+      console.error(`[study] ugyldig ${file}, beholder forrige oppsett:`, e.message);
+    }
+  }
+
+  function get() {
+    reloadIfChanged();
+    return current;
+  }
+
+  // Slot må være et heltall mellom 1 og antall oppgaver i studien
+  function isValidSlot(slot) {
+    return Number.isInteger(slot) && slot >= 1 && slot <= get().slotCount;
+  }
+
+  function getTask(slot) {
+    return get().tasks[slot - 1] || null;
+  }
+
+  reloadIfChanged();
+  return { get, isValidSlot, getTask };
+}
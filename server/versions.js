@@ -0,0 +1,159 @@
+// Versjoner av samme oppgave: tar en deltaker opp Oppgave2 flere ganger, er
+// hvert ferdige opptak en versjon (1, 2, 3, ...). Hvilken versjon som er den
+// endelige lagres i DATA_DIR/final-takes.json (deltaker + slot -> filnavn).
+// Selve versjonene leses fra metadataen ved siden av opptakene. Metadata som
+// ikke er endret siden forrige oppslag, leses ikke på nytt.
+
+import fsp from 'fs/promises';
+import { PersistentMap } from './store.js';
+import { isSafeRecordingName, isStemName, readMetadata, sidecarPath } from './recordings.js';
+
+const key = (participantId, slot) => `${participantId}:${slot}`;
+
+// Eldste først; finishedAt er satt for alle opptak med metadata
+function byFinished(a, b) {
+  return String(a.finishedAt || '').localeCompare(String(b.finishedAt || '')) ||
+    a.fileName.localeCompare(b.fileName);
+}
+
+/**
+ * Endelig versjon blant opptakene: den som er valgt, ellers den nyeste.
+ * entries må ha fileName og finishedAt.
+ */
+export function pickFinal(entries, chosenFileName) {
+  if (!entries.length) return null;
+  if (chosenFileName && entries.some(e => e.fileName === chosenFileName)) return chosenFileName;
+  return [...entries].sort(byFinished).at(-1).fileName;
+}
+
+/**
+ * createVersionRegistry({ file, uploadDir })
+ * Returnerer { list, index, chosenFinal, setFinal, nextVersion, forgetParticipant, saveSync }.
+ * Feil som skyldes klienten kastes med .status (404).
+ */
+export function createVersionRegistry({ file, uploadDir }) {
+  const finals = new PersistentMap(file);
+
+  // fileName -> { ino, mtimeMs, size, entry } for metadata som er lest før.
+  // writeMetadata skriver en ny fil og renamer, så en endring gir ny ino/mtime.
+  const seen = new Map();
+
+  // Versjonsfeltene fra metadataen til ett opptak (null uten deltaker)
+  async function entryFor(name) {
+    const st = await fsp.stat(sidecarPath(uploadDir, name, '.json')).catch(() => null);
+    if (!st) {
+      seen.delete(name);
+      return null;
+    }
+    const hit = seen.get(name);
+    if (hit && hit.ino === st.ino && hit.mtimeMs === st.mtimeMs && hit.size === st.size) return hit.entry;
+
+    const meta = await readMetadata(uploadDir, name);
+    const entry = meta?.participantId ? {
+      participantId: meta.participantId,
+      slot: meta.slot,
+      fileName: name,
+      version: meta.version ?? null,
+      finishedAt: meta.finishedAt || null,
+      durationMs: meta.durationMs ?? null,
+      bytes: meta.bytes ?? null,
+      source: meta.source || null
+    } : null;
+    seen.set(name, { ino: st.ino, mtimeMs: st.mtimeMs, size: st.size, entry });
+    return entry;
+  }
+
+  // Én gjennomgang av opptaksmappen: "participantId:slot" -> versjoner
+  async function scan() {
+    const names = await fsp.readdir(uploadDir).catch(() => []);
+    const groups = new Map();
+    const present = new Set();
+    for (const name of names) {
+      if (!isSafeRecordingName(name) || isStemName(name)) continue;
+      present.add(name);
+      const entry = await entryFor(name);
+      if (!entry) continue;
+      const k = key(entry.participantId, entry.slot);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(entry);
+    }
+    for (const name of seen.keys()) {
+      if (!present.has(name)) seen.delete(name);
+    }
+    return groups;
+  }
+
+  // Nummererer og markerer endelig versjon (nye objekter, cachen endres ikke)
+  function describe(participantId, slot, entries = []) {
+    const out = entries.map(({ participantId: _p, slot: _s, ...v }) => v);
+    out.sort(byFinished);
+    // Eldre opptak (fra før versjonering) nummereres etter rekkefølge
+    out.forEach((v, i) => { v.version ??= i + 1; });
+
+    const finalName = pickFinal(out, finals.get(key(participantId, slot))?.fileName);
+    for (const v of out) v.final = v.fileName === finalName;
+    return out;
+  }
+
+  /**
+   * Alle versjoner en deltaker har av en slot, eldste først:
+   * [{ fileName, version, finishedAt, durationMs, bytes, source, final }]
+   */
+  async function list(participantId, slot) {
+    return describe(participantId, slot, (await scan()).get(key(participantId, slot)));
+  }
+
+  /**
+   * For mange oppslag i samme forespørsel (f.eks. CSV-eksport): mappen gås
+   * gjennom én gang. Returnerer { list(participantId, slot) } (synkron).
+   */
+  async function index() {
+    const groups = await scan();
+    return { list: (participantId, slot) => describe(participantId, slot, groups.get(key(participantId, slot))) };
+  }
+
+  // Versjonsnummeret et nytt opptak får
+  function nextVersion(existing) {
+    return existing.reduce((max, v) => Math.max(max, v.version || 0), 0) + 1;
+  }
+
+  // Det deltakeren (eller policyen) har valgt, eller null
+  function chosenFinal(participantId, slot) {
+    return finals.get(key(participantId, slot))?.fileName || null;
+  }
+
+  /**
+   * Setter endelig versjon. by er "participant" eller "policy".
+   * Filen må være en av deltakerens versjoner for slot-en.
+   */
+  async function setFinal(participantId, slot, fileName, by = 'participant') {
+    const versions = await list(participantId, slot);
+    if (!versions.some(v => v.fileName === fileName)) {
+      throw Object.assign(new Error('unknown version'), { status: 404 });
+    }
+    finals.set(key(participantId, slot), { fileName, markedAt: Date.now(), by });
+    for (const v of versions) v.final = v.fileName === fileName;
+    return versions;
+  }
+
+  // Glemmer alle valg for en deltaker (sletteforespørsel), og lagrer med en gang.
+  // Returnerer antall som ble slettet.
+  async function forgetParticipant(participantId) {
+    let count = 0;
+    for (const k of Array.from(finals.keys())) {
+      if (k.startsWith(`${participantId}:`)) {
+        finals.delete(k);
+        count++;
+      }
+    }
+    await finals.save();
+    return count;
+  }
+
+  // Lagrer synkront (ved nedstenging)
+  function saveSync() {
+    finals.saveSync();
+  }
+
+  return { list, index, chosenFinal, setFinal, nextVersion, forgetParticipant, saveSync };
+}
@@ -0,0 +1,214 @@
+// Strømmende ZIP-skriver uten ekstra avhengigheter.
+// Filene lagres ukomprimert (opptakene er allerede komprimert video), og skrives
+// rett til utstrømmen mens de leses, så ingenting bufres i minnet.
+// CRC og størrelse står i en "data descriptor" etter hver fil, siden de først er
+// kjent når filen er lest. ZIP64 brukes automatisk for filer og arkiver over 4 GB.
+
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import { once } from 'events';
+import zlib from 'zlib';
+
+const MAX32 = 0xffffffff;
+const MAX16 = 0xffff;
+
+// Flagg: bit 3 = størrelser/CRC i data descriptor, bit 11 = filnavn er UTF-8
+const FLAGS = 0x0808;
+
+// CRC-32 (samme som zlib). zlib.crc32 finnes fra Node 20.15; ellers regnes den ut her.
+const CRC_TABLE = zlib.crc32 ? null : Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf, prev = 0) {
+  if (!CRC_TABLE) return zlib.crc32(buf, prev);
+  let c = prev ^ MAX32;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ MAX32) >>> 0;
+}
+
+// Dato og klokkeslett i DOS-format (lokal tid, 2 sekunders oppløsning)
+function dosDateTime(d) {
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+/**
+ * createZipWriter(out)
+ * out er en skrivbar strøm (f.eks. Express-responsen). Respekterer mottrykk:
+ * venter på 'drain' før mer skrives, og avbryter hvis mottakeren kobler fra.
+ * Returnerer { addFile, addBuffer, finish }.
+ */
+export function createZipWriter(out) {
+  const entries = [];
+  let offset = 0;
+
+  async function write(buf) {
+    if (out.destroyed) throw Object.assign(new Error('client disconnected'), { code: 'ABORTED' });
+    offset += buf.length;
+    if (out.write(buf)) return;
+    await Promise.race([once(out, 'drain'), once(out, 'close')]);
+    if (out.destroyed) throw Object.assign(new Error('client disconnected'), { code: 'ABORTED' });
+  }
+
+  function localHeader(name, dt, zip64) {
+    const extra = zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+    if (zip64) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(16, 2); // størrelsene kommer i data descriptor
+    }
+    const h = Buffer.alloc(30);
+    h.writeUInt32LE(0x04034b50, 0);
+    h.writeUInt16LE(zip64 ? 45 : 20, 4);
+    h.writeUInt16LE(FLAGS, 6);
+    h.writeUInt16LE(0, 8); // ukomprimert
+    h.writeUInt16LE(dt.time, 10);
+    h.writeUInt16LE(dt.date, 12);
+    h.writeUInt32LE(0, 14);
+    h.writeUInt32LE(zip64 ? MAX32 : 0, 18);
+    h.writeUInt32LE(zip64 ? MAX32 : 0, 22);
+    h.writeUInt16LE(name.length, 26);
+    h.writeUInt16LE(extra.length, 28);
+    return Buffer.concat([h, name, extra]);
+  }
+
+  function dataDescriptor(crc, size, zip64) {
+    const d = Buffer.alloc(zip64 ? 24 : 16);
+    d.writeUInt32LE(0x08074b50, 0);
+    d.writeUInt32LE(crc, 4);
+    if (zip64) {
+      d.writeBigUInt64LE(BigInt(size), 8);
+      d.writeBigUInt64LE(BigInt(size), 16);
+    } else {
+      d.writeUInt32LE(size, 8);
+      d.writeUInt32LE(size, 12);
+    }
+    return d;
+  }
+
+  function centralHeader(e) {
+    const fields = [];
+    if (e.size >= MAX32) fields.push(e.size, e.size);
+    if (e.offset >= MAX32) fields.push(e.offset);
+    const extra = Buffer.alloc(fields.length ? 4 + fields.length * 8 : 0);
+    if (fields.length) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(fields.length * 8, 2);
+      fields.forEach((v, i) => extra.writeBigUInt64LE(BigInt(v), 4 + i * 8));
+    }
+    const h = Buffer.alloc(46);
+    h.writeUInt32LE(0x02014b50, 0);
+    h.writeUInt16LE(45, 4);
+    h.writeUInt16LE(e.zip64 || fields.length ? 45 : 20, 6);
+    h.writeUInt16LE(FLAGS, 8);
+    h.writeUInt16LE(0, 10);
+    h.writeUInt16LE(e.dt.time, 12);
+    h.writeUInt16LE(e.dt.date, 14);
+    h.writeUInt32LE(e.crc, 16);
+    h.writeUInt32LE(Math.min(e.size, MAX32), 20);
+    h.writeUInt32LE(Math.min(e.size, MAX32), 24);
+    h.writeUInt16LE(e.name.length, 28);
+    h.writeUInt16LE(extra.length, 30);
+    h.writeUInt32LE(Math.min(e.offset, MAX32), 42);
+    return Buffer.concat([h, e.name, extra]);
+  }
+
+  /**
+   * Legger til en fil fra disk. Filen åpnes før noe skrives, så en fil som er
+   * slettet i mellomtiden hoppes over (returnerer null). Ellers returneres
+   * { bytes, crc32, sha256 } for det som faktisk ble skrevet.
+   * reader: { size, createReadStream } for filer som må dekrypteres (encryption.js).
+   */
+  async function addFile(name, filepath, { reader = null } = {}) {
+    let fh;
+    let size;
+    try {
+      fh = await fsp.open(filepath, 'r');
+      size = reader ? await reader.size(filepath) : (await fh.stat()).size;
+    } catch (e) {
+      await fh?.close().catch(() => {});
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    try {
+      const st = await fh.stat();
+      const entry = {
+        name: Buffer.from(name, 'utf8'), dt: dosDateTime(st.mtime),
+        zip64: size >= MAX32, offset, crc: 0, size: 0
+      };
+      await write(localHeader(entry.name, entry.dt, entry.zip64));
+
+      const hash = crypto.createHash('sha256');
+      if (size > 0) {
+        const source = reader
+          ? reader.createReadStream(filepath, { start: 0, end: size - 1 })
+          : fh.createReadStream({ start: 0, end: size - 1, autoClose: false });
+        for await (const chunk of source) {
+          entry.crc = crc32(chunk, entry.crc);
+          entry.size += chunk.length;
+          hash.update(chunk);
+          await write(chunk);
+        }
+      }
+      await write(dataDescriptor(entry.crc, entry.size, entry.zip64));
+      entries.push(entry);
+      return { bytes: entry.size, crc32: entry.crc.toString(16).padStart(8, '0'), sha256: hash.digest('hex') };
+    } finally {
+      await fh.close().catch(() => {});
+    }
+  }
+
+  // Legger til en fil fra minnet (f.eks. manifestet)
+  async function addBuffer(name, buf, mtime = new Date()) {
+    const entry = {
+      name: Buffer.from(name, 'utf8'), dt: dosDateTime(mtime),
+      zip64: false, offset, crc: crc32(buf), size: buf.length
+    };
+    await write(localHeader(entry.name, entry.dt, false));
+    await write(buf);
+    await write(dataDescriptor(entry.crc, entry.size, false));
+    entries.push(entry);
+    return { bytes: buf.length, crc32: entry.crc.toString(16).padStart(8, '0'), sha256: crypto.createHash('sha256').update(buf).digest('hex') };
+  }
+
+  // Skriver katalogen (central directory) til slutt og avslutter strømmen
+  async function finish() {
+    const cdStart = offset;
+    for (const e of entries) await write(centralHeader(e));
+    const cdSize = offset - cdStart;
+
+    if (entries.length >= MAX16 || cdStart >= MAX32 || cdSize >= MAX32) {
+      const z64Start = offset;
+      const rec = Buffer.alloc(56);
+      rec.writeUInt32LE(0x06064b50, 0);
+      rec.writeBigUInt64LE(44n, 4);
+      rec.writeUInt16LE(45, 12);
+      rec.writeUInt16LE(45, 14);
+      rec.writeBigUInt64LE(BigInt(entries.length), 24);
+      rec.writeBigUInt64LE(BigInt(entries.length), 32);
+      rec.writeBigUInt64LE(BigInt(cdSize), 40);
+      rec.writeBigUInt64LE(BigInt(cdStart), 48);
+      const loc = Buffer.alloc(20);
+      loc.writeUInt32LE(0x07064b50, 0);
+      loc.writeBigUInt64LE(BigInt(z64Start), 8);
+      loc.writeUInt32LE(1, 16);
+      await write(Buffer.concat([rec, loc]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(entries.length, MAX16), 8);
+    end.writeUInt16LE(Math.min(entries.length, MAX16), 10);
+    end.writeUInt32LE(Math.min(cdSize, MAX32), 12);
+    end.writeUInt32LE(Math.min(cdStart, MAX32), 16);
+    await write(end);
+    out.end();
+  }
+
+  return { addFile, addBuffer, finish };
+}
@@ -0,0 +1,430 @@
+import { API_BASE } from './src/config.js';
+
+// Henter alle HTML-elementene admin-siden bruker
+const loginCard   = document.getElementById('adminLoginCard');
+const loginForm   = document.getElementById('adminLoginForm');
+const keyInput    = document.getElementById('adminKey');
+const loginBtn    = document.getElementById('adminLoginBtn');
+const loginMsg    = document.getElementById('adminLoginMsg');
+const adminWrap   = document.getElementById('adminWrap');
+const refreshBtn  = document.getElementById('refreshBtn');
+const logoutBtn   = document.getElementById('logoutBtn');
+const csvBtn      = document.getElementById('csvBtn');
+const retentionBtn = document.getElementById('retentionBtn');
+const exportLink  = document.getElementById('exportAllLink');
+const statusEl    = document.getElementById('status');
+const player      = document.getElementById('player');
+const playerTitle = document.getElementById('playerTitle');
+const listEl      = document.getElementById('recordingList');
+const markerList  = document.getElementById('markerList');
+
+function setStatus(t = '') {
+  statusEl.textContent = t;
+}
+
+// Admin-tokenet lagres per fane, akkurat som tester-tokenet
+function getAdminToken() {
+  return sessionStorage.getItem('adminToken');
+}
+
+/**
+ * fetch() mot admin-API-et med X-admin-token.
+ * Ved 403 logges admin ut (tokenet er utløpt eller ugyldig).
+ */
+async function adminFetch(path, options = {}) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: { ...(options.headers || {}), 'x-admin-token': getAdminToken() || '' }
+  });
+  if (res.status === 403) {
+    setLoggedIn(false);
+    throw Object.assign(new Error('Locked'), { code: 'LOCKED' });
+  }
+  return res;
+}
+
+// URL som <video> kan spille direkte. Headere kan ikke settes her, så tilgangen
+// går via medie-cookien (HttpOnly) som serveren setter ved innlogging.
+function recordingUrl(fileName) {
+  return `${API_BASE}/admin/recordings/${encodeURIComponent(fileName)}`;
+}
+
+// Poster (stillbilde) fra etterbehandlingen
+function posterUrl(fileName) {
+  return `${API_BASE}/admin/recordings/${encodeURIComponent(fileName)}/poster`;
+}
+
+// Markeringer (WebVTT) fra opptaket
+function markersUrl(fileName) {
+  return `${API_BASE}/admin/recordings/${encodeURIComponent(fileName)}/markers.vtt`;
+}
+
+// Sørger for at medie-cookien hører til denne fanens økt (en annen fane kan ha byttet den)
+async function refreshMediaCookie() {
+  await adminFetch('/admin/media-cookie', { method: 'POST' });
+}
+
+// Norsk tekst for status på etterbehandlingen
+const PROCESSING_TEXT = {
+  queued: 'venter på behandling',
+  running: 'behandles',
+  failed: 'behandling feilet'
+};
+
+// Viser bytes som MB med én desimal
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Bytter mellom innlogget og utlogget visning.
+ */
+function setLoggedIn(loggedIn) {
+  if (loggedIn) {
+    loginCard.classList.add('hidden');
+    adminWrap.classList.remove('hidden');
+    adminWrap.removeAttribute('aria-hidden');
+  } else {
+    sessionStorage.removeItem('adminToken');
+    adminWrap.classList.add('hidden');
+    adminWrap.setAttribute('aria-hidden', 'true');
+    loginCard.classList.remove('hidden');
+    stopPlayer();
+    listEl.replaceChildren();
+    keyInput.value = '';
+    keyInput.focus();
+  }
+}
+
+function stopPlayer() {
+  try { player.pause(); } catch {}
+  player.querySelectorAll('track').forEach(t => t.remove());
+  markerList.replaceChildren();
+  markerList.classList.add('hidden');
+  player.removeAttribute('src');
+  player.load();
+  player.classList.add('hidden');
+  playerTitle.textContent = '';
+}
+
+// Viser markeringene som en liste; et klikk hopper til markeringen i videoen
+function renderMarkers(cues) {
+  const items = Array.from(cues, cue => {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    const total = Math.floor(cue.startTime);
+    btn.textContent = `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    btn.addEventListener('click', () => {
+      player.currentTime = cue.startTime;
+      player.play().catch(() => {});
+    });
+    li.append(btn, ` ${cue.text}`);
+    return li;
+  });
+  markerList.replaceChildren(...items);
+  markerList.classList.toggle('hidden', !items.length);
+}
+
+function play(fileName, metadata = null) {
+  stopPlayer();
+
+  // Markeringene lastes som et kapittelspor, så spillere som støtter det kan vise dem
+  if (metadata?.markers?.length) {
+    const track = document.createElement('track');
+    track.kind = 'chapters';
+    track.label = 'Markeringer';
+    track.src = markersUrl(fileName);
+    track.default = true;
+    track.addEventListener('load', () => renderMarkers(track.track.cues || []));
+    player.append(track);
+    track.track.mode = 'hidden';
+  }
+
+  player.src = recordingUrl(fileName);
+  player.classList.remove('hidden');
+  playerTitle.textContent = fileName;
+  player.play().catch(() => {});
+}
+
+async function remove(fileName) {
+  if (!confirm(`Slette ${fileName} permanent?`)) return;
+  try {
+    const res = await adminFetch(`/admin/recordings/${encodeURIComponent(fileName)}`, {
+      method: 'DELETE'
+    });
+    if (!res.ok) throw new Error(`delete failed: ${res.status}`);
+    if (playerTitle.textContent === fileName) stopPlayer();
+    setStatus(`Slettet ${fileName}.`);
+    await loadRecordings();
+  } catch (e) {
+    if (e?.code !== 'LOCKED') setStatus(`Feil ved sletting: ${e.message}`);
+  }
+}
+
+/**
+ * Setter eller opphever juridisk hold. Opptak med hold slettes ikke,
+ * verken automatisk (oppbevaringstid) eller manuelt.
+ */
+async function toggleHold(rec) {
+  const hold = !rec.retention?.legalHold;
+  let reason = null;
+  if (hold) {
+    reason = prompt(`Juridisk hold for ${rec.fileName}. Begrunnelse (valgfritt):`, '');
+    if (reason === null) return;
+  } else if (!confirm(`Oppheve juridisk hold for ${rec.fileName}? Opptaket kan da slettes når oppbevaringstiden er ute.`)) {
+    return;
+  }
+  try {
+    const res = await adminFetch(`/admin/recordings/${encodeURIComponent(rec.fileName)}/retention`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ legalHold: hold, reason })
+    });
+    if (!res.ok) throw new Error(`update failed: ${res.status}`);
+    setStatus(hold ? `Juridisk hold satt for ${rec.fileName}.` : `Juridisk hold opphevet for ${rec.fileName}.`);
+    await loadRecordings();
+  } catch (e) {
+    if (e?.code !== 'LOCKED') setStatus(`Feil ved oppdatering: ${e.message}`);
+  }
+}
+
+/**
+ * Sletteforespørsel: sletter alle opptak og all logg om deltakeren.
+ * Kvitteringen vises i statuslinjen og kan hentes senere fra /api/admin/erasures.
+ */
+async function erase(participant) {
+  const ok = confirm(
+    `Slette ALLE data for ${participant.label}? Opptak, samtykker og logg slettes permanent, ` +
+    'og deltakeren kan ikke lenger låse opp.'
+  );
+  if (!ok) return;
+  try {
+    const res = await adminFetch(`/admin/participants/${encodeURIComponent(participant.id)}/erase`, {
+      method: 'POST'
+    });
+    if (!res.ok) throw new Error(`erase failed: ${res.status}`);
+    const { receipt } = await res.json();
+    stopPlayer();
+    await loadRecordings();
+    setStatus(
+      `Slettet ${receipt.recordings.length} opptak og ${receipt.auditEntries} logghendelser ` +
+      `for ${receipt.label} (kvittering ${receipt.receiptId}).`
+    );
+  } catch (e) {
+    if (e?.code !== 'LOCKED') setStatus(`Feil ved sletting: ${e.message}`);
+  }
+}
+
+/**
+ * URL til ZIP-eksporten (tilgang via medie-cookien, så nettleseren kan laste ned
+ * direkte uten å holde hele filen i minnet). filter: { participant, slot }.
+ */
+function exportUrl(filter = {}) {
+  const params = new URLSearchParams();
+  if (filter.participant) params.set('participant', filter.participant);
+  if (filter.slot) params.set('slot', String(filter.slot));
+  const query = params.toString();
+  return `${API_BASE}/admin/export.zip${query ? `?${query}` : ''}`;
+}
+
+// Lager én rad (poster, filnavn, størrelse, spill av, slett) for et opptak
+function renderRecording(rec) {
+  const li = document.createElement('li');
+
+  const name = document.createElement('span');
+  const details = [formatSize(rec.size)];
+  const meta = rec.metadata;
+  if (rec.version) details.push(`versjon ${rec.version}`);
+  if (rec.final) details.push('endelig');
+  if (meta?.durationMs) details.push(`${Math.round(meta.durationMs / 1000)} s`);
+  if (meta?.source) details.push(meta.source === 'live' ? 'direkte opptak' : 'filopplasting');
+  if (meta?.systemAudio) details.push('med systemlyd');
+  if (meta?.webcam) details.push('med webkamera');
+  if (meta?.pauses?.length) details.push(`${meta.pauses.length} pause(r)`);
+  if (PROCESSING_TEXT[meta?.processing?.status]) details.push(PROCESSING_TEXT[meta.processing.status]);
+  if (rec.retention?.legalHold) details.push('juridisk hold');
+  else if (rec.retention?.expiresAt) details.push(`slettes ${new Date(rec.retention.expiresAt).toLocaleDateString('nb-NO')}`);
+  name.textContent = `${rec.fileName} (${details.join(', ')}) `;
+
+  if (meta?.processing?.poster) {
+    const img = document.createElement('img');
+    img.className = 'poster';
+    img.alt = '';
+    img.loading = 'lazy';
+    img.src = posterUrl(rec.fileName);
+    li.append(img);
+  }
+
+  const playBtn = document.createElement('button');
+  playBtn.type = 'button';
+  playBtn.textContent = 'Spill av';
+  playBtn.addEventListener('click', () => play(rec.fileName, meta));
+
+  const holdBtn = document.createElement('button');
+  holdBtn.type = 'button';
+  holdBtn.textContent = rec.retention?.legalHold ? 'Opphev hold' : 'Juridisk hold';
+  holdBtn.addEventListener('click', () => toggleHold(rec));
+
+  const delBtn = document.createElement('button');
+  delBtn.type = 'button';
+  delBtn.textContent = 'Slett';
+  delBtn.disabled = !!rec.retention?.legalHold;
+  delBtn.addEventListener('click', () => remove(rec.fileName));
+
+  li.append(name, playBtn, ' ');
+
+  // Egen mikrofonfil (kun deltakerens stemme), spilles i samme spiller
+  if (rec.micStem) {
+    const micBtn = document.createElement('button');
+    micBtn.type = 'button';
+    micBtn.textContent = 'Kun mikrofon';
+    micBtn.addEventListener('click', () => play(rec.micStem));
+    li.append(micBtn, ' ');
+  }
+
+  li.append(holdBtn, ' ', delBtn);
+  return li;
+}
+
+function renderGroup(title, slots, participant = null) {
+  const section = document.createElement('section');
+  const h2 = document.createElement('h2');
+  h2.textContent = title;
+  section.append(h2);
+
+  if (participant) {
+    const zipLink = document.createElement('a');
+    zipLink.href = exportUrl({ participant: participant.label });
+    zipLink.download = '';
+    zipLink.textContent = 'Last ned (ZIP)';
+    section.append(zipLink, ' ');
+
+    const eraseBtn = document.createElement('button');
+    eraseBtn.type = 'button';
+    eraseBtn.textContent = 'Slett alle data for deltakeren';
+    eraseBtn.addEventListener('click', () => erase(participant));
+    section.append(eraseBtn);
+  }
+
+  for (const { slot, recordings } of slots) {
+    if (slot != null) {
+      const h3 = document.createElement('h3');
+      h3.textContent = `Oppgave ${slot}`;
+      section.append(h3);
+    }
+    const ul = document.createElement('ul');
+    recordings.forEach(r => ul.append(renderRecording(r)));
+    section.append(ul);
+  }
+  return section;
+}
+
+/**
+ * Henter og viser alle opptak, gruppert per deltaker og oppgave.
+ */
+async function loadRecordings() {
+  setStatus('Henter opptak…');
+  try {
+    // Medie-cookien fornyes samtidig, så postere og avspilling virker i denne fanen
+    const [res, pRes] = await Promise.all([
+      adminFetch('/admin/recordings'), adminFetch('/admin/participants'), refreshMediaCookie()
+    ]);
+    if (!res.ok) throw new Error(`list failed: ${res.status}`);
+    const data = await res.json();
+    const registry = pRes.ok ? (await pRes.json()).participants : [];
+    const byLabel = new Map(registry.filter(p => !p.erasedAt).map(p => [p.label, p]));
+
+    const sections = data.participants.map(p => renderGroup(p.label, p.slots, byLabel.get(p.label)));
+    if (data.unassigned.length) {
+      sections.push(renderGroup('Uten deltaker', [{ slot: null, recordings: data.unassigned }]));
+    }
+    listEl.replaceChildren(...sections);
+    exportLink.href = exportUrl();
+    setStatus(sections.length ? '' : 'Ingen opptak ennå.');
+  } catch (e) {
+    if (e?.code !== 'LOCKED') setStatus(`Feil ved henting: ${e.message}`);
+  }
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const key = keyInput.value || '';
+  if (!key) return;
+
+  loginBtn.disabled = true;
+  loginMsg.textContent = 'Verifiserer...';
+  loginMsg.className = 'statusline';
+
+  try {
+    const res = await fetch(`${API_BASE}/admin/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key })
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (res.ok && data.ok && data.token) {
+      sessionStorage.setItem('adminToken', data.token);
+      loginMsg.textContent = '';
+      setLoggedIn(true);
+      await loadRecordings();
+    } else {
+      loginMsg.textContent = 'Feil nøkkel.';
+      loginMsg.className = 'statusline err';
+    }
+  } catch (err) {
+    console.error('Admin login error:', err);
+    loginMsg.textContent = 'Serverfeil.';
+    loginMsg.className = 'statusline err';
+  } finally {
+    loginBtn.disabled = false;
+  }
+});
+
+refreshBtn.addEventListener('click', loadRecordings);
+
+// Svarene på spørreskjemaene for alle deltakere, lastes ned som CSV
+csvBtn.addEventListener('click', async () => {
+  try {
+    const res = await adminFetch('/admin/questionnaires.csv');
+    if (!res.ok) throw new Error(`export failed: ${res.status}`);
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'sporreskjema.csv';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10_000);
+  } catch (e) {
+    if (e?.code !== 'LOCKED') setStatus(`Feil ved eksport: ${e.message}`);
+  }
+});
+
+// Prøvekjøring av oppbevaringstiden: hva som ville blitt slettet nå (ingenting slettes)
+retentionBtn.addEventListener('click', async () => {
+  try {
+    const res = await adminFetch('/admin/retention');
+    if (!res.ok) throw new Error(`report failed: ${res.status}`);
+    const { retentionDays, sweepIntervalMs, summary } = await res.json();
+    const policy = retentionDays ? `Oppbevaringstid ${retentionDays} dager.` : 'Ingen oppbevaringstid satt i studien.';
+    setStatus(
+      `${policy} ${summary.delete} opptak (${formatSize(summary.deleteBytes)}) er utløpt` +
+      `${sweepIntervalMs ? ' og slettes ved neste kjøring' : ''}, ` +
+      `${summary.hold} har juridisk hold.`
+    );
+  } catch (e) {
+    if (e?.code !== 'LOCKED') setStatus(`Feil ved rapport: ${e.message}`);
+  }
+});
+
+logoutBtn.addEventListener('click', async () => {
+  await adminFetch('/admin/logout', { method: 'POST' }).catch(() => {});
+  setLoggedIn(false);
+});
+
+// Ved sidelasting: fortsett med eksisterende admin-token hvis det fortsatt virker
+(async function init() {
+  if (!getAdminToken()) return setLoggedIn(false);
+  setLoggedIn(true);
+  await loadRecordings();
+})();
@@ -0,0 +1,46 @@
+// Felles lydhjelpere for opptakeren og mikrofonsjekken.
+
+// AudioContext (vanlig eller webkit-variant)
+export function createAudioContext() {
+  return new (window.AudioContext || window.webkitAudioContext)();
+}
+
+/**
+ * Lydkrav for mikrofonen. Med deviceId brukes akkurat den mikrofonen
+ * deltakeren valgte i mikrofonsjekken, ellers nettleserens standard.
+ */
+export function micConstraints(deviceId = null) {
+  return {
+    echoCancellation: true,
+    noiseSuppression: true,
+    ...(deviceId ? { deviceId: { exact: deviceId } } : {})
+  };
+}
+
+/**
+ * Måler lydnivået til en lydkilde i en AudioContext.
+ * onLevel får et tall 0..1 (RMS, litt forsterket så vanlig tale synes godt).
+ * Returnerer en funksjon som stopper målingen.
+ */
+export function measureLevel(audioCtx, sourceNode, onLevel) {
+  const analyser = audioCtx.createAnalyser();
+  analyser.fftSize = 1024;
+  sourceNode.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let frame = null;
+
+  function tick() {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (const v of samples) sum += v * v;
+    onLevel(Math.min(1, Math.sqrt(sum / samples.length) * 4));
+    frame = requestAnimationFrame(tick);
+  }
+  tick();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    try { sourceNode.disconnect(analyser); } catch {}
+  };
+}
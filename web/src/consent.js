@@ -0,0 +1,109 @@
+// Samtykke: etter opplåsing må deltakeren godta studiens samtykketekst
+// (study.json: consent) før opptakssiden vises. Godkjenningen lagres på serveren,
+// og serveren avviser opplastinger (428) til gjeldende versjon er godtatt.
+
+import { API_BASE } from './config.js';
+
+function tokenHeader() {
+  const token = sessionStorage.getItem('authToken') || sessionStorage.getItem('unlockToken');
+  return token ? { 'x-unlock-token': token } : null;
+}
+
+/**
+ * fetchConsent()
+ * Returnerer { consent: { version, title, text }, accepted, acceptedVersion, acceptedAt },
+ * eller null hvis deltakeren ikke er låst opp.
+ */
+export async function fetchConsent() {
+  const headers = tokenHeader();
+  if (!headers) return null;
+  const res = await fetch(`${API_BASE}/consent`, { headers });
+  if (!res.ok) {
+    throw new Error(`consent failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Godtar samtykket med versjonen deltakeren fikk se. 409 = teksten er byttet ut.
+export async function acceptConsent(version) {
+  const headers = tokenHeader();
+  if (!headers) throw Object.assign(new Error('Locked'), { code: 'LOCKED' });
+  const res = await fetch(`${API_BASE}/consent`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ version })
+  });
+  if (res.status === 409) {
+    throw Object.assign(new Error('Consent changed'), { code: 'CHANGED' });
+  }
+  if (!res.ok) {
+    throw new Error(`consent failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+/**
+ * Kobler samtykkekortet til siden. Ved hver opplåsing sjekkes samtykket:
+ * mangler det, skjules opptakssiden og kortet vises til deltakeren godtar.
+ */
+export function wireConsent({ cardEl, titleEl, textEl, checkboxEl, buttonEl, statusEl, recWrapEl }) {
+  if (!cardEl) return;
+  let shownVersion = null;
+
+  function setVisible(needConsent) {
+    cardEl.classList.toggle('hidden', !needConsent);
+    recWrapEl.classList.toggle('hidden', needConsent);
+    if (needConsent) recWrapEl.setAttribute('aria-hidden', 'true');
+    else recWrapEl.removeAttribute('aria-hidden');
+  }
+
+  function show(data) {
+    shownVersion = data.consent.version;
+    titleEl.textContent = data.consent.title;
+    textEl.textContent = data.consent.text;
+    checkboxEl.checked = false;
+    buttonEl.disabled = true;
+    statusEl.textContent = data.acceptedVersion
+      ? 'Samtykketeksten er oppdatert siden sist. Les den og godta på nytt.'
+      : '';
+    statusEl.className = 'statusline';
+    setVisible(true);
+  }
+
+  async function check() {
+    try {
+      const data = await fetchConsent();
+      if (!data) return;
+      if (data.accepted) setVisible(false);
+      else show(data);
+    } catch (e) {
+      console.error('Kunne ikke hente samtykke:', e);
+      setVisible(true);
+      buttonEl.disabled = true;
+      statusEl.textContent = 'Kunne ikke hente samtykketeksten. Last inn siden på nytt.';
+      statusEl.className = 'statusline err';
+    }
+  }
+
+  checkboxEl.addEventListener('change', () => {
+    buttonEl.disabled = !checkboxEl.checked;
+  });
+
+  buttonEl.addEventListener('click', async () => {
+    buttonEl.disabled = true;
+    try {
+      await acceptConsent(shownVersion);
+      setVisible(false);
+    } catch (e) {
+      if (e?.code === 'CHANGED') return check();
+      console.error('Kunne ikke lagre samtykke:', e);
+      buttonEl.disabled = false;
+      statusEl.textContent = e?.code === 'LOCKED'
+        ? 'Sesjonen er låst/utløpt. Lås opp på nytt.'
+        : 'Kunne ikke lagre samtykket. Prøv igjen.';
+      statusEl.className = 'statusline err';
+    }
+  });
+
+  document.addEventListener('unlocked', check);
+}
@@ -1,4 +1,11 @@
 import { createChunkUploader } from './upload.js';
+import { rememberUpload, forgetUpload, listPendingUploads } from './pending-uploads.js';
+import { fetchQuota, formatBytes } from './quota.js';
+
+// Kjennetegn på en fil, brukes til å finne igjen en avbrutt opplasting av samme fil
+function fileFingerprint(file) {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+}
 
 export function wireFileUploader({
   inputEl,       // <input type="file"> for å velge videofil
@@ -7,7 +14,8 @@ export function wireFileUploader({
   progressBarEl, // Loadbaren
   chunkSize = 5 * 1024 * 1024, // Hvor stor hver chunk skal være (5 MB)
   getUploadId,   // Funksjon som lager en unik uploadId (per slot)
-  slot = 1       // Hvilken slot denne opplastingen tilhører (1–6)
+  slot = 1,      // Hvilken slot (oppgave) denne opplastingen tilhører
+  onUploaded     // Kalles etter en vellykket opplasting (f.eks. for å oppdatere kvoten)
 }) {
   // Hvis vi mangler enten input eller knapp, gir funksjonen bare opp
   if (!inputEl || !buttonEl) return;
@@ -41,6 +49,12 @@ export function wireFileUploader({
     );
   }
 
+  // Gi beskjed hvis en tidligere opplasting til denne sloten ble avbrutt
+  const interrupted = listPendingUploads({ slot, source: 'file' })[0];
+  if (interrupted) {
+    setStatus(`Opplastingen av ${interrupted.fileName} ble avbrutt. Velg samme fil og trykk på knappen for å fortsette.`);
+  }
+
   // Når brukeren klikker på "Last opp"
   buttonEl.addEventListener('click', async () => {
     const file = inputEl.files?.[0];
@@ -67,25 +81,69 @@ export function wireFileUploader({
       return;
     }
 
+    // Si ifra med en gang hvis filen ikke får plass innenfor lagringskvoten
+    const quota = await fetchQuota().catch(() => null);
+    if (quota?.remainingBytes != null && file.size > quota.remainingBytes) {
+      setStatus(`Filen er for stor: du har bare ${formatBytes(quota.remainingBytes)} lagringsplass igjen.`);
+      return;
+    }
+
     // Lås knappen mens vi laster opp, og nullstill fremdrift
     buttonEl.disabled = true;
     setProgress(0);
     setStatus('Starter opplasting…');
 
-    // Lager en uploader for denne sloten (1–6) og denne opplastingen
+    // Lager en uploader for denne sloten og denne opplastingen
     const up = createChunkUploader({
       maxPending: 1,          // Kun én chunk om gangen (enkelt og forutsigbart)
       uploadId: getUploadId?.(), // Egen ID per opplasting (f.eks. rec-slot1-...)
       slot
     });
 
-    try {
-      // Initier opplastingssesjonen (lager uploadId på serveren sin side)
-      await up.start();
+    const fingerprint = fileFingerprint(file);
 
+    try {
       let offset = 0;
       let part   = 0;
 
+      // Finnes det en avbrutt opplasting av samme fil til samme slot? Fortsett den.
+      const previous = listPendingUploads({ slot, source: 'file' })
+        .find(u => u.fingerprint === fingerprint);
+      const resumed = previous ? await up.resume(previous.uploadId).catch(() => null) : null;
+
+      if (resumed?.finished) {
+        // Serveren fullførte opplastingen, men svaret kom aldri fram → ikke last opp på nytt
+        forgetUpload(previous.uploadId);
+        setProgress(1);
+        setStatus('Filen var allerede lastet opp og er lagret på serveren.');
+        onUploaded?.(resumed);
+        return;
+      }
+
+      if (resumed) {
+        offset = resumed.bytes;
+        part   = resumed.nextIndex;
+        setStatus(`Fortsetter opplasting fra ${Math.round((offset / file.size) * 100)}%…`);
+
+        // Ta med det som allerede er sendt i hel-fil-hashen (leses bit for bit)
+        for (let pos = 0; pos < offset; pos += chunkSize) {
+          await up.feedHash(file.slice(pos, Math.min(pos + chunkSize, offset)));
+        }
+      } else {
+        if (previous) forgetUpload(previous.uploadId);
+        // Initier opplastingssesjonen (lager uploadId på serveren sin side)
+        await up.start();
+      }
+
+      // Husk opplastingen til den er ferdig, så den kan fortsettes etter reload
+      rememberUpload({
+        uploadId: up.uploadId,
+        slot,
+        source: 'file',
+        fingerprint,
+        fileName: file.name
+      });
+
       // Del opp filen i biter (chunks) og send én og én
       while (offset < file.size) {
         const chunk = file.slice(offset, offset + chunkSize);
@@ -102,20 +160,36 @@ export function wireFileUploader({
 
       // Edge case: fil uten innhold
       if (part === 0) {
+        forgetUpload(up.uploadId);
         setStatus('Ingen data ble lastet opp.');
         return;
       }
 
       // Si ifra til serveren at vi er ferdige, og la den gi filen endelig navn
-      const result = await up.finalize(0);
+      const result = await up.finalize(0, {
+        meta: {
+          source: 'file',
+          mimeType: file.type || null,
+          originalFileName: file.name
+        }
+      });
+      forgetUpload(up.uploadId);
       setProgress(1);
       setStatus('Lastet opp videoen! Videoen er lagret på serveren.');
+      onUploaded?.(result);
     } catch (e) {
-      // Feilhåndtering, inkl. låst/utløpt sesjon
+      // Feilhåndtering, inkl. låst/utløpt sesjon og filer som ikke besto kontrollen
+      if (e?.code === 'INTEGRITY') forgetUpload(up.uploadId);
       setStatus(
         e?.code === 'LOCKED'
           ? 'Sesjonen er låst/utløpt. Lås opp på nytt og prøv igjen.'
-          : `Feil under opplasting: ${e.message}`
+          : e?.code === 'INTEGRITY'
+            ? 'Filen kom ikke riktig fram til serveren. Prøv å laste den opp på nytt.'
+            : e?.code === 'QUOTA'
+              ? 'Lagringskvoten din er brukt opp. Ta kontakt med den som har ansvar for studien.'
+              : e?.code === 'CONSENT'
+                ? 'Samtykketeksten er endret. Last inn siden på nytt og les den nye teksten før du laster opp.'
+                : `Feil under opplasting: ${e.message}. Trykk på knappen igjen for å fortsette der den slapp.`
       );
     } finally {
       // Uansett suksess/feil → reaktiver knappen
@@ -0,0 +1,164 @@
+// Lokal sikkerhetskopi av direkte opptak i IndexedDB.
+// Hver chunk lagres lokalt FØR den lastes opp, slik at opptaket ikke går tapt
+// om nettet forsvinner eller fanen lukkes. Kopien slettes når serveren har
+// bekreftet at opptaket er ferdig (finish).
+
+const DB_NAME    = 'opptak-backup';
+const DB_VERSION = 1;
+const STORE_RECS   = 'recordings'; // én rad per opptak (metadata)
+const STORE_CHUNKS = 'chunks';     // én rad per chunk, nøkkel [localId, index]
+
+let dbPromise = null;
+
+// Gjør en IDBRequest om til et Promise
+function req(r) {
+  return new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+// Venter til en transaksjon er skrevet ferdig
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!self.indexedDB) {
+        reject(new Error('IndexedDB støttes ikke'));
+        return;
+      }
+      const open = indexedDB.open(DB_NAME, DB_VERSION);
+      open.onupgradeneeded = () => {
+        const db = open.result;
+        if (!db.objectStoreNames.contains(STORE_RECS)) {
+          db.createObjectStore(STORE_RECS, { keyPath: 'localId' });
+        }
+        if (!db.objectStoreNames.contains(STORE_CHUNKS)) {
+          db.createObjectStore(STORE_CHUNKS, { keyPath: ['localId', 'index'] });
+        }
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+    // Neste forsøk skal kunne prøve på nytt hvis åpningen feilet
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+async function putRecord(rec) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_RECS, 'readwrite');
+  tx.objectStore(STORE_RECS).put(rec);
+  await done(tx);
+}
+
+/**
+ * createBackup()
+ * Starter en ny lokal kopi for et opptak. Returnerer et lite objekt med:
+ *  - addChunk(blob, mimeType): lagrer neste chunk (index 0, 1, 2, ...) og returnerer index
+ *  - markSent(index): noterer at serveren har fått chunken
+ *  - update(fields): lagrer ekstra metadata (f.eks. uploadId, durationMs)
+ *  - remove(): sletter kopien (når serveren har bekreftet finish)
+ * Returnerer null hvis IndexedDB ikke er tilgjengelig (opptaket virker likevel).
+ */
+export async function createBackup({ slot }) {
+  const rec = {
+    localId: self.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    slot,
+    uploadId: null,
+    mimeType: null,
+    startedAt: Date.now(),
+    durationMs: null,
+    chunkCount: 0,
+    sentCount: 0,
+    stoppedAt: null
+  };
+
+  try {
+    await putRecord(rec);
+  } catch (e) {
+    console.warn('Lokal sikkerhetskopi er ikke tilgjengelig:', e);
+    return null;
+  }
+
+  let nextIndex = 0;
+
+  async function addChunk(blob, mimeType) {
+    const index = nextIndex++; // tildeles synkront, så rekkefølgen alltid stemmer
+    const db = await openDb();
+    const tx = db.transaction([STORE_CHUNKS, STORE_RECS], 'readwrite');
+    tx.objectStore(STORE_CHUNKS).put({ localId: rec.localId, index, blob });
+    rec.chunkCount = Math.max(rec.chunkCount, index + 1);
+    rec.mimeType = rec.mimeType || mimeType;
+    tx.objectStore(STORE_RECS).put(rec);
+    await done(tx);
+    return index;
+  }
+
+  async function markSent(index) {
+    rec.sentCount = Math.max(rec.sentCount, index + 1);
+    await putRecord(rec);
+  }
+
+  async function update(fields) {
+    Object.assign(rec, fields);
+    await putRecord(rec);
+  }
+
+  return {
+    get localId() { return rec.localId; },
+    addChunk,
+    markSent,
+    update,
+    remove: () => deleteBackup(rec.localId)
+  };
+}
+
+// Alle lokale kopier som fortsatt ligger i nettleseren (eldste først)
+export async function listBackups() {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(STORE_RECS, 'readonly');
+    const all = await req(tx.objectStore(STORE_RECS).getAll());
+    return all.sort((a, b) => a.startedAt - b.startedAt);
+  } catch {
+    return [];
+  }
+}
+
+// Henter én chunk fra en lokal kopi (undefined hvis den mangler)
+export async function getBackupChunk(localId, index) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_CHUNKS, 'readonly');
+  const row = await req(tx.objectStore(STORE_CHUNKS).get([localId, index]));
+  return row?.blob;
+}
+
+// Oppdaterer metadata for en lokal kopi (brukes ved opplasting i etterkant)
+export async function updateBackup(localId, fields) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_RECS, 'readwrite');
+  const store = tx.objectStore(STORE_RECS);
+  const rec = await req(store.get(localId));
+  if (rec) store.put({ ...rec, ...fields });
+  await done(tx);
+}
+
+// Sletter en lokal kopi med alle chunkene
+export async function deleteBackup(localId) {
+  const db = await openDb();
+  const tx = db.transaction([STORE_CHUNKS, STORE_RECS], 'readwrite');
+  tx.objectStore(STORE_CHUNKS).delete(
+    IDBKeyRange.bound([localId, 0], [localId, Infinity])
+  );
+  tx.objectStore(STORE_RECS).delete(localId);
+  await done(tx);
+}
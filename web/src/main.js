@@ -2,12 +2,48 @@
 import { createChunkUploader } from './upload.js';
 import { startRecorder } from './recorder.js';
 import { wireFileUploader } from './file-upload.js';
+import { loadStudy } from './study.js';
+import { createBackup } from './local-backup.js';
+import { renderRecoveryPanel } from './recovery.js';
+import { wireMicCheck } from './mic-check.js';
+import { fetchQuota, formatBytes } from './quota.js';
+import { fetchVersions, renderVersions } from './versions.js';
+import { wireConsent } from './consent.js';
+import { renderQuestionnaire } from './questionnaire.js';
 
 // Pekere til sentrale elementer
-const stopButtons     = Array.from(document.querySelectorAll('.stopBtn'));
 const statusEl       = document.getElementById('status');
 const preview        = document.getElementById('preview');
 const sysAudioToggle = document.getElementById('sysAudioToggle');
+const webcamOption   = document.getElementById('webcamOption');
+const webcamToggle   = document.getElementById('webcamToggle');
+const micGainInput   = document.getElementById('micGain');
+const sysGainInput   = document.getElementById('systemGain');
+const micStemToggle  = document.getElementById('micStemToggle');
+const qualitySelect  = document.getElementById('qualitySelect');
+const taskListEl     = document.getElementById('taskList');
+const studyTitleEl   = document.getElementById('studyTitle');
+const recoveryPanel  = document.getElementById('recoveryPanel');
+const quotaInfoEl    = document.getElementById('quotaInfo');
+
+// Mikrofonsjekk (valg av mikrofon + nivåmåler) før opptak
+const micCheck = wireMicCheck({
+  selectEl: document.getElementById('micSelect'),
+  buttonEl: document.getElementById('micCheckBtn'),
+  meterEl:  document.getElementById('micLevel'),
+  statusEl: document.getElementById('micStatus')
+});
+
+// Samtykke må godtas før opptakssiden vises (sjekkes ved hver opplåsing)
+wireConsent({
+  cardEl:     document.getElementById('consentCard'),
+  titleEl:    document.getElementById('consentTitle'),
+  textEl:     document.getElementById('consentText'),
+  checkboxEl: document.getElementById('consentCheck'),
+  buttonEl:   document.getElementById('consentBtn'),
+  statusEl:   document.getElementById('consentMsg'),
+  recWrapEl:  document.getElementById('recWrap')
+});
 
 // Enkel helper for å vise statusmeldinger til brukeren
 function setStatus(t = '') {
@@ -17,7 +53,38 @@ function setStatus(t = '') {
 // Tilstand for aktivt opptak
 let rec = null;               // objektet fra startRecorder
 let up  = null;               // chunk-uploaderen mot serveren
-let recordingActive = false;  // om vi for øyeblikket tar opp
+let backup = null;            // lokal kopi i IndexedDB (null hvis ikke tilgjengelig)
+let uploadBroken = false;     // opplastingen feilet, opptaket lagres kun lokalt
+let chunkChain = Promise.resolve(); // chunkene behandles én og én, i rekkefølge
+let backlog = 0;              // chunker fra opptakeren som ikke er ferdig behandlet
+let lastQualityChange = 0;    // tidspunkt for siste kvalitetsendring (ms)
+let qualityStep = null;       // { level, beforeBps } for siste senking, til effekten er målt
+let lowerQualityHelps = true; // false når et lavere trinn ikke ga mindre data
+let micUp = null;             // uploader for egen mikrofonfil (null hvis ikke valgt)
+let micChain = Promise.resolve(); // mikrofon-chunkene, én og én i rekkefølge
+let micBroken = false;        // opplastingen av mikrofonfilen feilet (hovedopptaket går videre)
+let durationTimer = null;     // sjekker om opptaket har nådd maks lengde
+
+// Hvor ofte kvaliteten kan senkes/økes, så den ikke "flakser" opp og ned
+const QUALITY_DOWN_INTERVAL_MS = 10_000;
+const QUALITY_UP_INTERVAL_MS   = 60_000;
+
+// Så lenge før maks lengde vises en nedtelling til automatisk stopp
+const AUTO_STOP_WARN_MS = 60_000;
+// Minste ledige lagringsplass for å starte et nytt opptak
+const MIN_FREE_BYTES_TO_RECORD = 50 * 1024 * 1024;
+
+// Titler fra studiekonfigurasjonen (slot -> tittel), brukes i gjenopprettingspanelet
+const taskTitles = new Map();
+// Maks lengde per slot i sekunder (0 = ingen grense)
+const taskMaxDurations = new Map();
+// Spørreskjema per slot (kun oppgaver som har et)
+const taskQuestionnaires = new Map();
+
+// Plassering og størrelse på kameraboblen (fra studiekonfigurasjonen)
+let webcamConfig = null;
+// Kvalitetsvalgene fra studien (id → { maxWidth, maxHeight, frameRate, bitsPerSecond })
+const qualityPresets = new Map();
 
 // Slår av/på alle “Start opptak” knappene
 function setStartButtonsDisabled(disabled) {
@@ -28,11 +95,231 @@ function setStartButtonsDisabled(disabled) {
 
 // Slår av/på alle stopp-knappene samtidig
 function setStopButtonsDisabled(disabled) {
-  stopButtons.forEach(btn => (btn.disabled = disabled));
+  document.querySelectorAll('.stopBtn').forEach(btn => {
+    btn.disabled = disabled;
+  });
+}
+
+// Slår av/på pauseknappene og viser "Pause" eller "Fortsett"
+function setPauseButtons({ disabled, paused = false }) {
+  document.querySelectorAll('.pauseBtn').forEach(btn => {
+    btn.disabled = disabled;
+    btn.textContent = paused ? 'Fortsett' : 'Pause';
+  });
+}
+
+// Slår av/på markeringsknappene
+function setMarkButtonsDisabled(disabled) {
+  document.querySelectorAll('.markBtn').forEach(btn => {
+    btn.disabled = disabled;
+  });
+}
+
+// Viser millisekunder som m:ss
+function formatOffset(ms) {
+  const total = Math.floor(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Viser hvor mye lagringsplass deltakeren har igjen på serveren
+async function refreshQuota() {
+  if (!quotaInfoEl) return null;
+  try {
+    const quota = await fetchQuota();
+    quotaInfoEl.classList.toggle('hidden', quota?.limitBytes == null);
+    if (quota?.limitBytes != null) {
+      quotaInfoEl.textContent =
+        `Lagringsplass igjen: ${formatBytes(quota.remainingBytes)} av ${formatBytes(quota.limitBytes)}.`;
+      quotaInfoEl.className = quota.remainingBytes < MIN_FREE_BYTES_TO_RECORD ? 'statusline err' : 'statusline';
+    }
+    return quota;
+  } catch (e) {
+    console.warn('Kunne ikke hente lagringskvote:', e);
+    return null;
+  }
+}
+
+// Oppdaterer listen over deltakerens versjoner av én oppgave
+async function refreshVersions(slot, { askChoice = false } = {}) {
+  const container = document.querySelector(`[data-versions-slot="${slot}"]`);
+  if (!container) return;
+  try {
+    const data = await fetchVersions(slot);
+    if (data) renderVersions(container, slot, data, { askChoice });
+  } catch (e) {
+    console.warn('Kunne ikke hente versjoner:', e);
+  }
+}
+
+function refreshAllVersions() {
+  for (const slot of taskTitles.keys()) refreshVersions(slot);
+}
+
+// Viser spørreskjemaet for oppgaven etter at opptaket fileName er lastet opp
+function showQuestionnaire(slot, fileName) {
+  const questionnaire = taskQuestionnaires.get(slot);
+  const container = document.querySelector(`[data-questionnaire-slot="${slot}"]`);
+  if (!questionnaire || !container || !fileName) return;
+  renderQuestionnaire(container, { slot, fileName, questionnaire });
+}
+
+/**
+ * Stopper opptaket automatisk når det når maks lengde for oppgaven.
+ * Pauser teller ikke med. Det siste minuttet vises en nedtelling.
+ */
+function watchDuration(maxMs) {
+  clearInterval(durationTimer);
+  durationTimer = null;
+  if (!maxMs) return;
+
+  durationTimer = setInterval(() => {
+    if (!rec || rec.paused) return;
+    const left = maxMs - rec.getDurationMs();
+    if (left <= 0) {
+      clearInterval(durationTimer);
+      durationTimer = null;
+      setStatus('Opptaket har nådd maks lengde og stoppes …');
+      stop();
+    } else if (left <= AUTO_STOP_WARN_MS) {
+      setStatus(`Opptaket stopper automatisk om ${Math.ceil(left / 1000)} s (maks lengde ${formatOffset(maxMs)}).`);
+    }
+  }, 1000);
+}
+
+// Tegner panelet med opptak som ligger lokalt og ikke er ferdig lastet opp
+function refreshRecoveryPanel() {
+  return renderRecoveryPanel(recoveryPanel, {
+    setStatus,
+    excludeLocalId: rec ? backup?.localId : null,
+    getTaskTitle: slot => taskTitles.get(slot)
+  });
 }
 
 /**
- * Starter et skjermopptak for gitt slot (1–6).
+ * Tilpasser opptakets kvalitet til målt opplastingshastighet i stedet for å
+ * pause opptaket (som ville gitt hull i videoen):
+ *  - hoper chunkene seg opp i køen → senk kvaliteten (bildefrekvens/oppløsning)
+ *  - køen er tom og opplastingen er godt over dobbelt så rask som datamengden
+ *    opptaket faktisk gir nå → øk den igjen
+ * Bitraten til MediaRecorder står fast, så hver senking måles: gir det nye trinnet
+ * ikke mindre data (dataRateBps), går vi tilbake og senker ikke mer i dette opptaket.
+ */
+function adaptQuality() {
+  if (!rec || !up) return;
+  const now = Date.now();
+  const waiting = backlog - 1; // chunken som behandles nå er fortsatt med i tellingen
+
+  // Effekten av forrige senking, så snart det nye trinnet har en måling
+  if (qualityStep && rec.dataRateBps) {
+    const { level, beforeBps } = qualityStep;
+    const afterBps = rec.dataRateBps;
+    qualityStep = null;
+    console.log(`Kvalitetstrinn ${level}: ${Math.round(beforeBps / 1000)} → ${Math.round(afterBps / 1000)} kB/s`);
+    if (afterBps > 0.9 * beforeBps) {
+      lowerQualityHelps = false;
+      rec.raiseQuality?.().then(changed => {
+        if (changed) setStatus('Tar opp …');
+      });
+      return;
+    }
+  }
+
+  if (waiting >= 2 && lowerQualityHelps && !qualityStep &&
+      now - lastQualityChange > QUALITY_DOWN_INTERVAL_MS) {
+    lastQualityChange = now;
+    const beforeBps = rec.dataRateBps;
+    rec.lowerQuality?.().then(changed => {
+      if (!changed) return;
+      if (beforeBps) qualityStep = { level: rec.quality.level, beforeBps };
+      setStatus('Treg opplasting – senker kvaliteten på opptaket.');
+    });
+    return;
+  }
+
+  const recordedBps = rec.dataRateBps;
+  if (waiting === 0 && rec.quality?.level > 0 && recordedBps &&
+      (up.throughputBps || 0) > 2.5 * recordedBps &&
+      now - lastQualityChange > QUALITY_UP_INTERVAL_MS) {
+    lastQualityChange = now;
+    qualityStep = null;
+    rec.raiseQuality?.().then(changed => {
+      if (changed) setStatus('Tar opp …');
+    });
+  }
+}
+
+/**
+ * Behandler én chunk fra opptakeren:
+ *  1. lagres lokalt i IndexedDB (så den ikke går tapt)
+ *  2. lastes opp til serveren, med mindre opplastingen allerede har feilet
+ * Hvis opplastingen feiler, fortsetter opptaket og lagres kun lokalt.
+ */
+async function handleChunk(blob, mimeType) {
+  let index = null;
+  if (backup) {
+    try {
+      index = await backup.addChunk(blob, mimeType);
+    } catch (e) {
+      console.error('Lokal lagring feilet:', e);
+      backup = null;
+      if (uploadBroken) setStatus('Både opplasting og lokal lagring feilet. Stopp opptaket.');
+    }
+  }
+
+  if (uploadBroken || !up) return;
+
+  try {
+    await up.push(blob, mimeType, {
+      // Forbigående feil: si ifra, opplasteren prøver igjen selv
+      onRetry: ({ delayMs }) =>
+        setStatus(`Nettverksproblem – prøver igjen om ${Math.ceil(delayMs / 1000)} s …`)
+    });
+    if (backup && index !== null) await backup.markSent(index).catch(() => {});
+    adaptQuality();
+  } catch (e) {
+    console.error('Upload chunk error:', e);
+    uploadBroken = true;
+
+    const reason = e?.code === 'LOCKED'
+      ? 'Sesjonen er låst/utløpt (403)'
+      : e?.code === 'QUOTA'
+        ? 'Lagringskvoten din er brukt opp'
+        : e?.code === 'CONSENT'
+          ? 'Samtykketeksten er endret og må godtas på nytt (last inn siden)'
+          : `Feil ved opplasting: ${e.message}`;
+    if (backup) {
+      setStatus(`${reason}. Opptaket fortsetter og lagres lokalt – du kan laste det opp etterpå.`);
+    } else {
+      // Uten lokal kopi er det ingen vits i å fortsette opptaket
+      setStatus(`${reason}. Opptaket er stoppet.`);
+      try { await rec?.stop?.(); } catch {}
+      cleanup();
+    }
+  }
+}
+
+/**
+ * Laster opp én chunk av den egne mikrofonfilen. Feil her stopper ikke
+ * hovedopptaket; mikrofonfilen droppes bare.
+ */
+async function handleMicChunk(blob, mimeType) {
+  if (micBroken || !micUp) return;
+  try {
+    await micUp.push(blob, mimeType);
+  } catch (e) {
+    console.error('Upload mic chunk error:', e);
+    micBroken = true;
+  }
+}
+
+// Volumet fra glidebryterne (0–2, 1 = uendret)
+function gainValue(inputEl) {
+  const v = Number(inputEl?.value);
+  return Number.isFinite(v) ? v : 1;
+}
+
+/**
+ * Starter et skjermopptak for gitt slot (fra studiekonfigurasjonen).
  * Slot-nummeret avgjør hvilket “Opptak X” filen havner som på serveren.
  */
 async function start(slot) {
@@ -52,72 +339,202 @@ async function start(slot) {
       return;
     }
 
-    // Lag uploader for denne sloten (1–6). maxPending=1 for enkel køhåndtering
+    // Ikke start et opptak som ikke får plass på serveren
+    const quota = await refreshQuota();
+    if (quota?.remainingBytes != null && quota.remainingBytes < MIN_FREE_BYTES_TO_RECORD) {
+      setStatus('Lagringskvoten din er brukt opp. Ta kontakt med den som har ansvar for studien.');
+      setStartButtonsDisabled(false);
+      return;
+    }
+
+    // Lag uploader for denne sloten. maxPending=1 for enkel køhåndtering
     up = createChunkUploader({ maxPending: 1, slot });
     await up.start();
+    uploadBroken = false;
+    chunkChain = Promise.resolve();
+    backlog = 0;
+    lastQualityChange = Date.now();
+    qualityStep = null;
+    lowerQualityHelps = true;
 
-    recordingActive = true;
+    // Egen mikrofonfil for samme slot, hvis valgt
+    micBroken = false;
+    micChain = Promise.resolve();
+    micUp = null;
+    if (micStemToggle?.checked) {
+      micUp = createChunkUploader({ maxPending: 1, slot });
+      await micUp.start();
+    }
+
+    // Lokal kopi av hver chunk, i tilfelle opplastingen feiler underveis
+    backup = await createBackup({ slot });
+    await backup?.update({ uploadId: up.uploadId });
+
+    // Mikrofonsjekken slipper mikrofonen før opptaket tar den
+    micCheck.stop();
 
     // Start skjerm + lyd-opptak
     rec = await startRecorder({
       wantSystemAudio: !!(sysAudioToggle?.checked), // ta opp systemlyd hvis avkrysset
+      webcam: webcamConfig?.enabled && webcamToggle?.checked
+        ? { position: webcamConfig.position, size: webcamConfig.size }
+        : null,                                     // kameraboble hvis valgt
+      micDeviceId: micCheck.getDeviceId(),          // mikrofonen fra mikrofonsjekken
+      micGain: gainValue(micGainInput),             // volum fra glidebryterne
+      systemGain: gainValue(sysGainInput),
+      micStem: !!micUp,                             // mikrofonen også som egen lydfil
+      quality: qualityPresets.get(qualitySelect?.value) || undefined, // valgt kvalitet
       timesliceMs: 3000,                            // ny chunk ca. hver 3. sekund
       previewEl: preview,                           // <video> der brukeren ser opptaket
       onStatus: setStatus,                          // vis statusmeldinger
-      onChunk: async (blob, mimeType) => {          // får hver chunk fra opptakeren
-        if (!recordingActive) return;
-        try {
-          await up.push(blob, mimeType, {
-            // Hvis opplasting henger, kan vi pause opptaker midlertidig
-            onBackpressurePause: () => rec?.pause?.(),
-            onBackpressureResume: () => rec?.resume?.()
-          });
-        } catch (e) {
-          console.error('Upload chunk error:', e);
-          if (e?.code === 'LOCKED') {
-            setStatus('Sesjonen er låst/utløpt (403). Lås opp på nytt og start opptak.');
-          } else {
-            setStatus(`Feil ved opplasting: ${e.message}`);
-          }
-          recordingActive = false;
-          try { rec?.stop?.(); } catch {}
-          cleanup();
-        }
+      onChunk: (blob, mimeType) => {                // får hver chunk fra opptakeren
+        backlog++;
+        chunkChain = chunkChain
+          .then(() => handleChunk(blob, mimeType))
+          .catch(e => console.error('Chunk-behandling feilet:', e))
+          .finally(() => { backlog--; });
+      },
+      onMicChunk: (blob, mimeType) => {
+        micChain = micChain.then(() => handleMicChunk(blob, mimeType));
       }
     });
 
-    // Nå kan brukeren stoppe opptaket
+    // Metadata som trengs hvis opptaket må lastes opp fra den lokale kopien senere
+    await backup?.update({
+      mimeType: rec.mimeType,
+      systemAudio: rec.hasSystemAudio,
+      webcam: rec.hasWebcam,
+      quality: qualitySelect?.value || null,
+      startedAt: rec.startedAt
+    }).catch(() => {});
+
+    // Stopp automatisk ved maks lengde for oppgaven
+    watchDuration((taskMaxDurations.get(slot) || 0) * 1000);
+
+    // Nå kan brukeren stoppe (eller pause) opptaket
     setStopButtonsDisabled(false);
+    setPauseButtons({ disabled: false });
+    setMarkButtonsDisabled(false);
   } catch (e) {
     console.error(e);
     setStatus(`Feil ved start av opptak: ${e.message}`);
+    // Ingenting er tatt opp ennå, så den lokale kopien trengs ikke
+    await backup?.remove().catch(() => {});
     cleanup();
   }
 }
 
+/**
+ * Pause-knappen: setter opptaket på pause eller fortsetter det.
+ * Pausene lagres med opptaket, så de som ser gjennom det vet hvor det var pause.
+ */
+function togglePause() {
+  if (!rec) return;
+  if (rec.paused) {
+    if (rec.resume()) setStatus('Tar opp …');
+  } else if (rec.pause()) {
+    setStatus('Opptaket er satt på pause. Trykk “Fortsett” for å ta opp igjen.');
+  }
+  setPauseButtons({ disabled: false, paused: rec.paused });
+  backup?.update({ pauses: rec.getPauses() }).catch(() => {});
+}
+
+/**
+ * Markerer et øyeblikk i opptaket ("her gikk noe galt"), med valgfritt notat.
+ * Markeringene sendes med opplastingen og blir til en WebVTT-fil på serveren.
+ */
+function markMoment({ askNote = false } = {}) {
+  if (!rec) return;
+  let note = '';
+  if (askNote) {
+    note = prompt('Kort notat til markeringen (valgfritt):', '');
+    if (note === null) return; // avbrutt
+  }
+  const marker = rec.addMarker(note);
+  setStatus(`Markering lagt til ved ${formatOffset(marker.atMs)}.`);
+  backup?.update({ markers: rec.getMarkers() }).catch(() => {});
+}
+
+// Hurtigtast for markering: Alt+M (uten notat, så opptaket ikke forstyrres)
+document.addEventListener('keydown', (e) => {
+  if (!rec || !e.altKey || e.ctrlKey || e.metaKey || e.code !== 'KeyM') return;
+  e.preventDefault();
+  markMoment();
+});
+
 // Stopp-knappen: avslutter opptaket og fullfører opplasting til server.
 async function stop() {
+  clearInterval(durationTimer);
+  durationTimer = null;
   setStopButtonsDisabled(true);
-
-  recordingActive = false;
+  setPauseButtons({ disabled: true });
+  setMarkButtonsDisabled(true);
 
   try {
-    // Be opptakeren sende siste rest av data
-    rec?.flush?.();
-    rec?.stop?.();
+    // Stopp opptakeren og vent til siste chunk er levert og behandlet
+    const durationMs = rec?.getDurationMs?.() || 0;
+    await rec?.stop?.();
+    await chunkChain;
+    await micChain;
+    const pauses = rec?.getPauses?.() || [];
+    const markers = rec?.getMarkers?.() || [];
+    await backup?.update({ durationMs, pauses, markers, stoppedAt: Date.now() }).catch(() => {});
 
-    // Liten pause for å være sikre på at siste chunk er ferdig
-    await new Promise(r => setTimeout(r, 150));
+    if (uploadBroken) {
+      setStatus('Opptaket er lagret lokalt, men ikke lastet opp. Bruk “Last opp” i listen over opptak som ikke er ferdige.');
+      return;
+    }
 
-    const durationMs = rec?.getDurationMs?.() || 0;
-    const result = await up?.finalize(durationMs);
+    const result = await up?.finalize(durationMs, {
+      meta: {
+        source: 'live',
+        mimeType: rec?.mimeType,
+        systemAudio: rec?.hasSystemAudio,
+        webcam: rec?.hasWebcam,
+        quality: qualitySelect?.value || null,
+        startedAt: rec?.startedAt,
+        endedAt: Date.now(),
+        pauses,
+        markers
+      }
+    });
     console.log('Finalize result:', result);
 
-    setStatus('Videoen ble opplastet! Filen er lagret på serveren.');
+    // Serveren har bekreftet opptaket → den lokale kopien trengs ikke lenger
+    await backup?.remove().catch(e => console.warn('Kunne ikke slette lokal kopi:', e));
+
+    // Mikrofonfilen knyttes til det ferdige opptaket (samme navn, .mic.webm)
+    let micFailed = false;
+    if (micUp && rec?.hasMicStem) {
+      try {
+        if (micBroken) throw new Error('mic upload failed');
+        await micUp.finalize(durationMs, {
+          meta: { source: 'live', mimeType: rec.micMimeType, startedAt: rec.startedAt },
+          companionOf: result?.fileName
+        });
+      } catch (e) {
+        console.error('Mic stem finalize error:', e);
+        micFailed = true;
+      }
+    }
+
+    setStatus(micFailed
+      ? 'Videoen ble opplastet, men den egne mikrofonfilen kom ikke fram.'
+      : 'Videoen ble opplastet! Filen er lagret på serveren.');
+
+    // Vis versjonene av oppgaven (og be om et valg hvis studien vil det)
+    if (result?.metadata?.slot) {
+      refreshVersions(result.metadata.slot, { askChoice: !!result.version?.chooseFinal });
+      showQuestionnaire(result.metadata.slot, result.fileName);
+    }
   } catch (e) {
     console.error(e);
     if (e?.code === 'LOCKED') {
-      setStatus('Sesjonen er låst/utløpt (403). Lås opp på nytt og start opptak.');
+      setStatus('Sesjonen er låst/utløpt (403). Lås opp på nytt og last opp opptaket fra listen.');
+    } else if (e?.code === 'INTEGRITY') {
+      setStatus('Opptaket kom ikke riktig fram til serveren. Last det opp på nytt fra listen.');
+    } else if (e?.code === 'CONSENT') {
+      setStatus('Samtykketeksten er endret. Last inn siden, godta den nye teksten og last opp opptaket fra listen.');
     } else {
       setStatus(`Feil under stopp: ${e.message}`);
     }
@@ -131,107 +548,189 @@ async function stop() {
  *  - stopper eventuelle streams
  *  - nullstiller variabler
  *  - reaktiverer start-knapper
+ *  - viser evt. lokale opptak som ikke er lastet opp
  */
 function cleanup() {
+  clearInterval(durationTimer);
+  durationTimer = null;
   try { rec?.cleanup?.(); } catch {}
   rec = null;
   up  = null;
-  recordingActive = false;
+  micUp = null;
+  backup = null;
+  uploadBroken = false;
   setStartButtonsDisabled(false);
   setStopButtonsDisabled(true);
+  setPauseButtons({ disabled: true });
+  setMarkButtonsDisabled(true);
+  refreshRecoveryPanel();
+  refreshQuota();
+}
+
+// Lager et element med gitt tag, klasse og tekst
+function el(tag, { className, text } = {}) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text) node.textContent = text;
+  return node;
+}
+
+// Etter opplåsing: vis lagringskvoten og deltakerens versjoner av hver oppgave
+document.addEventListener('unlocked', () => {
+  refreshQuota();
+  refreshAllVersions();
+});
+
+// Volumet kan justeres mens opptaket pågår
+micGainInput?.addEventListener('input', () => rec?.setGain?.('mic', gainValue(micGainInput)));
+sysGainInput?.addEventListener('input', () => rec?.setGain?.('system', gainValue(sysGainInput)));
+
+/**
+ * Bygger kontrollene for én oppgave ut fra studiekonfigurasjonen:
+ *  - "record": Start/Pause/Marker/Stopp-knapper for direkte skjermopptak
+ *  - "upload": filvelger, statuslinje og "Last opp"-knapp
+ */
+function renderTask(task) {
+  const section = el('section', { className: 'task' });
+  section.dataset.taskSlot = String(task.slot);
+
+  section.append(el('h3', { text: task.title }));
+  if (task.instructions) {
+    section.append(el('p', { className: 'instructions', text: task.instructions }));
+  }
+  if (task.maxDurationSec && task.modes.includes('record')) {
+    section.append(el('p', {
+      className: 'instructions',
+      text: `Opptaket stopper automatisk etter ${formatOffset(task.maxDurationSec * 1000)} (min:sek).`
+    }));
+  }
+
+  if (task.modes.includes('record')) {
+    const controls = el('div', { className: 'controls' });
+
+    const startBtn = el('button', { text: `Start ${task.title}` });
+    startBtn.type = 'button';
+    startBtn.dataset.slot = String(task.slot);
+    startBtn.addEventListener('click', () => start(task.slot));
+
+    const stopBtn = el('button', { className: 'stopBtn', text: 'Stopp & Last opp' });
+    stopBtn.type = 'button';
+    stopBtn.disabled = true;
+    stopBtn.addEventListener('click', stop);
+
+    const pauseBtn = el('button', { className: 'pauseBtn', text: 'Pause' });
+    pauseBtn.type = 'button';
+    pauseBtn.disabled = true;
+    pauseBtn.addEventListener('click', togglePause);
+
+    const markBtn = el('button', { className: 'markBtn', text: 'Marker (Alt+M)' });
+    markBtn.type = 'button';
+    markBtn.disabled = true;
+    markBtn.title = 'Marker et øyeblikk i opptaket, f.eks. der noe gikk galt';
+    markBtn.addEventListener('click', () => markMoment({ askNote: true }));
+
+    controls.append(startBtn, pauseBtn, markBtn, stopBtn);
+    section.append(controls);
+  }
+
+  if (task.modes.includes('upload')) {
+    const inputEl = el('input');
+    inputEl.type = 'file';
+    inputEl.accept = 'video/*';
+
+    const progress = el('div', { className: 'progress' });
+    const progressBarEl = el('div');
+    progress.append(progressBarEl);
+
+    const statusLine = el('div', { className: 'statusline' });
+    const buttonEl = el('button', { text: `Last opp som ${task.title}` });
+    buttonEl.type = 'button';
+
+    section.append(inputEl, progress, statusLine, buttonEl);
+
+    /**
+     * Hver wireFileUploader kobler sammen:
+     *  - én <input type="file">
+     *  - én “Last opp som …” knapp
+     *  - én statuslinje og én progress-bar
+     *  - og en slot som matcher server-navngivingen
+     */
+    wireFileUploader({
+      inputEl,
+      buttonEl,
+      statusEl: statusLine,
+      progressBarEl,
+      getUploadId: () => `rec-slot${task.slot}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      slot: task.slot,
+      onUploaded: (result) => {
+        refreshQuota();
+        refreshVersions(task.slot, { askChoice: !!result?.version?.chooseFinal });
+        showQuestionnaire(task.slot, result?.fileName);
+      }
+    });
+  }
+
+  // Deltakerens tidligere opptak av oppgaven, og hvilket som er endelig
+  const versionsEl = el('div', { className: 'versions hidden' });
+  versionsEl.dataset.versionsSlot = String(task.slot);
+
+  // Spørreskjemaet vises her etter opplasting
+  const questionnaireEl = el('div', { className: 'hidden' });
+  questionnaireEl.dataset.questionnaireSlot = String(task.slot);
+  section.append(versionsEl, questionnaireEl);
+
+  return section;
 }
 
-// Koble ALLE stopp-knapper til stop()  <-- endret
-stopButtons.forEach(btn => btn.addEventListener('click', stop));
+// Fyller kvalitetsvalget med studiens forhåndsvalg (standardvalget er valgt)
+function renderQualityOptions(quality) {
+  const presets = quality?.presets || [];
+  qualityPresets.clear();
+  const options = presets.map(p => {
+    qualityPresets.set(p.id, p);
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.label;
+    return opt;
+  });
+  qualitySelect?.replaceChildren(...options);
+  if (qualitySelect && quality?.default) qualitySelect.value = quality.default;
+}
 
 /**
  * Init-funksjon som kjører én gang når skriptet lastes:
+ *  - henter studiekonfigurasjonen og bygger oppgavene
  *  - sjekker om MediaRecorder støttes
- *  - kobler “Start opptak" knappene til start (slot)
  */
-(function initUI() {
+(async function initUI() {
+  try {
+    const study = await loadStudy();
+    if (studyTitleEl) studyTitleEl.textContent = study.title;
+    webcamConfig = study.webcam || null;
+    webcamOption?.classList.toggle('hidden', !webcamConfig?.enabled);
+    renderQualityOptions(study.quality);
+    taskListEl?.replaceChildren(...study.tasks.map(renderTask));
+    study.tasks.forEach(t => {
+      taskTitles.set(t.slot, t.title);
+      taskMaxDurations.set(t.slot, t.maxDurationSec || 0);
+      if (t.questionnaire) taskQuestionnaires.set(t.slot, t.questionnaire);
+    });
+    refreshRecoveryPanel();
+    refreshQuota();
+    refreshAllVersions();
+  } catch (e) {
+    console.error(e);
+    setStatus('Kunne ikke hente oppgavene fra serveren. Last siden på nytt.');
+    return;
+  }
+
   const supported = !!window.MediaRecorder;
   if (!supported) {
     setStatus('MediaRecorder støttes ikke i denne nettleseren.');
     setStartButtonsDisabled(true);
-    setStopButtonsDisabled(true); 
+    setStopButtonsDisabled(true);
   } else {
     setStartButtonsDisabled(false);
     setStopButtonsDisabled(true);
   }
-
-  // Knytt alle knapper med data-slot til riktig slot-nummer
-  document.querySelectorAll('[data-slot]').forEach(btn => {
-    const slot = Number(btn.dataset.slot || '1');
-    btn.addEventListener('click', () => start(slot));
-  });
 })();
-
-/**
- * Konfigurer filopplasting for hvert “Opptak”.
- * Hver wireFileUploader kobler sammen:
- *  - én <input type="file">
- *  - én “Last opp som Opptak” knapp
- *  - én statuslinje og én progress-bar
- *  - og en slot (1–6) som matcher server-navngivingen
- */
-
-// Slot 1
-wireFileUploader({
-  inputEl: document.getElementById('fileUpload1'),
-  buttonEl: document.getElementById('fileUploadBtn1'),
-  statusEl: document.getElementById('fileUploadStatus1'),
-  progressBarEl: document.getElementById('fileUploadBar1'),
-  getUploadId: () => `rec-slot1-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
-  slot: 1
-});
-
-// Slot 2
-wireFileUploader({
-  inputEl: document.getElementById('fileUpload2'),
-  buttonEl: document.getElementById('fileUploadBtn2'),
-  statusEl: document.getElementById('fileUploadStatus2'),
-  progressBarEl: document.getElementById('fileUploadBar2'),
-  getUploadId: () => `rec-slot2-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
-  slot: 2
-});
-
-// Slot 3
-wireFileUploader({
-  inputEl: document.getElementById('fileUpload3'),
-  buttonEl: document.getElementById('fileUploadBtn3'),
-  statusEl: document.getElementById('fileUploadStatus3'),
-  progressBarEl: document.getElementById('fileUploadBar3'),
-  getUploadId: () => `rec-slot3-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
-  slot: 3
-});
-
-// Slot 4
-wireFileUploader({
-  inputEl: document.getElementById('fileUpload4'),
-  buttonEl: document.getElementById('fileUploadBtn4'),
-  statusEl: document.getElementById('fileUploadStatus4'),
-  progressBarEl: document.getElementById('fileUploadBar4'),
-  getUploadId: () => `rec-slot4-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
-  slot: 4
-});
-
-// Slot 5
-wireFileUploader({
-  inputEl: document.getElementById('fileUpload5'),
-  buttonEl: document.getElementById('fileUploadBtn5'),
-  statusEl: document.getElementById('fileUploadStatus5'),
-  progressBarEl: document.getElementById('fileUploadBar5'),
-  getUploadId: () => `rec-slot5-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
-  slot: 5
-});
-
-// Slot 6
-wireFileUploader({
-  inputEl: document.getElementById('fileUpload6'),
-  buttonEl: document.getElementById('fileUploadBtn6'),
-  statusEl: document.getElementById('fileUploadStatus6'),
-  progressBarEl: document.getElementById('fileUploadBar6'),
-  getUploadId: () => `rec-slot6-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
-  slot: 6
-});
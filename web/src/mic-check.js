@@ -0,0 +1,127 @@
+// Mikrofonsjekk før opptak: velg mikrofon, se lydnivået live og få
+// beskjed hvis det er helt stille (dempet eller feil mikrofon).
+
+import { createAudioContext, micConstraints, measureLevel } from './audio.js';
+
+// Valgt mikrofon huskes mellom øktene på samme maskin
+const STORAGE_KEY = 'micDeviceId';
+
+// Under dette nivået regnes det som stillhet
+const SILENCE_LEVEL = 0.02;
+// Så lenge må det være stille før vi advarer
+const SILENCE_WARN_MS = 3000;
+
+// Lydinnganger nettleseren kjenner til (navnene vises først etter at tilgang er gitt)
+async function listMicrophones() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter(d => d.kind === 'audioinput');
+}
+
+/**
+ * Kobler sammen mikrofonsjekken:
+ *  - selectEl: <select> med mikrofonene
+ *  - buttonEl: knapp som starter/stopper sjekken
+ *  - meterEl: element som viser nivået (bredde i %)
+ *  - statusEl: statuslinje for advarsler
+ * Returnerer { getDeviceId, stop }. stop() slipper mikrofonen, så opptaket kan ta den.
+ */
+export function wireMicCheck({ selectEl, buttonEl, meterEl, statusEl }) {
+  let stream = null;
+  let audioCtx = null;
+  let stopMeter = null;
+  let silentSince = null;
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.className = isError ? 'statusline err' : 'statusline';
+  }
+
+  // Fyller nedtrekkslisten og beholder valget hvis mikrofonen fortsatt finnes
+  async function refreshDevices() {
+    const mics = await listMicrophones();
+    const wanted = selectEl.value || localStorage.getItem(STORAGE_KEY) || '';
+
+    const options = mics.map((d, i) => {
+      const opt = document.createElement('option');
+      opt.value = d.deviceId;
+      opt.textContent = d.label || `Mikrofon ${i + 1}`;
+      return opt;
+    });
+    selectEl.replaceChildren(...options);
+    if (mics.some(d => d.deviceId === wanted)) selectEl.value = wanted;
+    selectEl.disabled = !mics.length;
+    if (!mics.length) setStatus('Fant ingen mikrofon. Koble til en og prøv igjen.', true);
+  }
+
+  function onLevel(level) {
+    meterEl.style.width = `${Math.round(level * 100)}%`;
+
+    if (level >= SILENCE_LEVEL) {
+      if (silentSince !== null) setStatus('Mikrofonen virker.');
+      silentSince = null;
+      return;
+    }
+    silentSince ??= Date.now();
+    if (Date.now() - silentSince > SILENCE_WARN_MS) {
+      setStatus('Vi hører ingenting. Er mikrofonen dempet, eller er feil mikrofon valgt?', true);
+    }
+  }
+
+  function stop() {
+    stopMeter?.();
+    stopMeter = null;
+    stream?.getTracks().forEach(t => t.stop());
+    stream = null;
+    if (audioCtx) {
+      try { audioCtx.close(); } catch {}
+      audioCtx = null;
+    }
+    meterEl.style.width = '0%';
+    buttonEl.textContent = 'Sjekk mikrofon';
+  }
+
+  async function start() {
+    stop();
+    setStatus('Si noe for å teste mikrofonen …');
+    silentSince = null;
+
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: micConstraints(selectEl.value || null),
+        video: false
+      });
+    } catch (e) {
+      console.error('Mikrofonsjekk feilet:', e);
+      setStatus(`Fikk ikke tilgang til mikrofonen: ${e.message}`, true);
+      return;
+    }
+
+    // Etter at tilgang er gitt får vi navnene på mikrofonene
+    const usedId = stream.getAudioTracks()[0]?.getSettings?.().deviceId;
+    await refreshDevices();
+    if (usedId) selectEl.value = usedId;
+    if (selectEl.value) localStorage.setItem(STORAGE_KEY, selectEl.value);
+
+    audioCtx = createAudioContext();
+    stopMeter = measureLevel(audioCtx, audioCtx.createMediaStreamSource(stream), onLevel);
+    buttonEl.textContent = 'Stopp sjekk';
+  }
+
+  buttonEl.addEventListener('click', () => (stream ? stop() : start()));
+
+  selectEl.addEventListener('change', () => {
+    localStorage.setItem(STORAGE_KEY, selectEl.value);
+    if (stream) start(); // sjekk den nye mikrofonen med en gang
+  });
+
+  navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+    refreshDevices().catch(() => {});
+  });
+
+  refreshDevices().catch(e => console.warn('Kunne ikke liste mikrofoner:', e));
+
+  return {
+    getDeviceId: () => selectEl.value || null,
+    stop
+  };
+}
@@ -0,0 +1,44 @@
+// Husker uferdige opplastinger i localStorage, slik at de kan fortsettes
+// etter at fanen er lastet på nytt eller nettet har vært borte.
+
+const STORAGE_KEY = 'pendingUploads';
+
+function readAll() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch {
+    // Full eller blokkert lagring: opplastingen virker fortsatt, men kan ikke gjenopptas
+  }
+}
+
+/**
+ * Lagrer (eller oppdaterer) en uferdig opplasting.
+ * info: { uploadId, slot, source: 'record' | 'file', ... }
+ */
+export function rememberUpload(info) {
+  const list = readAll().filter(u => u.uploadId !== info.uploadId);
+  list.push({ ...info, savedAt: Date.now() });
+  writeAll(list);
+}
+
+// Fjerner en opplasting når den er fullført eller forkastet
+export function forgetUpload(uploadId) {
+  writeAll(readAll().filter(u => u.uploadId !== uploadId));
+}
+
+// Alle uferdige opplastinger, evt. filtrert på slot og/eller kilde
+export function listPendingUploads({ slot, source } = {}) {
+  return readAll().filter(u =>
+    (slot == null || u.slot === slot) &&
+    (source == null || u.source === source)
+  );
+}
@@ -0,0 +1,125 @@
+// Bilde-i-bilde: setter sammen skjermbildet og webkameraet på et <canvas>,
+// slik at opptaket får ett videospor med en rund kameraboble i et hjørne.
+
+// Gyldige plasseringer for kameraboblen (samme verdier som i study.json)
+export const PIP_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Usynlig <video> som spiller av ett spor, så det kan tegnes på canvas
+function videoFor(track) {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = new MediaStream([track]);
+  return video;
+}
+
+/**
+ * Timer som går i en Web Worker. Vanlige timere (og requestAnimationFrame)
+ * strupes når fanen ligger i bakgrunnen – og det gjør den nesten alltid når
+ * deltakeren deler et annet vindu. Faller tilbake til setInterval.
+ */
+function createTicker(onTick) {
+  let worker = null;
+  let workerUrl = null;
+  let timer = null;
+
+  try {
+    const src = 'let t=null;onmessage=e=>{clearInterval(t);if(e.data>0)t=setInterval(()=>postMessage(0),e.data);};';
+    workerUrl = URL.createObjectURL(new Blob([src], { type: 'text/javascript' }));
+    worker = new Worker(workerUrl);
+    worker.onmessage = () => onTick();
+  } catch {
+    worker = null;
+  }
+
+  return {
+    setInterval(ms) {
+      if (worker) return worker.postMessage(ms);
+      clearInterval(timer);
+      timer = setInterval(onTick, ms);
+    },
+    stop() {
+      clearInterval(timer);
+      if (worker) worker.terminate();
+      if (workerUrl) URL.revokeObjectURL(workerUrl);
+    }
+  };
+}
+
+/**
+ * createPipCompositor({ screenTrack, camTrack, position, size, frameRate })
+ * - position: et av PIP_POSITIONS
+ * - size: kameraboblens diameter som andel av korteste side av skjermbildet
+ * Returnerer { track, setQuality({ frameRate, scale }), stop }.
+ */
+export async function createPipCompositor({
+  screenTrack,
+  camTrack,
+  position = 'bottom-right',
+  size = 0.2,
+  frameRate = 30
+}) {
+  const screenVideo = videoFor(screenTrack);
+  const camVideo = videoFor(camTrack);
+  await Promise.all([screenVideo.play(), camVideo.play()]);
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const corner = PIP_POSITIONS.includes(position) ? position : 'bottom-right';
+  let scale = 1;
+
+  function draw() {
+    const sw = screenVideo.videoWidth, sh = screenVideo.videoHeight;
+    if (!sw || !sh) return;
+
+    // Partall bredde/høyde, det liker videokoderne best
+    const w = Math.round(sw * scale) & ~1;
+    const h = Math.round(sh * scale) & ~1;
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    ctx.drawImage(screenVideo, 0, 0, w, h);
+
+    const cw = camVideo.videoWidth, ch = camVideo.videoHeight;
+    if (!cw || !ch) return;
+
+    // Kvadratisk utsnitt fra midten av kamerabildet, tegnet som en sirkel
+    const d = Math.round(Math.min(w, h) * size);
+    const margin = Math.round(d * 0.1);
+    const x = corner.endsWith('left') ? margin : w - d - margin;
+    const y = corner.startsWith('top') ? margin : h - d - margin;
+    const side = Math.min(cw, ch);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x + d / 2, y + d / 2, d / 2, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.drawImage(camVideo, (cw - side) / 2, (ch - side) / 2, side, side, x, y, d, d);
+    ctx.restore();
+  }
+
+  // Første bilde før sporet hentes, så opptaket ikke starter med et tomt lerret
+  draw();
+  const track = canvas.captureStream().getVideoTracks()[0];
+
+  const ticker = createTicker(draw);
+  ticker.setInterval(Math.round(1000 / frameRate));
+
+  // Brukes når kvaliteten senkes ved treg opplasting: færre bilder og mindre lerret
+  function setQuality({ frameRate: fps, scale: s }) {
+    if (fps) ticker.setInterval(Math.round(1000 / fps));
+    if (s) scale = s;
+  }
+
+  function stop() {
+    ticker.stop();
+    try { track.stop(); } catch {}
+    for (const video of [screenVideo, camVideo]) {
+      try { video.pause(); } catch {}
+      video.srcObject = null;
+    }
+  }
+
+  return { track, setQuality, stop };
+}
@@ -0,0 +1,130 @@
+// Spørreskjema etter en oppgave (study.json: tasks[].questionnaire).
+// Vises når opptaket er lastet opp, og svarene sendes til serveren som
+// lagrer dem ved siden av opptaket.
+
+import { API_BASE } from './config.js';
+
+function tokenHeader() {
+  const token = sessionStorage.getItem('authToken') || sessionStorage.getItem('unlockToken');
+  return token ? { 'x-unlock-token': token } : null;
+}
+
+/**
+ * Sender svarene for opptaket fileName i slot.
+ * Kaster { code: 'INVALID', message } hvis serveren avviser et svar (400).
+ */
+export async function submitAnswers(slot, fileName, answers) {
+  const headers = tokenHeader();
+  if (!headers) throw Object.assign(new Error('Locked'), { code: 'LOCKED' });
+  const res = await fetch(`${API_BASE}/slots/${slot}/questionnaire`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileName, answers })
+  });
+  if (res.status === 403) {
+    throw Object.assign(new Error('Locked'), { code: 'LOCKED' });
+  }
+  if (res.status === 400) {
+    const body = await res.json().catch(() => ({}));
+    throw Object.assign(new Error(body.error || 'invalid answers'), { code: 'INVALID' });
+  }
+  if (!res.ok) {
+    throw new Error(`questionnaire failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Lager et element med gitt tag, klasse og tekst
+function el(tag, { className, text } = {}) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text) node.textContent = text;
+  return node;
+}
+
+// Radioknapper (likert og choice) og tekstfelt for ett spørsmål
+function renderQuestion(q, name) {
+  const fieldset = el('fieldset');
+  fieldset.append(el('legend', { text: q.required ? `${q.label} *` : q.label }));
+
+  if (q.type === 'text') {
+    const textarea = el('textarea');
+    textarea.name = name;
+    textarea.maxLength = q.maxLength;
+    textarea.rows = 3;
+    textarea.required = q.required;
+    fieldset.append(textarea);
+    return fieldset;
+  }
+
+  const values = q.type === 'likert'
+    ? Array.from({ length: q.max - q.min + 1 }, (_, i) => String(q.min + i))
+    : q.options;
+  const choices = el('div', { className: q.type === 'likert' ? 'likert' : 'choices' });
+  if (q.type === 'likert' && q.minLabel) choices.append(el('span', { text: q.minLabel }));
+  values.forEach((value) => {
+    const label = el('label');
+    const input = el('input');
+    input.type = 'radio';
+    input.name = name;
+    input.value = value;
+    input.required = q.required;
+    label.append(input, ` ${value}`);
+    choices.append(label);
+  });
+  if (q.type === 'likert' && q.maxLabel) choices.append(el('span', { text: q.maxLabel }));
+  fieldset.append(choices);
+  return fieldset;
+}
+
+// Leser svarene ut av skjemaet (likert som tall, tomme felt som null)
+function readAnswers(form, questions, prefix) {
+  const data = new FormData(form);
+  const answers = {};
+  for (const q of questions) {
+    const raw = data.get(`${prefix}${q.id}`);
+    if (raw === null || raw === '') answers[q.id] = null;
+    else answers[q.id] = q.type === 'likert' ? Number(raw) : String(raw);
+  }
+  return answers;
+}
+
+/**
+ * Viser skjemaet i containerEl for opptaket fileName.
+ * Når svarene er lagret erstattes skjemaet av en kort bekreftelse.
+ */
+export function renderQuestionnaire(containerEl, { slot, fileName, questionnaire }) {
+  const prefix = `q${slot}-`;
+  const form = el('form', { className: 'questionnaire' });
+  form.append(el('h4', { text: questionnaire.title }));
+  questionnaire.questions.forEach(q => form.append(renderQuestion(q, `${prefix}${q.id}`)));
+
+  const submitBtn = el('button', { text: 'Send svar' });
+  submitBtn.type = 'submit';
+  const statusLine = el('div', { className: 'statusline' });
+  form.append(submitBtn, statusLine);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    submitBtn.disabled = true;
+    statusLine.className = 'statusline';
+    statusLine.textContent = 'Sender…';
+    try {
+      await submitAnswers(slot, fileName, readAnswers(form, questionnaire.questions, prefix));
+      containerEl.replaceChildren(el('div', { className: 'statusline ok', text: 'Takk! Svarene er lagret.' }));
+    } catch (err) {
+      console.error('Kunne ikke sende svar:', err);
+      submitBtn.disabled = false;
+      statusLine.className = 'statusline err';
+      statusLine.textContent = err?.code === 'LOCKED'
+        ? 'Sesjonen er låst/utløpt. Lås opp på nytt og prøv igjen.'
+        : err?.code === 'INVALID'
+          ? 'Noen svar mangler eller er ugyldige. Sjekk skjemaet og prøv igjen.'
+          : 'Kunne ikke sende svarene. Prøv igjen.';
+    }
+  });
+
+  containerEl.replaceChildren(form);
+  containerEl.classList.remove('hidden');
+  form.querySelector('input, textarea')?.focus();
+}
@@ -0,0 +1,32 @@
+// Lagringskvote: henter hvor mye plass deltakeren har igjen på serveren.
+
+import { API_BASE } from './config.js';
+
+/**
+ * fetchQuota()
+ * Returnerer { limitBytes, usedBytes, remainingBytes } (limit/remaining er null
+ * når det ikke er noen grense), eller null hvis deltakeren ikke er låst opp.
+ */
+export async function fetchQuota() {
+  const token = sessionStorage.getItem('authToken') || sessionStorage.getItem('unlockToken');
+  if (!token) return null;
+
+  const res = await fetch(`${API_BASE}/quota`, { headers: { 'x-unlock-token': token } });
+  if (!res.ok) {
+    throw new Error(`quota failed: ${res.status}`);
+  }
+  const data = await res.json();
+  return data.quota;
+}
+
+// Bytes som lesbar tekst (f.eks. "1,4 GB")
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let i = 0;
+  while (value >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return `${value.toLocaleString('no', { maximumFractionDigits: i >= 3 ? 1 : 0 })} ${units[i]}`;
+}
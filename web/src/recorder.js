@@ -1,10 +1,16 @@
+import { createPipCompositor } from './pip.js';
+import { createAudioContext, micConstraints } from './audio.js';
+
 // Velger beste videoformat som nettleseren støtter for opptak
 function bestMimeType() {
-  // Vi prøver disse i rekkefølge
+  // Vi prøver disse i rekkefølge: WebM (Chrome/Firefox/Edge), så MP4/H.264 (Safari)
   const candidates = [
     'video/webm;codecs=vp9,opus',
     'video/webm;codecs=vp8,opus',
-    'video/webm'
+    'video/webm',
+    'video/mp4;codecs=avc1.42E01E,mp4a.40.2',
+    'video/mp4;codecs=avc1,mp4a',
+    'video/mp4'
   ];
 
   // Returner første format som MediaRecorder sier at den støtter
@@ -12,14 +18,48 @@ function bestMimeType() {
     if (window.MediaRecorder?.isTypeSupported?.(t)) return t;
   }
 
-  // Fallback hvis ingen av de over eksplisitt støttes
-  return 'video/webm';
+  // Ingen av dem oppgis som støttet: la nettleseren velge selv (tom streng)
+  return '';
+}
+
+// Format for den egne mikrofonfilen (kun lyd)
+function bestAudioMimeType() {
+  for (const t of ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4;codecs=mp4a.40.2', 'audio/mp4']) {
+    if (window.MediaRecorder?.isTypeSupported?.(t)) return t;
+  }
+  return '';
+}
+
+// Standard kvalitet hvis studien ikke oppgir noe (samme som før kvalitetsvalgene)
+const DEFAULT_QUALITY = { maxWidth: 1920, maxHeight: 1080, frameRate: 30, bitsPerSecond: 1_700_000 };
+
+
+/**
+ * Kvalitetstrinn når opplastingen ikke henger med.
+ * MediaRecorder kan ikke bytte bitsPerSecond midt i et opptak uten å lage en ny
+ * fil, så bitraten står fast på valgt kvalitet. Trinnene senker i stedet bildefrekvens
+ * og oppløsning på videosporet. Om koderen da faktisk lager mindre data, varierer
+ * mellom nettlesere; det måles per trinn i dataRateBps.
+ */
+function qualityLevels({ frameRate }) {
+  return [
+    { frameRate,                          scale: 1 },
+    { frameRate: Math.min(frameRate, 20), scale: 1 },
+    { frameRate: Math.min(frameRate, 15), scale: 0.75 },
+    { frameRate: Math.min(frameRate, 10), scale: 0.5 }
+  ];
 }
 
 /**
  * Starter et skjermopptak med lyd.
  * Parametere:
  *  - wantSystemAudio: om vi skal prøve å ta opp systemlyd (tab/PC-lyd)
+ *  - quality: kvalitetsvalg fra studien { maxWidth, maxHeight, frameRate, bitsPerSecond }
+ *  - webcam: null, eller { position, size } for en kameraboble i opptaket
+ *  - micDeviceId: mikrofonen som ble valgt i mikrofonsjekken (null = standard)
+ *  - micGain / systemGain: startvolum per lydkilde (1 = uendret), kan endres med setGain()
+ *  - micStem: ta i tillegg opp mikrofonen alene som egen lydfil
+ *  - onMicChunk: callback som får hver data-del av mikrofonfilen (blob, mimeType)
  *  - timesliceMs: hvor ofte vi får en ny "chunk" (millisekunder)
  *  - previewEl: <video>-element for forhåndsvisning (kan være null)
  *  - onChunk: callback som får hver data-del (blob, mimeType)
@@ -27,25 +67,51 @@ function bestMimeType() {
  */
 export async function startRecorder({
   wantSystemAudio = false,
+  quality = DEFAULT_QUALITY,
+  webcam = null,
+  micDeviceId = null,
+  micGain = 1,
+  systemGain = 1,
+  micStem = false,
   timesliceMs = 3000,
   previewEl = null,
   onChunk,
+  onMicChunk,
   onStatus
 }) {
   // Gi brukeren beskjed om at vi spør om rettigheter
   onStatus?.('Spør etter tillatelser …');
 
+  // Kvalitetstrinnene regnes ut fra valgt kvalitet (trinn 0 = valgt kvalitet)
+  const { bitsPerSecond } = { ...DEFAULT_QUALITY, ...quality };
+  const levels = qualityLevels({ ...DEFAULT_QUALITY, ...quality });
+
   // Be brukeren velge skjerm/app/fane å dele (video, og ev. systemlyd)
   const screenStream = await navigator.mediaDevices.getDisplayMedia({
-    video: { frameRate: 30 },
+    video: {
+      frameRate: { ideal: levels[0].frameRate, max: levels[0].frameRate },
+      width:  { max: quality.maxWidth  || DEFAULT_QUALITY.maxWidth },
+      height: { max: quality.maxHeight || DEFAULT_QUALITY.maxHeight }
+    },
     audio: wantSystemAudio
   });
 
-  // Be om mikrofon-lyd samtidig (egen stream)
-  const micStream = await navigator.mediaDevices.getUserMedia({
-    audio: { echoCancellation: true, noiseSuppression: true },
-    video: false
-  });
+  // Be om mikrofon-lyd samtidig (egen stream), helst fra den valgte mikrofonen
+  let micStream;
+  try {
+    micStream = await navigator.mediaDevices.getUserMedia({
+      audio: micConstraints(micDeviceId),
+      video: false
+    });
+  } catch (e) {
+    // Valgt mikrofon er koblet fra e.l. – bruk standardmikrofonen i stedet
+    if (!micDeviceId || !['OverconstrainedError', 'NotFoundError'].includes(e.name)) throw e;
+    onStatus?.('Fant ikke valgt mikrofon – bruker standardmikrofonen.');
+    micStream = await navigator.mediaDevices.getUserMedia({
+      audio: micConstraints(null),
+      video: false
+    });
+  }
 
   // Plukk ut konkrete spor (tracks) fra streamene
   const vTrack   = screenStream.getVideoTracks()[0];
@@ -57,36 +123,60 @@ export async function startRecorder({
     throw new Error('Fant ikke videostrøm fra skjermdeling.');
   }
 
+  // Webkamera (valgfritt): settes sammen med skjermbildet på et canvas.
+  // Får vi ikke kameraet, tar vi opp uten i stedet for å avbryte.
+  let camStream = null, pip = null;
+  if (webcam) {
+    try {
+      camStream = await navigator.mediaDevices.getUserMedia({
+        video: { width: { ideal: 640 }, height: { ideal: 480 } },
+        audio: false
+      });
+      pip = await createPipCompositor({
+        screenTrack: vTrack,
+        camTrack: camStream.getVideoTracks()[0],
+        position: webcam.position,
+        size: webcam.size,
+        frameRate: levels[0].frameRate
+      });
+    } catch (e) {
+      console.warn('Webkamera utilgjengelig:', e);
+      camStream?.getTracks().forEach(t => t.stop());
+      camStream = null;
+      onStatus?.('Fikk ikke tilgang til kameraet – tar opp uten webkamera.');
+    }
+  }
+
   // Variabler for lydmiksing
   let audioCtx = null, audioDest = null, mixedAudioTrack = null;
+  const gainNodes = {}; // 'mic' / 'system' -> GainNode
 
-  // Hvis vi både har systemlyd og mikrofon, miks dem sammen til ett lydspor
-  if (sysTrack && micTrack) {
+  // All lyd går gjennom en AudioContext, så volumet per kilde kan justeres underveis
+  if (sysTrack || micTrack) {
     // Opprett AudioContext (vanlig eller webkit-variant)
-    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    audioCtx = createAudioContext();
     audioDest = audioCtx.createMediaStreamDestination();
 
-    // Lag lydkilder fra sporene
-    const sysSrc = audioCtx.createMediaStreamSource(new MediaStream([sysTrack]));
-    const micSrc = audioCtx.createMediaStreamSource(new MediaStream([micTrack]));
-
-    // Separate gain-kontroller (volum) for systemlyd og mikrofon
-    const sysGain = audioCtx.createGain(); sysGain.gain.value = 1.0;
-    const micGain = audioCtx.createGain(); micGain.gain.value = 1.0;
+    // Lag en lydkilde med egen gain-kontroll (volum) per spor, koblet til samme "destination"
+    for (const [name, track, value] of [['system', sysTrack, systemGain], ['mic', micTrack, micGain]]) {
+      if (!track) continue;
+      const src = audioCtx.createMediaStreamSource(new MediaStream([track]));
+      const gain = audioCtx.createGain();
+      gain.gain.value = value;
+      src.connect(gain).connect(audioDest);
+      gainNodes[name] = gain;
+    }
 
-    // Koble begge lydkildene inn til samme "destination"
-    sysSrc.connect(sysGain).connect(audioDest);
-    micSrc.connect(micGain).connect(audioDest);
+    // En AudioContext som står på pause gir et stille lydspor
+    try { await audioCtx.resume?.(); } catch {}
 
     // Hent det ferdig miksede lydsporet
     mixedAudioTrack = audioDest.stream.getAudioTracks()[0] || null;
   }
 
   // Bygg en kombinert MediaStream med video + lydspor
-  const tracks = [vTrack];
+  const tracks = [pip ? pip.track : vTrack];
   if (mixedAudioTrack) tracks.push(mixedAudioTrack);
-  else if (sysTrack)   tracks.push(sysTrack);
-  else if (micTrack)   tracks.push(micTrack);
 
   const combinedStream = new MediaStream(tracks);
 
@@ -100,17 +190,88 @@ export async function startRecorder({
   }
 
   // Velg beste mime-type og opprett selve MediaRecorder
-  const mimeType = bestMimeType();
+  const wantedType = bestMimeType();
   const recorder = new MediaRecorder(combinedStream, {
-    mimeType,
-    bitsPerSecond: 1_700_000  // 1.7 Mbit/s
+    ...(wantedType ? { mimeType: wantedType } : {}),
+    bitsPerSecond
   });
+  // Formatet nettleseren faktisk valgte (Safari gir f.eks. video/mp4)
+  const mimeType = recorder.mimeType || wantedType || 'video/webm';
+
+  // Mikrofonen alene, uten systemlyd og uten volumjustering (for analyse i etterkant)
+  const wantedMicType = bestAudioMimeType();
+  const micRecorder = micStem && micTrack
+    ? new MediaRecorder(new MediaStream([micTrack]), {
+        ...(wantedMicType ? { mimeType: wantedMicType } : {}),
+        audioBitsPerSecond: 128_000
+      })
+    : null;
+  const micMimeType = micRecorder?.mimeType || wantedMicType || 'audio/webm';
+  if (micRecorder) {
+    micRecorder.ondataavailable = (e) => {
+      if (e.data && e.data.size) onMicChunk?.(e.data, micMimeType);
+    };
+  }
+
+  // Utgangspunkt for nedskalering ved treg opplasting
+  const baseSettings = vTrack.getSettings?.() || {};
+  let qualityLevel = 0;
 
   const startedAt = Date.now();
 
+  // Pauser i opptaket: { atMs (posisjon i videoen), pausedAt, resumedAt }
+  const pauses = [];
+  let pausedMsTotal = 0;
+
+  // Faktisk opptakstid (uten pauser)
+  function getDurationMs() {
+    const open = pauses.at(-1);
+    const current = open && open.resumedAt === null ? Date.now() - open.pausedAt : 0;
+    return Date.now() - startedAt - pausedMsTotal - current;
+  }
+
+  // Markeringer ("her gikk noe galt"): { atMs, note, createdAt }
+  const markers = [];
+
+  // Legger til en markering på nåværende posisjon i videoen
+  function addMarker(note = '') {
+    const marker = {
+      atMs: getDurationMs(),
+      note: String(note || '').trim().slice(0, 200),
+      createdAt: Date.now()
+    };
+    markers.push(marker);
+    return { ...marker };
+  }
+
+  // Avslutter en åpen pause (ved fortsett eller stopp)
+  function closePause() {
+    const open = pauses.at(-1);
+    if (!open || open.resumedAt !== null) return;
+    open.resumedAt = Date.now();
+    pausedMsTotal += open.resumedAt - open.pausedAt;
+  }
+
   // Hver gang recorder har data klar, sender vi den til onChunk
+  // Hvor mye data opptaket faktisk gir på gjeldende kvalitetstrinn (bytes per sekund
+  // opptakstid, glidende snitt), så opplasteren kan sammenligne med målt
+  // opplastingshastighet og se om et lavere trinn faktisk ga mindre data
+  let dataRateBps = null;
+  let lastChunkMs = 0;
+  let skipSample = false; // første chunk etter et trinnbytte er laget på begge trinn
+
   recorder.ondataavailable = (e) => {
-    if (e.data && e.data.size) onChunk?.(e.data, mimeType);
+    if (!e.data || !e.data.size) return;
+    const atMs = getDurationMs();
+    const seconds = (atMs - lastChunkMs) / 1000;
+    lastChunkMs = atMs;
+    if (skipSample) {
+      skipSample = false;
+    } else if (seconds >= 0.5) {
+      const sample = e.data.size / seconds;
+      dataRateBps = dataRateBps === null ? sample : 0.7 * dataRateBps + 0.3 * sample;
+    }
+    onChunk?.(e.data, mimeType);
   };
   
   // Oppdater status når opptak starter
@@ -120,33 +281,108 @@ export async function startRecorder({
   recorder.onerror = (e) =>
     onStatus?.(`Feil i opptaker: ${e.error?.message || e.message || e.name}`);
 
-  // Pause opptak (brukes ved backpressure fra opplasting)
+  // Pause opptak. Returnerer true hvis opptaket faktisk ble satt på pause.
   function pause()  {
     try {
-      if (recorder.state === 'recording') recorder.pause();
-    } catch {}
+      if (recorder.state !== 'recording') return false;
+      recorder.pause();
+      if (micRecorder?.state === 'recording') micRecorder.pause();
+      pauses.push({ atMs: getDurationMs(), pausedAt: Date.now(), resumedAt: null });
+      return true;
+    } catch {
+      return false;
+    }
   }
 
-  // Fortsett opptak etter pause
+  // Fortsett opptak etter pause. Returnerer true hvis opptaket går igjen.
   function resume() {
     try {
-      if (recorder.state === 'paused') recorder.resume();
-    } catch {}
+      if (recorder.state !== 'paused') return false;
+      recorder.resume();
+      if (micRecorder?.state === 'paused') micRecorder.resume();
+      closePause();
+      return true;
+    } catch {
+      return false;
+    }
   }
   
+  // Nytt trinn: målingen starter på nytt, så dataRateBps bare gjelder det nye trinnet
+  function enterLevel(next) {
+    qualityLevel = next;
+    dataRateBps = null;
+    skipSample = true;
+  }
+
+  /**
+   * Bytter kvalitetstrinn (0 = valgt kvalitet): bildefrekvens og oppløsning, ikke
+   * bitraten. Returnerer true hvis trinnet ble endret.
+   */
+  async function setQualityLevel(level) {
+    const next = Math.max(0, Math.min(levels.length - 1, level));
+    if (next === qualityLevel) return false;
+
+    const { frameRate, scale } = levels[next];
+
+    // Med webkamera er det lerretet som kodes, ikke skjermsporet
+    if (pip) {
+      pip.setQuality({ frameRate, scale });
+      enterLevel(next);
+      return true;
+    }
+
+    const constraints = { frameRate };
+    if (baseSettings.width && baseSettings.height) {
+      constraints.width  = { max: Math.round(baseSettings.width * scale) };
+      constraints.height = { max: Math.round(baseSettings.height * scale) };
+    }
+
+    try {
+      await vTrack.applyConstraints(constraints);
+    } catch (e) {
+      console.warn('Kunne ikke endre kvalitet på videosporet:', e);
+      return false;
+    }
+    enterLevel(next);
+    return true;
+  }
+
+  /**
+   * Justerer volumet på én lydkilde ('mic' eller 'system') mens opptaket pågår.
+   * Gir en kort overgang, så det ikke klikker i lyden.
+   */
+  function setGain(source, value) {
+    const node = gainNodes[source];
+    if (!node || !Number.isFinite(value)) return;
+    node.gain.setTargetAtTime(Math.max(0, value), audioCtx.currentTime, 0.05);
+  }
+
   // Be om en ekstra chunk med en gang opptaket stoppes
   function flush() {
     try { recorder.requestData?.(); } catch {}
+    try { micRecorder?.requestData?.(); } catch {}
+  }
+
+  // Stopper én MediaRecorder; løses når siste chunk er levert
+  // (stop-eventet kommer etter siste dataavailable).
+  function stopRecorder(r) {
+    if (!r || r.state === 'inactive') return Promise.resolve();
+    return new Promise(resolve => {
+      r.addEventListener('stop', () => resolve(), { once: true });
+      r.stop();
+    });
   }
 
-  // Stopp opptaket hvis det fortsatt er aktivt
+  // Stopp opptaket (og mikrofonfilen) hvis det fortsatt er aktivt.
   function stop() {
-    if (recorder.state !== 'inactive') recorder.stop();
+    if (recorder.state !== 'inactive') closePause();
+    return Promise.all([stopRecorder(recorder), stopRecorder(micRecorder)]).then(() => {});
   }
 
   // Rydd opp ressurser: stopp alle spor, stopp forhåndsvisning, lukk AudioContext
   function cleanup() {
-    [screenStream, micStream, combinedStream].forEach(s => {
+    pip?.stop();
+    [screenStream, micStream, camStream, combinedStream].forEach(s => {
       if (s) s.getTracks().forEach(t => {
         try { t.stop(); } catch {}
       });
@@ -167,6 +403,7 @@ export async function startRecorder({
 
   // Start Recorder med valgt intervall
   recorder.start(timesliceMs);
+  micRecorder?.start(timesliceMs);
 
   // Returner et lite "API" til resten av koden
   return {
@@ -175,7 +412,22 @@ export async function startRecorder({
     pause,
     resume,
     flush,
-    requestData: () => { try { recorder.requestData?.(); } catch {} },
-    getDurationMs: () => Date.now() - startedAt
+    requestData: flush,
+    lowerQuality: () => setQualityLevel(qualityLevel + 1),
+    raiseQuality: () => setQualityLevel(qualityLevel - 1),
+    get quality() { return { level: qualityLevel, ...levels[qualityLevel] }; }, // trinn 0 = valgt kvalitet
+    get dataRateBps() { return dataRateBps; },  // målt på gjeldende trinn (null til første hele chunk)
+    mimeType,                    // formatet opptakeren faktisk bruker
+    hasSystemAudio: !!sysTrack,  // om systemlyd ble fanget (brukeren kan velge bort)
+    hasWebcam: !!pip,            // om kameraboblen faktisk er med i opptaket
+    hasMicStem: !!micRecorder,   // om mikrofonen også tas opp som egen fil
+    micMimeType,
+    setGain,
+    startedAt,
+    get paused() { return recorder.state === 'paused'; },
+    getPauses: () => pauses.map(p => ({ ...p })),
+    addMarker,
+    getMarkers: () => markers.map(m => ({ ...m })),
+    getDurationMs
   };
 }
@@ -0,0 +1,131 @@
+// Gjenoppretting av opptak fra den lokale sikkerhetskopien (IndexedDB).
+// Viser et panel med opptak som ikke er (ferdig) lastet opp, og lar
+// deltakeren laste dem opp i etterkant til riktig oppgave.
+
+import { createChunkUploader } from './upload.js';
+import { listBackups, getBackupChunk, updateBackup, deleteBackup } from './local-backup.js';
+
+/**
+ * Laster opp en lokal kopi til serveren.
+ * - Har kopien en uploadId som serveren fortsatt kjenner, fortsetter vi der serveren slapp.
+ * - Har serveren allerede fullført den (svaret på finish gikk tapt), slettes bare kopien.
+ * - Ellers starter vi en ny opplasting fra første chunk.
+ * Kopien slettes først når serveren har bekreftet finish.
+ */
+export async function uploadBackup(backup, { onProgress } = {}) {
+  const up = createChunkUploader({ maxPending: 1, slot: backup.slot });
+
+  let from = 0;
+  const resumed = backup.uploadId ? await up.resume(backup.uploadId) : null;
+  if (resumed?.finished) {
+    // Opptaket ligger allerede på serveren; en ny opplasting ville blitt en ekstra versjon
+    await deleteBackup(backup.localId);
+    onProgress?.(1);
+    return resumed;
+  }
+  if (resumed) {
+    from = resumed.nextIndex;
+    // Det serveren allerede har må med i hel-fil-hashen som sendes ved finish
+    for (let i = 0; i < from; i++) {
+      const blob = await getBackupChunk(backup.localId, i);
+      if (!blob) break; // uten alle bytene sendes ingen hel-fil-hash
+      await up.feedHash(blob);
+    }
+  } else {
+    await up.start();
+    await updateBackup(backup.localId, { uploadId: up.uploadId, sentCount: 0 });
+  }
+
+  for (let i = from; i < backup.chunkCount; i++) {
+    const blob = await getBackupChunk(backup.localId, i);
+    if (!blob) throw new Error(`lokal chunk ${i} mangler`);
+    await up.push(blob, backup.mimeType || blob.type || 'video/webm');
+    await updateBackup(backup.localId, { sentCount: i + 1 });
+    onProgress?.((i + 1) / backup.chunkCount);
+  }
+
+  const result = await up.finalize(backup.durationMs || 0, {
+    meta: {
+      source: 'live',
+      mimeType: backup.mimeType,
+      systemAudio: backup.systemAudio ?? null,
+      webcam: backup.webcam ?? null,
+      quality: backup.quality ?? null,
+      startedAt: backup.startedAt,
+      endedAt: backup.stoppedAt,
+      pauses: backup.pauses || [],
+      markers: backup.markers || []
+    }
+  });
+  await deleteBackup(backup.localId);
+  return result;
+}
+
+/**
+ * Tegner gjenopprettingspanelet.
+ * - panelEl: elementet panelet tegnes i (skjules når det ikke er noe å vise)
+ * - excludeLocalId: kopien til et opptak som pågår akkurat nå (vises ikke)
+ * - getTaskTitle: slot -> tittel fra studiekonfigurasjonen
+ */
+export async function renderRecoveryPanel(panelEl, { setStatus, excludeLocalId = null, getTaskTitle } = {}) {
+  if (!panelEl) return;
+
+  const backups = (await listBackups()).filter(b => b.localId !== excludeLocalId && b.chunkCount > 0);
+  if (!backups.length) {
+    panelEl.replaceChildren();
+    panelEl.classList.add('hidden');
+    return;
+  }
+
+  const title = document.createElement('h2');
+  title.textContent = 'Opptak som ikke er ferdig lastet opp';
+
+  const rows = backups.map(b => {
+    const row = document.createElement('div');
+    row.className = 'statusline';
+
+    const when = new Date(b.startedAt).toLocaleString();
+    const task = getTaskTitle?.(b.slot) || `Oppgave ${b.slot}`;
+    const text = document.createElement('span');
+    text.textContent = `${task}, startet ${when} – ${b.sentCount} av ${b.chunkCount} deler sendt. `;
+
+    const uploadBtn = document.createElement('button');
+    uploadBtn.type = 'button';
+    uploadBtn.textContent = 'Last opp';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = 'Slett lokal kopi';
+
+    uploadBtn.addEventListener('click', async () => {
+      uploadBtn.disabled = true;
+      deleteBtn.disabled = true;
+      try {
+        await uploadBackup(b, {
+          onProgress: f => setStatus?.(`Laster opp ${task}… ${Math.round(f * 100)}%`)
+        });
+        setStatus?.(`${task} er lastet opp og lagret på serveren.`);
+      } catch (e) {
+        console.error(e);
+        setStatus?.(
+          e?.code === 'LOCKED'
+            ? 'Sesjonen er låst/utløpt. Lås opp på nytt og prøv igjen.'
+            : `Kunne ikke laste opp ${task}: ${e.message}`
+        );
+      }
+      renderRecoveryPanel(panelEl, { setStatus, excludeLocalId, getTaskTitle });
+    });
+
+    deleteBtn.addEventListener('click', async () => {
+      if (!confirm(`Slette den lokale kopien av ${task}? Det som ikke er lastet opp går tapt.`)) return;
+      await deleteBackup(b.localId).catch(e => console.error(e));
+      renderRecoveryPanel(panelEl, { setStatus, excludeLocalId, getTaskTitle });
+    });
+
+    row.append(text, uploadBtn, ' ', deleteBtn);
+    return row;
+  });
+
+  panelEl.replaceChildren(title, ...rows);
+  panelEl.classList.remove('hidden');
+}
@@ -0,0 +1,137 @@
+// Inkrementell SHA-256 for nettleseren.
+// WebCrypto (crypto.subtle) kan bare hashe én hel buffer om gangen, men vi
+// trenger en løpende hash over hele opptaket mens chunkene sendes.
+
+// Rundekonstanter (første 32 bit av kubikkrøttene til de 64 første primtallene)
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * createSha256()
+ * Returnerer { update(bytes), digestHex() }. update() kan kalles mange ganger
+ * med Uint8Array/ArrayBuffer; digestHex() avslutter og gir hash som hex-streng.
+ */
+export function createSha256() {
+  const H = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const W = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLen = 0;
+  let totalBytes = 0;
+  let finished = false;
+
+  function compress(buf, off) {
+    for (let i = 0; i < 16; i++) {
+      const j = off + i * 4;
+      W[i] = (buf[j] << 24) | (buf[j + 1] << 16) | (buf[j + 2] << 8) | buf[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = W[i - 15], w2 = W[i - 2];
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+      W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+    }
+
+    let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + W[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+    H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+  }
+
+  function update(data) {
+    if (finished) throw new Error('sha256: update etter digest');
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    totalBytes += bytes.length;
+
+    let i = 0;
+    // Fyll opp en påbegynt blokk først
+    if (blockLen > 0) {
+      const take = Math.min(64 - blockLen, bytes.length);
+      block.set(bytes.subarray(0, take), blockLen);
+      blockLen += take;
+      i = take;
+      if (blockLen === 64) {
+        compress(block, 0);
+        blockLen = 0;
+      }
+    }
+    // Hele blokker rett fra input
+    for (; i + 64 <= bytes.length; i += 64) compress(bytes, i);
+    // Resten venter på mer data
+    if (i < bytes.length) {
+      block.set(bytes.subarray(i), 0);
+      blockLen = bytes.length - i;
+    }
+  }
+
+  function digestHex() {
+    if (!finished) {
+      finished = true;
+      const bitLen = totalBytes * 8;
+      block[blockLen++] = 0x80;
+      if (blockLen > 56) {
+        block.fill(0, blockLen);
+        compress(block, 0);
+        blockLen = 0;
+      }
+      block.fill(0, blockLen, 56);
+      // Lengde i bits som 64-bit big-endian
+      const hi = Math.floor(bitLen / 2 ** 32);
+      const lo = bitLen >>> 0;
+      block[56] = hi >>> 24; block[57] = hi >>> 16; block[58] = hi >>> 8; block[59] = hi;
+      block[60] = lo >>> 24; block[61] = lo >>> 16; block[62] = lo >>> 8; block[63] = lo;
+      compress(block, 0);
+    }
+    const out = new Uint8Array(32);
+    for (let i = 0; i < 8; i++) {
+      out[i * 4]     = H[i] >>> 24;
+      out[i * 4 + 1] = H[i] >>> 16;
+      out[i * 4 + 2] = H[i] >>> 8;
+      out[i * 4 + 3] = H[i];
+    }
+    return toHex(out);
+  }
+
+  return {
+    update,
+    digestHex,
+    get bytes() { return totalBytes; }
+  };
+}
+
+/**
+ * SHA-256 av én blob eller buffer (hex). Bruker crypto.subtle når det finnes
+ * (https/localhost), ellers den inkrementelle implementasjonen over.
+ */
+export async function sha256Hex(data) {
+  const buf = data instanceof Blob ? await data.arrayBuffer() : data;
+  if (self.crypto?.subtle) {
+    return toHex(new Uint8Array(await self.crypto.subtle.digest('SHA-256', buf)));
+  }
+  const h = createSha256();
+  h.update(buf);
+  return h.digestHex();
+}
@@ -0,0 +1,17 @@
+// Henter studiekonfigurasjonen (oppgaver/slots) fra serveren.
+
+import { API_BASE } from './config.js';
+
+/**
+ * loadStudy()
+ * Returnerer { title, slotCount, consent, webcam, quality, tasks: [{ slot, title, instructions, modes, maxDurationSec, versions, questionnaire }] }.
+ * Kaster feil hvis serveren ikke svarer, slik at UI kan vise en melding.
+ */
+export async function loadStudy() {
+  const res = await fetch(`${API_BASE}/study`);
+  if (!res.ok) {
+    throw new Error(`study failed: ${res.status}`);
+  }
+  const data = await res.json();
+  return data.study;
+}
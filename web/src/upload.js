@@ -1,10 +1,12 @@
 // Upload inneholder funksjoner for å laste opp video i deler ("chunks") til serveren.
 
 import { API_BASE } from './config.js';
+import { createSha256, sha256Hex } from './sha256.js';
 
 // Ferdige URL-er til API-endepunktene for chunk-opplasting og ferdigmelding
 const ENDPOINT_CHUNK  = `${API_BASE}/upload/chunk`;
 const ENDPOINT_FINISH = `${API_BASE}/upload/finish`;
+const ENDPOINT_STATUS = (id) => `${API_BASE}/upload/${encodeURIComponent(id)}`;
 
 /**
  * Lager en unik ID for en opplasting.
@@ -34,6 +36,58 @@ function getTokenHeaderOrThrow() {
   return { 'x-unlock-token': token };
 }
 
+// Innstillinger for nye forsøk ved forbigående feil (nettverk, 5xx, 429)
+const RETRY_ATTEMPTS = 6;       // totalt antall forsøk per kall
+const RETRY_BASE_MS  = 500;     // første ventetid før jitter
+const RETRY_MAX_MS   = 20_000;  // øvre grense for ventetid
+
+// Statuskoder som betyr "prøv igjen litt senere"
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Ventetid før neste forsøk: eksponentiell backoff med "full jitter",
+ * slik at mange klienter ikke prøver igjen i takt. Retry-After fra
+ * serveren (sekunder) respekteres som minimum.
+ */
+function backoffDelay(attempt, retryAfter) {
+  const cap = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  const jittered = Math.random() * cap;
+  const serverMs = Number(retryAfter) * 1000;
+  return Number.isFinite(serverMs) && serverMs > 0 ? Math.max(serverMs, jittered) : jittered;
+}
+
+/**
+ * fetch() med nye forsøk ved nettverksfeil, 5xx og 429.
+ * Andre svar (også 4xx) returneres direkte til kalleren.
+ * onRetry({ attempt, delayMs, reason }) kalles før hver ny venting.
+ */
+async function fetchWithRetry(url, makeInit, { onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let reason;
+    try {
+      res = await fetch(url, makeInit());
+      if (!isRetryableStatus(res.status)) return res;
+      reason = `HTTP ${res.status}`;
+    } catch (e) {
+      // fetch kaster kun ved nettverksfeil (ingen respons)
+      if (e?.code === 'LOCKED') throw e;
+      reason = e?.message || 'network error';
+    }
+
+    if (attempt + 1 >= RETRY_ATTEMPTS) {
+      if (res) return res; // la kalleren håndtere siste feilstatus
+      throw new Error(`network error: ${reason}`);
+    }
+
+    const delayMs = backoffDelay(attempt, res?.headers.get('Retry-After'));
+    onRetry?.({ attempt: attempt + 1, delayMs, reason });
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
 /**
  * createChunkUploader
  
@@ -42,90 +96,215 @@ function getTokenHeaderOrThrow() {
  *  - tar imot blobs i rekkefølge (0,1,2,...)
  *  - sender hver chunk til /upload/chunk
  *  - til slutt kaller /upload/finish når alt er ferdig
+ *  - kan fortsette en avbrutt opplasting (resume) fra der serveren slapp
+ *  - prøver igjen med backoff ved forbigående feil, uten å bytte rekkefølge
+ *  - måler opplastingshastigheten (throughputBps), slik at opptakeren kan tilpasse seg
+ *  - sender SHA-256 per chunk, og en løpende hash over hele filen ved finish,
+ *    slik at serveren kan verifisere at ingenting er tapt eller ødelagt
  *
  * maxPending styrer hvor mange chunk-opplastinger som kan være "in flight"
  * samtidig. Her bruker vi typisk 1 for å gjøre det enkelt.
  *
- * slot 1-6 brukes på serveren til å navngi filene
- * (f.eks. Tester1Oppgave2).
+ * slot (1, 2, ... fra studiekonfigurasjonen) brukes på serveren til å navngi filene
+ * (f.eks. Tester1Oppgave2). Serveren avviser slots som ikke finnes i studien.
  */
 export function createChunkUploader({ maxPending = 1, uploadId: fixedId, slot = 1 } = {}) {
   let uploadId = null;
   let nextIndex = 0; // neste chunk-indeks vi kommer til å sende
   let pending   = 0; // hvor mange fetch-kall som pågår akkurat nå
+  let queued    = 0; // chunker som venter eller sendes
+  let throughputBps = null; // glidende snitt av målt hastighet (bytes/sekund)
+  const waiters = [];       // push()-kall som venter på ledig plass, i rekkefølge
+
+  // Integritet: løpende hash over alle bytes i rekkefølge, og antall bytes serveren skal ha
+  let fileHash = createSha256();
+  let expectedBytes = 0;
+  let hashChain = Promise.resolve(); // sørger for at hashen oppdateres i chunk-rekkefølge
 
   /**
    * start()
-   * - Validerer slot (må være 1, 2 eller 3)
+   * - Validerer slot (må være et positivt heltall; serveren sjekker mot studien)
    * - Lager en ny uploadId (eller bruker en gitt uploadId)
    * - Nullstiller intern state
    */
   async function start() {
-    if (!Number.isInteger(slot) || slot < 1 || slot > 6) {
-    throw new Error('slot må være imellom 1 og 6');
+    if (!Number.isInteger(slot) || slot < 1) {
+      throw new Error('slot må være et positivt heltall');
     }
     uploadId = fixedId || newUploadId();
     nextIndex = 0;
     pending = 0;
+    fileHash = createSha256();
+    expectedBytes = 0;
+    hashChain = Promise.resolve();
     return uploadId;
   }
 
+  /**
+   * status()
+   * - Spør serveren hvor langt opplastingen har kommet.
+   * - Returnerer { nextIndex, bytes, slot } eller null hvis serveren ikke kjenner uploadId.
+   * - Er opplastingen allerede ferdig: { finished: true, fileName, bytes, sha256, slot }.
+   */
+  async function status(id = uploadId) {
+    const headers = getTokenHeaderOrThrow();
+    const res = await fetch(ENDPOINT_STATUS(id), { headers });
+
+    if (res.status === 404) return null;
+    if (res.status === 403) {
+      throw Object.assign(new Error('Locked'), { code: 'LOCKED' });
+    }
+    if (!res.ok) {
+      throw new Error(`status failed: ${res.status}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * resume()
+   * - Tar opp igjen en eksisterende uploadId (f.eks. etter reload).
+   * - Setter nextIndex til det serveren forventer, så neste push() fortsetter der.
+   * - Returnerer status fra serveren, eller null hvis opplastingen ikke finnes lenger.
+   *   Med finished: true er opptaket allerede lagret, og det er ingenting å fortsette med.
+   */
+  async function resume(existingId) {
+    const st = await status(existingId);
+    if (!st) return null;
+    if (st.slot !== slot) {
+      throw new Error('slot mismatch for this uploadId');
+    }
+    if (st.finished) return st;
+    uploadId = existingId;
+    nextIndex = st.nextIndex;
+    pending = 0;
+    // Den løpende hashen dekker ikke det som allerede er sendt. Kalleren kan mate
+    // inn de tidligere bytene med feedHash(); ellers sendes ingen hel-fil-hash.
+    fileHash = createSha256();
+    expectedBytes = st.bytes;
+    hashChain = Promise.resolve();
+    return st;
+  }
+
+  /**
+   * feedHash()
+   * - Etter resume(): mat inn data som allerede ligger på serveren (i rekkefølge),
+   *   slik at hel-fil-hashen ved finish blir komplett.
+   */
+  function feedHash(blob) {
+    hashChain = hashChain.then(async () => {
+      fileHash.update(await blob.arrayBuffer());
+    });
+    return hashChain;
+  }
+
   /**
    * sendChunk()
    * - Sender én chunk til /upload/chunk med FormData
    * - Inkluderer uploadId, mimeType, index og slot
    * - Legger token i x-unlock-token-headeren
+   * - Prøver igjen ved forbigående feil. Svarer serveren at indeksen allerede
+   *   er skrevet (f.eks. fordi forrige svar gikk tapt), regnes chunken som sendt.
    */
-  async function sendChunk(blob, mimeType, index) {
-    const form = new FormData();
-    form.append('chunk',    blob, `part-${index}.bin`);
-    form.append('uploadId', uploadId);
-    form.append('mimeType', mimeType);
-    form.append('index',    String(index));
-    form.append('slot',     String(slot));
+  async function sendChunk(blob, mimeType, index, chunkHash, hooks = {}) {
+    const makeInit = () => {
+      const form = new FormData();
+      form.append('chunk',    blob, `part-${index}.bin`);
+      form.append('uploadId', uploadId);
+      form.append('mimeType', mimeType);
+      form.append('index',    String(index));
+      form.append('slot',     String(slot));
+      form.append('sha256',   chunkHash);
 
-    const headers = getTokenHeaderOrThrow();
+      return { method: 'POST', headers: getTokenHeaderOrThrow(), body: form };
+    };
 
-    const res = await fetch(ENDPOINT_CHUNK, {
-      method: 'POST',
-      headers,
-      body: form
-    });
+    const t0 = performance.now();
+    let res = await fetchWithRetry(ENDPOINT_CHUNK, makeInit, hooks);
+
+    // 422 = chunken kom fram skadet (hash stemte ikke) → send den på nytt noen ganger
+    for (let i = 0; res.status === 422 && i < 2; i++) {
+      hooks.onRetry?.({ attempt: i + 1, delayMs: 0, reason: 'checksum mismatch' });
+      res = await fetchWithRetry(ENDPOINT_CHUNK, makeInit, hooks);
+    }
 
     if (res.status === 403) {
       // Server sier at token er ugyldig/utløpt
       throw Object.assign(new Error('Locked'), { code: 'LOCKED' });
     }
 
+    if (res.status === 428) {
+      // Samtykketeksten er endret siden deltakeren godtok den
+      throw Object.assign(new Error('Consent required'), { code: 'CONSENT' });
+    }
+
+    if (res.status === 409) {
+      // Serveren har allerede fått denne indeksen → ingenting å sende på nytt
+      const body = await res.json().catch(() => ({}));
+      if (Number.isInteger(body.expected) && body.expected > index) return;
+    }
+
+    if (res.status === 413) {
+      // Lagringskvoten til deltakeren er brukt opp (eller filen er for stor)
+      const body = await res.json().catch(() => ({}));
+      if (body.error === 'quota exceeded') {
+        throw Object.assign(new Error('Quota exceeded'), { code: 'QUOTA', quota: body.quota || null });
+      }
+    }
+
     if (!res.ok) {
       // Ikke lekk detaljer om responsbody i feilmelding
       throw new Error(`chunk failed: ${res.status}`);
     }
+
+    // Oppdater målt hastighet (eksponentielt glidende snitt)
+    const seconds = Math.max((performance.now() - t0) / 1000, 0.001);
+    const sample = blob.size / seconds;
+    throughputBps = throughputBps === null ? sample : 0.7 * throughputBps + 0.3 * sample;
+  }
+
+  // Venter på ledig plass (maks maxPending samtidige kall), først til mølla
+  function acquire() {
+    if (pending < maxPending) {
+      pending++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiters.push(resolve));
+  }
+
+  // Gir plassen videre til neste som venter (plassen "arves", pending endres ikke)
+  function release() {
+    const next = waiters.shift();
+    if (next) next();
+    else pending--;
   }
 
   /**
    * push()
-   * - Kalles for hver chunk som skal sendes.
-   * - Sørger for at vi ikke har flere enn maxPending samtidige fetch-kall.
-   * - Bruker hooks.onBackpressurePause/Resume for å kunne pause opptak hvis køen blir for stor.
+   * - Kalles for hver chunk som skal sendes, og løses når chunken er lagret på serveren.
+   * - Indeksen tildeles med en gang, og kallene slipper til i samme rekkefølge.
+   * - hooks.onBacklog(antall) kalles når chunker må vente i kø (treg opplasting).
+   * - hooks.onRetry({ attempt, delayMs, reason }) kalles før et nytt forsøk.
    */
   async function push(blob, mimeType, hooks = {}) {
-    while (pending >= maxPending) {
-      // For mange chunk-opplastinger samtidig → gi beskjed til opptakeren
-      hooks.onBackpressurePause?.();
-      await new Promise(resolve => setTimeout(resolve, 200));
-    }
-
-    // Vi har plass igjen → fortsett evt. opptak
-    hooks.onBackpressureResume?.();
-
     const myIndex = nextIndex++;
-    pending++;
+    queued++;
+    expectedBytes += blob.size;
+    if (queued > maxPending) hooks.onBacklog?.(queued - maxPending);
 
+    // Hash beregnes i samme rekkefølge som push() kalles
+    const hashed = hashChain.then(async () => {
+      const buf = await blob.arrayBuffer();
+      fileHash.update(buf);
+      return sha256Hex(buf);
+    });
+    hashChain = hashed;
+
+    await acquire();
     try {
-      await sendChunk(blob, mimeType, myIndex);
+      await sendChunk(blob, mimeType, myIndex, await hashed, hooks);
     } finally {
-      pending--;
+      release();
+      queued--;
     }
   }
 
@@ -135,7 +314,7 @@ export function createChunkUploader({ maxPending = 1, uploadId: fixedId, slot =
    * - Brukes før finalize() for å sikre at alt er sendt.
    */
   async function flush() {
-    while (pending > 0) {
+    while (queued > 0) {
       await new Promise(resolve => setTimeout(resolve, 150));
     }
   }
@@ -143,29 +322,48 @@ export function createChunkUploader({ maxPending = 1, uploadId: fixedId, slot =
   /**
    * finalize()
    * - Kalles når opptaket er ferdig.
-   * - Venter på flush(), og sier deretter fra til serveren via /upload/finish.
+   * - Venter på flush(), og sier deretter fra til serveren via /upload/finish (med nye forsøk).
    * - Serveren pakker sammen filen, gir den et endelig navn og returnerer URL.
+   * - meta (valgfri) lagres i metadatafilen ved siden av opptaket:
+   *   { source: 'live' | 'file', mimeType, systemAudio, startedAt, endedAt, originalFileName }
+   * - companionOf (valgfri): filnavnet til opptaket en egen mikrofonfil hører til
    */
-  async function finalize(durationMs) {
+  async function finalize(durationMs, { meta, companionOf, ...hooks } = {}) {
     await flush();
+    await hashChain;
 
-    const form = new FormData();
-    form.append('uploadId',  uploadId);
-    form.append('durationMs', String(durationMs));
-    form.append('slot',      String(slot));
+    // Hel-fil-hash sendes bare når den dekker alle bytes serveren har
+    const fullHash = fileHash.bytes === expectedBytes ? fileHash.digestHex() : null;
 
-    const headers = getTokenHeaderOrThrow();
+    const makeInit = () => {
+      const form = new FormData();
+      form.append('uploadId',  uploadId);
+      form.append('durationMs', String(durationMs));
+      form.append('slot',      String(slot));
+      form.append('bytes',     String(expectedBytes));
+      if (fullHash) form.append('sha256', fullHash);
+      if (meta) form.append('meta', JSON.stringify(meta));
+      // Egen mikrofonfil som hører til et ferdig opptak (filnavnet til hovedopptaket)
+      if (companionOf) form.append('companionOf', companionOf);
 
-    const res = await fetch(ENDPOINT_FINISH, {
-      method: 'POST',
-      headers,
-      body: form
-    });
+      return { method: 'POST', headers: getTokenHeaderOrThrow(), body: form };
+    };
+
+    const res = await fetchWithRetry(ENDPOINT_FINISH, makeInit, hooks);
 
     if (res.status === 403) {
       throw Object.assign(new Error('Locked'), { code: 'LOCKED' });
     }
 
+    if (res.status === 428) {
+      throw Object.assign(new Error('Consent required'), { code: 'CONSENT' });
+    }
+
+    if (res.status === 422) {
+      // Serveren fant at filen ikke stemmer med det vi sendte
+      throw Object.assign(new Error('finish failed: integrity check'), { code: 'INTEGRITY' });
+    }
+
     if (!res.ok) {
       // Igjen: ikke echo hele responsbody, bare status
       throw new Error(`finish failed: ${res.status}`);
@@ -177,9 +375,14 @@ export function createChunkUploader({ maxPending = 1, uploadId: fixedId, slot =
   // Eksponerer et lite objekt som brukes i main.js og file-upload.js
   return {
     start,
+    resume,
+    feedHash,
+    status,
     push,
     flush,
     finalize,
-    get uploadId() { return uploadId; }
+    get uploadId() { return uploadId; },
+    get throughputBps() { return throughputBps; },
+    get backlog() { return Math.max(0, queued - maxPending); }
   };
 }
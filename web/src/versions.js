@@ -0,0 +1,107 @@
+// Versjoner av en oppgave: viser deltakerens opptak av samme oppgave og
+// lar deltakeren velge hvilket som er det endelige.
+
+import { API_BASE } from './config.js';
+
+function tokenHeader() {
+  const token = sessionStorage.getItem('authToken') || sessionStorage.getItem('unlockToken');
+  return token ? { 'x-unlock-token': token } : null;
+}
+
+/**
+ * fetchVersions(slot)
+ * Returnerer { policy, versions: [{ fileName, version, finishedAt, durationMs, final }] },
+ * eller null hvis deltakeren ikke er låst opp.
+ */
+export async function fetchVersions(slot) {
+  const headers = tokenHeader();
+  if (!headers) return null;
+  const res = await fetch(`${API_BASE}/slots/${slot}/versions`, { headers });
+  if (!res.ok) {
+    throw new Error(`versions failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Markerer en versjon som endelig. Returnerer den oppdaterte listen.
+export async function markFinal(slot, fileName) {
+  const headers = tokenHeader();
+  if (!headers) throw Object.assign(new Error('Locked'), { code: 'LOCKED' });
+  const res = await fetch(`${API_BASE}/slots/${slot}/final`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileName })
+  });
+  if (!res.ok) {
+    throw new Error(`final failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// "18.10. 14:05, 2:31" for én versjon
+function describe(v) {
+  const parts = [];
+  if (v.finishedAt) {
+    parts.push(new Date(v.finishedAt).toLocaleString('no', {
+      day: 'numeric', month: 'numeric', hour: '2-digit', minute: '2-digit'
+    }));
+  }
+  if (v.durationMs) {
+    const total = Math.round(v.durationMs / 1000);
+    parts.push(`${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Tegner versjonslisten for én oppgave i containerEl.
+ * - Med bare én versjon vises kun en kort linje.
+ * - askChoice: deltakeren har nettopp tatt opp på nytt og bør velge (policy "ask").
+ */
+export function renderVersions(containerEl, slot, data, { askChoice = false } = {}) {
+  const versions = data?.versions || [];
+  containerEl.replaceChildren();
+  containerEl.classList.toggle('hidden', versions.length === 0);
+  if (!versions.length) return;
+
+  if (versions.length === 1) {
+    containerEl.append(`Lastet opp: ${describe(versions[0]) || 'versjon 1'}.`);
+    return;
+  }
+
+  const heading = document.createElement('div');
+  heading.className = askChoice ? 'statusline err' : 'statusline';
+  heading.textContent = askChoice
+    ? 'Du har tatt opp denne oppgaven flere ganger. Velg hvilken versjon som skal gjelde.'
+    : `Du har ${versions.length} versjoner av denne oppgaven.`;
+
+  const list = document.createElement('ul');
+  for (const v of versions) {
+    const li = document.createElement('li');
+    li.append(`Versjon ${v.version}${describe(v) ? ` (${describe(v)})` : ''} `);
+
+    if (v.final) {
+      const badge = document.createElement('strong');
+      badge.textContent = 'Endelig';
+      li.append(badge);
+    } else {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = 'Bruk denne';
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        try {
+          renderVersions(containerEl, slot, await markFinal(slot, v.fileName));
+        } catch (e) {
+          console.error('Kunne ikke velge versjon:', e);
+          btn.disabled = false;
+          heading.className = 'statusline err';
+          heading.textContent = 'Kunne ikke lagre valget. Prøv igjen.';
+        }
+      });
+      li.append(btn);
+    }
+    list.append(li);
+  }
+  containerEl.append(heading, list);
+}
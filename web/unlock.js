@@ -63,6 +63,9 @@ function setLockedState(locked) {
 
     // Aktiver opptaksknapper igjen
     document.querySelectorAll('[data-slot]').forEach(b => b.disabled = false);
+
+    // Si ifra til resten av siden (f.eks. for å vise lagringskvoten)
+    document.dispatchEvent(new Event('unlocked'));
   }
 }
 